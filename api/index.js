@@ -16,15 +16,43 @@ const {
     getAvailabilityRows,
     bustDocCache,
     findRow,
+    groupRows,
+    seriesRows,
     sastNow,
+    sastStamp,
+    parseSastStamp,
+    sastEpoch,
 } = require('./lib/sheet');
 
+const { RELEASED_STATUSES, openSlots, parseDateKey, parseRange, fromMins, addDays, bookingLimits, limitError, backToBack, seriesDates } = require('./lib/availability');
+const { withLock } = require('./lib/lock');
+const { round2, parseRands, priceServices, calcDeposit, netLines, TIP_PRESETS, calcTip, calcCallOutFee } = require('./lib/pricing');
+const { signToken, verifyToken } = require('./lib/links');
+const { DEFAULT_POLICY, parsePolicy, describePolicy, refundQuote } = require('./lib/policy');
+const { WAITLIST_ACTIVE, offerLive, eligibleEntries } = require('./lib/waitlist');
+const { parsePacks, packUsage, packCredit, samePhone } = require('./lib/packs');
+const { voucherExpiry, voucherState } = require('./lib/vouchers');
+const { parsePromos, applyPromo } = require('./lib/promos');
+const { paymentRow, ledgerTotals, ledgerCheck, refundPlan } = require('./lib/ledger');
+const { nextNumber, buildInvoice, renderPdf } = require('./lib/invoice');
+const { paymentProvider } = require('./lib/payments');
+const { parseReminderDays, dunningState, overdueBalances } = require('./lib/dunning');
+
 const {
     sendAdminDepositNotification,
     sendAdminBalancePaidNotification,
+    sendAdminClientChangeNotification,
+    sendAdminPaymentEventNotification,
     sendCustomerConfirmationEmail,
     sendBalanceRequestEmail,
     sendRebookEmail,
+    sendHoldExpiredEmail,
+    sendWaitlistOfferEmail,
+    sendSeriesDepositEmail,
+    sendPackPurchaseEmail,
+    sendGiftVoucherEmail,
+    sendRefundEmail,
+    sendBalanceReminderEmail,
 } = require('./lib/email');
 
 const app = express();
@@ -118,6 +146,19 @@ async function adminOnly(req, res, next) {
     } catch (e) { res.status(500).json({ error: 'Authentication error' }); }
 }
 
+// Scheduled jobs: Vercel cron sends "Authorization: Bearer <CRON_SECRET>".
+// Without that header the request must carry a valid admin token instead.
+function cronOrAdmin(req, res, next) {
+    const secret = process.env.CRON_SECRET || '';
+    const bearer = (req.headers['authorization'] || '').replace(/^Bearer\s+/i, '').trim();
+    if (!secret || !bearer) return adminOnly(req, res, next);
+    const a = Buffer.from(bearer), b = Buffer.from(secret);
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return res.status(401).json({ error: 'Invalid cron secret' });
+    getDoc()
+        .then(doc => getSettings(doc).then(s => { req.doc = doc; req.settings = s; next(); }))
+        .catch(() => res.status(500).json({ error: 'Authentication error' }));
+}
+
 // =============================================================================
 // CALENDAR HELPERS
 // =============================================================================
@@ -169,18 +210,275 @@ async function calDelete(s, eventId) {
     catch (e) { console.error('calDelete:', e.message); }
 }
 
+// Move a booking's event to the row's current Date/Time; recreate it if the
+// patch fails (e.g. the event was deleted by hand)
+async function calMove(s, row) {
+    const oldCal = row.get('Calendar Event ID') || '';
+    if (!oldCal) return;
+    const updated = await calUpdate(s, oldCal, {
+        name:     row.get('Client Name'),
+        address:  row.get('Client Address'),
+        services: row.get('Service Names'),
+        date:     row.get('Date'),
+        time:     row.get('Time'),
+    });
+    if (updated) return;
+    await calDelete(s, oldCal);
+    const nc = await calCreate(s, {
+        bookingId:   row.get('Booking ID'),
+        name:        row.get('Client Name'),
+        email:       row.get('Client Email'),
+        phone:       row.get('Client Phone'),
+        address:     row.get('Client Address'),
+        services:    row.get('Service Names'),
+        date:        row.get('Date'),
+        time:        row.get('Time'),
+        totalAmount: row.get('Total Amount (R)'),
+        deposit:     row.get('Deposit Amount (R)'),
+        balance:     row.get('Balance Due (R)'),
+    });
+    if (nc) { row.set('Calendar Event ID', nc); await row.save(); }
+}
+
+// =============================================================================
+// SLOT CHECK — re-reads Bookings so the answer is never from a stale cache
+// =============================================================================
+async function checkSlot(doc, s, { date, time, duration, excludeBookingId = '', ignoreLimits = false }) {
+    const sheet  = doc.sheetsByTitle['Bookings'];
+    const [avRows, bRows] = await Promise.all([
+        getAvailabilityRows(doc),
+        sheet ? sheet.getRows() : Promise.resolve([]),
+    ]);
+    const sast   = sastNow();
+    const open   = openSlots({
+        avRows,
+        bookingRows: bRows,
+        from:        date,
+        to:          addDays(date, 7),
+        duration,
+        now:         sast,
+        limits:      bookingLimits(ignoreLimits ? {} : s, sast),
+        excludeBookingId,
+    });
+    const start  = (time || '').split('-')[0];
+    const slot   = (open[date] || []).find(t => t.split('-')[0] === start);
+    return { ok: !!slot, slot: slot || '', alternatives: open };
+}
+
+// =============================================================================
+// CLIENT MANAGE LINKS — signed, expire at the appointment start
+// =============================================================================
+function manageUrl(s, row) {
+    const start = (row.get('Time') || '').split('-')[0];
+    const token = signToken(ADMIN_TOKEN_SECRET, 'manage', { b: row.get('Booking ID') }, sastEpoch(row.get('Date'), start));
+    return `${s.app_base_url || 'http://localhost:3000'}/manage.html?t=${encodeURIComponent(token)}`;
+}
+
+// Hours from now until the appointment starts
+function hoursUntil(row) {
+    const start = (row.get('Time') || '').split('-')[0];
+    return (sastEpoch(row.get('Date'), start) - Date.now()) / 3600000;
+}
+
+async function manageLink(req, res, next) {
+    const data = verifyToken(ADMIN_TOKEN_SECRET, 'manage', req.query.t || (req.body && req.body.token));
+    if (!data) return res.status(401).json({ error: 'This link has expired or is invalid — please contact us.' });
+    try {
+        const doc     = await getDoc();
+        const { row } = await findRow(doc, String(data.b || ''));
+        if (!row) return res.status(404).json({ error: 'Booking not found' });
+        req.doc = doc; req.settings = await getSettings(doc); req.booking = row;
+        next();
+    } catch (e) { res.status(500).json({ error: 'Service unavailable — please try again' }); }
+}
+
+// =============================================================================
+// GROUP BOOKINGS — rows linked by 'Group ID' (see POST /api/book/group)
+// =============================================================================
+// Email details for one booking, or one combined summary for a group (or for
+// series visits whose deposits were paid in one go)
+function confirmationDetails(rows) {
+    const first = rows[0];
+    const base  = {
+        email:   first.get('Client Email'),
+        phone:   first.get('Client Phone'),
+        address: first.get('Client Address'),
+        date:    first.get('Date'),
+    };
+    if (rows.length === 1) {
+        return {
+            ...base,
+            bookingId:   first.get('Booking ID'),
+            name:        first.get('Client Name'),
+            services:    first.get('Service Names'),
+            time:        first.get('Time'),
+            totalAmount: first.get('Total Amount (R)'),
+            deposit:     first.get('Deposit Amount (R)'),
+            balance:     first.get('Balance Due (R)'),
+            paidInFull:  first.get('Payment Option') === 'Pay in Full',
+        };
+    }
+    const sum  = col => round2(rows.reduce((a, r) => a + parseRands(r.get(col)), 0)).toFixed(2);
+    if (!first.get('Group ID')) {
+        // Several visits of one recurring series paid together
+        return {
+            ...base,
+            bookingId:   first.get('Series ID'),
+            name:        first.get('Client Name'),
+            services:    `${first.get('Service Names')} — ${rows.length} visits: ` +
+                         rows.map(r => `${r.get('Date')} ${(r.get('Time') || '').split('-')[0]}`).join(', '),
+            time:        first.get('Time'),
+            totalAmount: sum('Total Amount (R)'),
+            deposit:     sum('Deposit Amount (R)'),
+            balance:     sum('Balance Due (R)'),
+        };
+    }
+    const last = rows[rows.length - 1];
+    return {
+        ...base,
+        bookingId:   first.get('Group ID'),
+        name:        first.get('Group Organiser') || first.get('Client Name'),
+        services:    rows.map(r => `${r.get('Client Name')} (${r.get('Time')}): ${r.get('Service Names')}`).join('; '),
+        time:        `${(first.get('Time') || '').split('-')[0]}-${(last.get('Time') || '').split('-')[1] || ''}`,
+        totalAmount: sum('Total Amount (R)'),
+        deposit:     sum('Deposit Amount (R)'),
+        balance:     sum('Balance Due (R)'),
+    };
+}
+
 // =============================================================================
-// YOCO CHECKOUT HELPER
+// CANCELLATION POLICY — Settings → cancellation_policy (see lib/policy.js)
 // =============================================================================
-async function yocoCheckout({ key, cents, successUrl, cancelUrl, customer, metadata, desc }) {
-    const r = await fetch('https://payments.yoco.com/api/checkouts', {
-        method:  'POST',
-        headers: { 'Authorization': `Bearer ${key}`, 'Content-Type': 'application/json' },
-        body:    JSON.stringify({ amount: cents, currency: 'ZAR', successUrl, cancelUrl, customer, metadata, description: desc }),
+// What the client has paid so far: the deposit once it cleared, plus a settled
+// balance and any cash/EFT part-payments (which come off Balance Due as they land)
+function amountPaid(row) {
+    if (['Pending Payment', 'Reserved', 'Expired'].includes(row.get('Deposit Status') || '')) return 0;
+    const balance = row.get('Balance Status') === 'Paid' ? parseRands(row.get('Balance Due (R)')) : 0;
+    return round2(parseRands(row.get('Deposit Amount (R)')) + balance + parseRands(row.get('Manual Paid (R)')));
+}
+
+function cancellationQuote(s, row) {
+    const rules = parsePolicy(s.cancellation_policy);
+    return { ...refundQuote(rules, hoursUntil(row), amountPaid(row)), policy: describePolicy(rules) };
+}
+
+// Stamp the policy outcome on the row; the caller saves
+function recordCancellation(row, quote, by) {
+    row.set('Refund Due (R)', quote.refund.toFixed(2));
+    row.set('Cancellation Outcome',
+        `Cancelled by ${by} ${quote.hoursBefore}h before on ${sastStamp()} — ${quote.rule}: ` +
+        `refund R${quote.refund.toFixed(2)} of R${quote.paid.toFixed(2)} paid, R${quote.forfeit.toFixed(2)} forfeited`);
+}
+
+// =============================================================================
+// PAYMENTS LEDGER — Payments tab, one row per money movement (see lib/ledger.js)
+// Written by the webhook, the refund endpoint and manual entries. A failed
+// write is logged, not thrown: by then the money has already moved.
+// =============================================================================
+async function paymentRows(doc, bookingId = '') {
+    const sheet = doc.sheetsByTitle['Payments'];
+    if (!sheet) return [];
+    const rows = await sheet.getRows();
+    return bookingId ? rows.filter(r => (r.get('Booking ID') || '').trim() === bookingId) : rows;
+}
+
+async function addPayment(doc, entry) {
+    if (!(entry.amount > 0)) return;
+    const label = `${entry.type} R${round2(entry.amount).toFixed(2)} for ${entry.bookingId || entry.reference || '—'}`;
+    try {
+        const sheet = doc.sheetsByTitle['Payments'];
+        if (!sheet) throw new Error('Payments tab not found');
+
+        // A webhook retry must not record the same money twice
+        if (entry.providerId && (await sheet.getRows()).some(r =>
+            r.get('Provider Payment ID') === entry.providerId && r.get('Type') === entry.type &&
+            (r.get('Booking ID') || '') === (entry.bookingId || '') &&
+            (r.get('Status') || 'Succeeded') === (entry.status || 'Succeeded'))) return;
+
+        await sheet.addRow(paymentRow(entry, {
+            id:      'PAY-' + crypto.randomBytes(6).toString('hex').toUpperCase(),
+            dateStr: sastNow().dateStr,
+            stamp:   sastStamp(),
+        }));
+        console.log(`Ledger: ${label}`);
+    } catch (e) {
+        console.error(`Ledger: ${label} not recorded:`, e.message);
+    }
+}
+
+// =============================================================================
+// INVOICES & RECEIPTS — PDFs built from the booking row (see lib/invoice.js)
+// Numbers come from the Invoices tab (Number, Kind, Booking ID, Client Name,
+// Amount (R), Issued At) and are kept on the booking, so a re-download or a
+// resent email shows the same number. Issued rows are never deleted, so
+// neither is a number.
+// =============================================================================
+const INVOICE_KINDS = {
+    invoice: { label: 'Invoice', column: 'Invoice No', prefix: s => s.invoice_prefix || 'INV-' },
+    receipt: { label: 'Receipt', column: 'Receipt No', prefix: s => s.receipt_prefix || 'RCT-' },
+};
+
+async function bookingDocument(doc, s, row, kind) {
+    const k     = INVOICE_KINDS[kind];
+    const sheet = doc.sheetsByTitle['Invoices'];
+    if (!sheet) throw new Error('Invoices tab not found');
+    const bookingId = row.get('Booking ID');
+
+    // The lock only queues requests on this instance. Another instance can
+    // pick the same number, so after writing, the earliest row holding it
+    // keeps it and a later duplicate of ours is withdrawn and renumbered.
+    const { number, issued } = await withLock('invoice-number', async () => {
+        for (let attempt = 1; ; attempt++) {
+            const rows  = await sheet.getRows();
+            const known = (row.get(k.column) || '').trim();
+            const found = known && rows.find(r => r.get('Number') === known);
+            if (found) return { number: known, issued: String(found.get('Issued At') || '').slice(0, 10) };
+
+            const next  = nextNumber(k.prefix(s), rows.map(r => r.get('Number') || ''));
+            const at    = sastStamp();
+            const added = await sheet.addRow({
+                'Number':      next,
+                'Kind':        k.label,
+                'Booking ID':  bookingId,
+                'Client Name': row.get('Client Name') || '',
+                'Amount (R)':  row.get('Total Amount (R)') || '',
+                'Issued At':   at,
+            });
+
+            const first = (await sheet.getRows()).find(r => r.get('Number') === next);
+            const mine  = first && first.get('Booking ID') === bookingId && first.get('Kind') === k.label && first.get('Issued At') === at;
+            if (!mine) {
+                await added.delete();
+                console.warn(`${k.label} ${next} was taken by another instance (attempt ${attempt})`);
+                if (attempt < 5) continue;
+                throw new Error(`Could not allocate a ${k.label.toLowerCase()} number — please try again`);
+            }
+
+            row.set(k.column, next);
+            await row.save();
+            console.log(`${k.label} ${next} issued for ${bookingId}`);
+            return { number: next, issued: at.slice(0, 10) };
+        }
     });
-    const d = await r.json();
-    console.log('Yoco:', r.status, JSON.stringify(d).slice(0, 200));
-    return { ok: r.ok, data: d };
+
+    const inv = buildInvoice(row, {
+        kind, number, issued,
+        settings:   s,
+        catalogue:  await getServices(doc),
+        ledgerRows: await paymentRows(doc, bookingId),
+    });
+    return { number, filename: `${number}.pdf`, pdf: renderPdf(inv) };
+}
+
+// Email attachment list — an invoice that can't be built mustn't hold up the email
+async function documentAttachment(doc, s, row, kind) {
+    try {
+        const { filename, pdf } = await bookingDocument(doc, s, row, kind);
+        return [{ filename, content: pdf, contentType: 'application/pdf' }];
+    } catch (e) {
+        console.error(`${INVOICE_KINDS[kind].label} for ${row.get('Booking ID')} not attached:`, e.message);
+        return [];
+    }
 }
 
 // =============================================================================
@@ -195,6 +493,10 @@ app.get('/api', async (req, res) => {
             return res.json(await getServices(doc));
         }
 
+        if (action === 'getPacks') {
+            return res.json(await packCatalogue(doc));
+        }
+
         if (action === 'getMonthAvailability') {
             const [reqY, reqM] = (req.query.month || '').split('-').map(Number);
             const now      = new Date();
@@ -203,106 +505,52 @@ app.get('/api', async (req, res) => {
             const pad      = n => String(n).padStart(2, '0');
             const monthKey = `${year}-${pad(month)}`;
 
-            const DAYS = { sunday:0, monday:1, tuesday:2, wednesday:3, thursday:4, friday:5, saturday:6 };
-            const avRows     = await getAvailabilityRows(doc);
-            const slotsByDow = {};
-            avRows.forEach(r => {
-                if ((r.get('Available (YES/NO)') || '').toUpperCase() !== 'YES') return;
-                const day  = (r.get('Weekday/Date') || '').trim().toLowerCase();
-                const slot = (r.get('Time Slot')    || '').trim();
-                const dow  = DAYS[day];
-                if (dow === undefined || !slot) return;
-                if (!slotsByDow[dow]) slotsByDow[dow] = [];
-                slotsByDow[dow].push(slot);
-            });
-
-            const bSheet = doc.sheetsByTitle['Bookings'];
-            const booked = {};
-            if (bSheet) {
-                const bRows = await bSheet.getRows();
-                bRows.forEach(r => {
-                    const status = (r.get('Deposit Status') || '').trim();
-                    if (['Cancelled', 'Refunded'].includes(status)) return;
-                    const d = (r.get('Date') || '').trim();
-                    const t = (r.get('Time') || '').trim();
-                    if (!d.startsWith(monthKey) || !t) return;
-                    if (!booked[d]) booked[d] = new Set();
-                    booked[d].add(t);
-                });
+            // Treatment length: from service IDs when given, else the raw duration param
+            let duration = Math.min(720, Math.max(0, parseInt(req.query.duration) || 0));
+            const ids    = String(req.query.services || '').split(',').map(x => x.trim()).filter(Boolean);
+            if (ids.length) {
+                const catalogue = await getServices(doc);
+                const mins = ids.reduce((a, id) => a + ((catalogue.find(x => String(x.id) === id) || {}).duration || 0), 0);
+                if (mins > 0) duration = mins;
             }
 
-            const sast        = sastNow();
-            const todayStr    = sast.dateStr;
-            const nowMins     = sast.mins;
-            const daysInMonth = new Date(year, month, 0).getDate();
-            const result      = {};
-
-            console.log(`Availability SAST: ${todayStr} ${Math.floor(nowMins / 60)}:${pad(nowMins % 60)}`);
-
-            for (let d = 1; d <= daysInMonth; d++) {
-                const dateStr = `${year}-${pad(month)}-${pad(d)}`;
-                if (dateStr < todayStr) continue;
-
-                const dow   = new Date(year, month - 1, d).getDay();
-                let   slots = (slotsByDow[dow] || []).slice();
-
-                if (booked[dateStr]) slots = slots.filter(t => !booked[dateStr].has(t));
-
-                if (dateStr === todayStr) {
-                    slots = slots.filter(slot => {
-                        const [h, m] = (slot.split('-')[0] || '00:00').split(':').map(Number);
-                        return (h * 60 + m) > nowMins;
-                    });
-                }
-
-                if (slots.length) result[dateStr] = slots;
-            }
+            const avRows = await getAvailabilityRows(doc);
+            const bSheet = doc.sheetsByTitle['Bookings'];
+            const bRows  = bSheet ? await bSheet.getRows() : [];
 
-            return res.json(result);
+            const s    = await getSettings(doc);
+            const sast = sastNow();
+            console.log(`Availability SAST: ${sast.dateStr} ${Math.floor(sast.mins / 60)}:${pad(sast.mins % 60)} · ${duration || 'slot'} min`);
+
+            return res.json(openSlots({
+                avRows,
+                bookingRows: bRows,
+                from:        `${monthKey}-01`,
+                to:          `${monthKey}-${pad(new Date(year, month, 0).getDate())}`,
+                duration,
+                now:         sast,
+                limits:      bookingLimits(s, sast),
+            }));
         }
 
         if (action === 'getCallOutFee') {
             const addr = (req.query.address || '').trim();
             if (!addr) return res.json({ fee: 0, error: 'No address' });
-
-            const s    = await getSettings(doc);
-            const mk   = s.google_maps_api_key    || '';
-            const orig = s.fixed_origin_address   || '';
-            const free = parseFloat(s.call_out_free_km     || '0');
-            const rate = parseFloat(s.call_out_rate_per_km || '6.3');
-
-            if (!mk)   return res.json({ fee: 0, error: 'google_maps_api_key not set' });
-            if (!orig) return res.json({ fee: 0, error: 'fixed_origin_address not set' });
-
-            const url = `https://maps.googleapis.com/maps/api/distancematrix/json` +
-                        `?origins=${encodeURIComponent(orig)}` +
-                        `&destinations=${encodeURIComponent(addr)}` +
-                        `&units=metric&mode=driving&key=${encodeURIComponent(mk)}`;
-            const md  = await (await fetch(url)).json();
-            if (md.status !== 'OK') return res.json({ fee: 0, error: 'Maps: ' + md.status });
-            const el  = md.rows?.[0]?.elements?.[0];
-            if (!el || el.status !== 'OK') return res.json({ fee: 0, error: 'No route found' });
-
-            const oneWay    = el.distance.value / 1000;
-            const roundTrip = oneWay * 2;
-            const billable  = roundTrip > free ? roundTrip - free : 0;
-            const fee       = billable > 0 ? Math.round(billable * rate * 100) / 100 : 0;
-
-            return res.json({
-                fee,
-                oneWayKm:    Math.round(oneWay    * 10) / 10,
-                roundTripKm: Math.round(roundTrip * 10) / 10,
-                duration:    el.duration.text,
-            });
+            return res.json(await calcCallOutFee(await getSettings(doc), addr));
         }
 
         if (action === 'getConfig') {
             const full = await getSettings(doc);
             return res.json({
                 deposit_percent:     full.deposit_percent     || '50',
+                call_out_deposit:    full.call_out_deposit    || '',
                 google_maps_api_key: full.google_maps_api_key || '',
                 app_base_url:        full.app_base_url        || '',
                 google_review_url:   full.google_review_url   || '',
+                min_notice_hours:    full.min_notice_hours    || '0',
+                max_advance_days:    full.max_advance_days    || '',
+                self_service_cutoff_hours: full.self_service_cutoff_hours || '24',
+                cancellation_policy: full.cancellation_policy || DEFAULT_POLICY,
             });
         }
 
@@ -314,6 +562,139 @@ app.get('/api', async (req, res) => {
     }
 });
 
+// =============================================================================
+// BOOKING HELPERS — shared by /api/book and /api/book/group
+// =============================================================================
+// "+27 (0)82 123 4567" or "082 123 4567" → "+27821234567"
+function cleanPhoneNumber(phone) {
+    let clean = String(phone || '').replace(/[\s\-().]/g, '');
+    clean = clean.replace(/^(\+\d{1,3})(0)/, '$1');
+    if (!clean.startsWith('+')) {
+        clean = '+27' + clean.replace(/^0/, '');
+    }
+    return clean.slice(0, 16);
+}
+
+// Call-out fee is recomputed here; if Maps can't be reached the quoted
+// fee is kept but marked unverified for the admin to check
+async function verifiedCallOut(s, address, quoted) {
+    const callOut = await calcCallOutFee(s, address).catch(e => ({ fee: 0, error: e.message }));
+    if (!callOut.error) return callOut;
+    console.warn(`Call-out fee check failed (${callOut.error}) — using quoted fee`);
+    return {
+        fee:         round2(Math.max(0, parseFloat(quoted.callOutFee) || 0)),
+        oneWayKm:    Number(quoted.oneWayKm)    || '',
+        roundTripKm: Number(quoted.roundTripKm) || '',
+        unverified:  true,
+    };
+}
+
+// Settings the per-service deposit rules fall back on (see lib/pricing.js)
+function depositRules(s) {
+    return { defaultPct: s.deposit_percent || '50', callOutRule: s.call_out_deposit || '' };
+}
+
+// "Brow Tint 0% R0.00; Bridal Trial 100% R900.00; …" for the Bookings row
+function depositBreakdown(deposit) {
+    return deposit.parts.map(p => `${p.name} ${p.rule} R${p.amount.toFixed(2)}`).join('; ');
+}
+
+// Consultation row for one client. New clients send the safety form; existing
+// clients are marked "On File". Never fails the booking.
+async function writeConsultation(doc, bookingId, { divaType, safety, source }) {
+    const isDivaNew     = divaType === 'new';
+    const safetyData    = (isDivaNew && safety) ? safety : null;
+    const skinNotes     = safetyData ? sanitize(safetyData.skinConditions,    500) : (isDivaNew ? '' : 'On File');
+    const medsNotes     = safetyData ? sanitize(safetyData.medications,       500) : (isDivaNew ? '' : 'On File');
+    const allergyNotes  = safetyData ? sanitize(safetyData.allergies,         500) : (isDivaNew ? '' : 'On File');
+    const healthNotes   = safetyData ? sanitize(safetyData.healthConditions,  500) : (isDivaNew ? '' : 'On File');
+    const environNotes  = safetyData ? sanitize(safetyData.environmental,     300) : '';
+    const physicalNotes = safetyData ? sanitize(safetyData.physical,          300) : '';
+    const pregnantNote  = safetyData ? (safetyData.pregnant     ? 'Yes' : 'No') : 'On File';
+    const hairOkNote    = safetyData ? (safetyData.hairLengthOk ? 'Yes' : 'No') : '';
+    const addlNotes     = safetyData ? sanitize(safetyData.additionalInfo,    500) : '';
+
+    try {
+        const consultSheet = doc.sheetsByTitle['Consultations'];
+        if (consultSheet) {
+            const consultRow = {
+                'Booking ID':        bookingId,
+                'Client Type':       isDivaNew ? 'New' : 'Existing',
+                'Lead Source':       source,
+                'Skin Conditions':   skinNotes,
+                'Medications':       medsNotes,
+                'Allergies':         allergyNotes,
+                'Health Conditions': healthNotes,
+                'Pregnancy':         pregnantNote,
+            };
+            await consultSheet.loadHeaderRow();
+            const headers = consultSheet.headerValues || [];
+            if (headers.includes('Additional Notes'))       consultRow['Additional Notes']       = addlNotes;
+            if (headers.includes('Environmental Exposure')) consultRow['Environmental Exposure'] = environNotes;
+            if (headers.includes('Physical Factors'))       consultRow['Physical Factors']       = physicalNotes;
+            if (headers.includes('Hair Length OK'))         consultRow['Hair Length OK']         = hairOkNote;
+            await consultSheet.addRow(consultRow);
+        } else {
+            console.warn('Consultations tab not found — skipping');
+        }
+    } catch (consultErr) {
+        console.warn('Consultation row write failed (non-fatal):', consultErr.message);
+    }
+}
+
+/**
+ * Deposit checkout for one booking, or one payment covering a whole group.
+ * Tries the provider's checkout first, then its hosted payment page; the
+ * checkout ID and link are stored on every row in `bookingIds`.
+ * @returns {Object} - { paymentUrl, paymentError }
+ */
+async function depositCheckout(doc, s, { bookingIds, amount, client, metadata, desc }) {
+    const reference  = bookingIds[0];
+    const nameParts  = client.name.split(/\s+/);
+    const appBase    = s.app_base_url           || 'http://localhost:3000';
+    const successUrl = s.booking_success_url    || `${appBase}/thankyou-balance.html?ref=${reference}`;
+    const cancelUrl  = s.booking_cancel_url     || `${appBase}/?payment=cancelled&ref=${reference}`;
+
+    const saveOnRows = async (fields) => {
+        const sheet = doc.sheetsByTitle['Bookings'];
+        const rows  = (await sheet.getRows()).filter(r => bookingIds.includes((r.get('Booking ID') || '').trim()));
+        for (const row of rows) {
+            Object.entries(fields).forEach(([k, v]) => row.set(k, v));
+            await row.save();
+        }
+    };
+
+    let paymentUrl = null, paymentError = null, provider;
+    try { provider = paymentProvider(s); } catch (e) { return { paymentUrl, paymentError: e.message }; }
+
+    if (provider.ready) {
+        const co = await provider.createCheckout({
+            amount, successUrl, cancelUrl,
+            customer: {
+                email:     client.email,
+                firstName: nameParts[0]  || '',
+                lastName:  nameParts.slice(1).join(' ') || '',
+                phone:     client.phone,
+            },
+            metadata,
+            description: desc,
+        });
+        if (co.ok) {
+            paymentUrl = co.redirectUrl;
+            await saveOnRows({ 'Yoco Checkout ID': co.id, 'Yoco Link': paymentUrl });
+        } else {
+            paymentError = co.error;
+        }
+    }
+
+    if (!paymentUrl) {
+        paymentUrl = provider.paymentPageUrl({ amount, reference, client, successUrl });
+        if (paymentUrl) await saveOnRows({ 'Yoco Link': paymentUrl });
+    }
+
+    return { paymentUrl, paymentError: paymentUrl ? null : (paymentError || provider.missing || 'No payment credentials in Settings') };
+}
+
 // =============================================================================
 // POST /api/book
 // =============================================================================
@@ -322,20 +703,16 @@ app.post('/api/book', rateLimit(10, 60000), async (req, res) => {
         const doc = await getDoc();
         const s   = await getSettings(doc);
 
+        // Client-side totals are display-only; only the quoted call-out fee
+        // is used, as a fallback when Maps can't be reached
         const {
             name, email, phone, address, services, date, time,
-            servicesTotal, callOutFee, totalAmount, depositAmount,
-            balanceDue, oneWayKm, roundTripKm, source, divaType, safety,
+            callOutFee, oneWayKm, roundTripKm, source, divaType, safety, waitlistToken, packCode, voucherCode, promoCode, payInFull,
         } = req.body;
 
         const cleanName  = sanitize(name,    80);
         const cleanEmail = sanitize(email,  120);
-        let cleanPhone = String(phone || '').replace(/[\s\-().]/g, '');
-        cleanPhone = cleanPhone.replace(/^(\+\d{1,3})(0)/, '$1');
-        if (!cleanPhone.startsWith('+')) {
-            cleanPhone = '+27' + cleanPhone.replace(/^0/, '');
-        }
-        cleanPhone = cleanPhone.slice(0, 16);
+        const cleanPhone = cleanPhoneNumber(phone);
         const cleanAddr  = sanitize(address, 200);
         const cleanSrc   = sanitize(source,   50);
 
@@ -348,157 +725,200 @@ app.post('/api/book', rateLimit(10, 60000), async (req, res) => {
         if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date))                      return res.status(400).json({ error: 'Invalid date format' });
         if (!time || !/^\d{2}:\d{2}-\d{2}:\d{2}$/.test(time))               return res.status(400).json({ error: 'Invalid time format' });
 
-        const nameParts = cleanName.split(/\s+/);
-        const svcNames  = services.map(x => sanitize(typeof x === 'object' ? x.name : x, 60)).filter(Boolean).join(', ');
-        const svcIds    = services.map(x => (typeof x === 'object' ? x.id : '') || '').filter(Boolean).join(', ');
-        const svcMins   = services.reduce((a, x) => a + parseInt((typeof x === 'object' ? x.duration : 0) || 0), 0);
-
-        const serverServicesTotal = services.reduce((sum, x) => {
-            const p = typeof x === 'object' ? parseFloat(x.price || 0) : 0;
-            return sum + (isFinite(p) && p >= 0 ? p : 0);
-        }, 0);
-        const serverCallOut = Math.max(0, parseFloat(callOutFee) || 0);
-        const serverTotal   = serverServicesTotal + serverCallOut;
-        const settingPct    = parseFloat(s.deposit_percent || '50') / 100;
-        const serverDeposit = serverTotal > 0
-            ? Math.round(serverTotal * settingPct * 100) / 100
-            : Math.round(Number(depositAmount) * 100) / 100;
-        const serverBalance = Math.round((serverTotal - serverDeposit) * 100) / 100;
-
-        const dep       = Math.max(0, serverDeposit);
-        const bal       = Math.max(0, serverBalance);
-        const bookingId = 'PB-' + crypto.randomBytes(6).toString('hex').toUpperCase();
+        const windowErr = limitError(bookingLimits(s, sastNow()), date, parseRange(time).start);
+        if (windowErr)                                                         return res.status(400).json({ error: windowErr });
+
+        // Price, time and name the booking from the Services sheet only
+        const priced = priceServices(await getServices(doc), services);
+        if (priced.unknown.length)                                             return res.status(400).json({ error: `Unknown or unavailable service: ${priced.unknown.join(', ')}` });
+        if (!priced.lines.length)                                              return res.status(400).json({ error: 'No services selected' });
+        const svcNames  = priced.names;
+        const svcIds    = priced.ids;
+        const svcMins   = priced.minutes;
+
+        // A redeemed pack session is already paid for, so the deposit and
+        // balance are worked out on what's left
+        let pack = null, credit = 0;
+        if (packCode) {
+            pack = await redeemablePack(doc, packCode, cleanEmail);
+            if (pack.error)                                                    return res.status(400).json({ error: pack.error });
+            credit = packCredit(priced, pack.serviceId);
+            if (!credit)                                                       return res.status(400).json({ error: `Your pack is for ${pack.serviceName} — add it to your booking to use a session` });
+        }
 
-        const isDivaNew     = divaType === 'new';
-        const safetyData    = (isDivaNew && safety) ? safety : null;
-        const skinNotes     = safetyData ? sanitize(safetyData.skinConditions,    500) : (isDivaNew ? '' : 'On File');
-        const medsNotes     = safetyData ? sanitize(safetyData.medications,       500) : (isDivaNew ? '' : 'On File');
-        const allergyNotes  = safetyData ? sanitize(safetyData.allergies,         500) : (isDivaNew ? '' : 'On File');
-        const healthNotes   = safetyData ? sanitize(safetyData.healthConditions,  500) : (isDivaNew ? '' : 'On File');
-        const environNotes  = safetyData ? sanitize(safetyData.environmental,     300) : '';
-        const physicalNotes = safetyData ? sanitize(safetyData.physical,          300) : '';
-        const pregnantNote  = safetyData ? (safetyData.pregnant     ? 'Yes' : 'No') : 'On File';
-        const hairOkNote    = safetyData ? (safetyData.hairLengthOk ? 'Yes' : 'No') : '';
-        const addlNotes     = safetyData ? sanitize(safetyData.additionalInfo,    500) : '';
+        // Promo discount comes off the services before the deposit is worked out
+        let promo = null;
+        const promoOpts = {
+            lines:     priced.lines,
+            client:    { email: cleanEmail, phone: cleanPhone },
+            excludeId: pack ? pack.serviceId : '',
+        };
+        if (promoCode) {
+            promo = await checkPromo(doc, promoCode, promoOpts);
+            if (promo.error)                                                   return res.status(400).json({ error: promo.error });
+        }
+        const discount = promo ? promo.discount : 0;
+
+        // A gift voucher pays the deposit first; what's left of it goes
+        // towards the balance when that's requested
+        let voucher = null;
+        if (voucherCode) {
+            voucher = await redeemableVoucher(doc, voucherCode);
+            if (voucher.error)                                                 return res.status(400).json({ error: voucher.error });
+        }
+
+        const notes   = [];
+        const callOut = await verifiedCallOut(s, cleanAddr, { callOutFee, oneWayKm, roundTripKm });
+        if (callOut.unverified) notes.push('Call-out fee not verified');
+        if (pack) notes.push(`Pack ${pack.purchaseId}: ${pack.serviceName} session redeemed (${pack.remaining - 1} left)`);
+        if (promo) notes.push(`Promo ${promo.code}: R${discount.toFixed(2)} off`);
+
+        const serverServicesTotal = priced.total;
+        const serverCallOut = callOut.fee;
+        const serverTotal   = round2(serverServicesTotal - discount + serverCallOut);
+        const deposit       = calcDeposit(netLines(priced.lines, { packServiceId: pack ? pack.serviceId : '', promo }), serverCallOut, depositRules(s));
+        const serverDeposit = deposit.amount;
+        const serverBalance = round2(serverTotal - credit - serverDeposit);
+
+        // Paying in full charges the balance with the deposit, and a voucher
+        // can then cover either (deposit first)
+        const inFull     = payInFull === true || payInFull === 'true';
+        const payable    = inFull ? round2(serverDeposit + serverBalance) : serverDeposit;
+        const voucherUse = voucher ? round2(Math.min(voucher.balance, Math.max(0, payable))) : 0;
+        const fromDep    = Math.min(voucherUse, Math.max(0, serverDeposit));
+        const dep       = Math.max(0, round2(serverDeposit - fromDep));
+        const bal       = Math.max(0, round2(serverBalance - (voucherUse - fromDep)));
+        const charge    = inFull ? round2(dep + bal) : dep;
+        const bookingId = 'PB-' + crypto.randomBytes(6).toString('hex').toUpperCase();
+        if (voucher) notes.push(`Voucher ${voucher.code}: R${voucherUse.toFixed(2)} towards the ${inFull ? 'booking' : 'deposit'} (R${round2(voucher.balance - voucherUse).toFixed(2)} left)`);
+        if (inFull) notes.push('Client chose to pay in full');
 
         const sheet = doc.sheetsByTitle['Bookings'];
         if (!sheet) throw new Error('Bookings tab not found');
 
-        await sheet.addRow({
-            'Booking ID':             bookingId,
-            'Date':                   date,
-            'Time':                   time,
-            'Client Name':            cleanName,
-            'Client Phone':           cleanPhone,
-            'Client Email':           cleanEmail,
-            'Client Address':         cleanAddr,
-            'Service IDs':            svcIds,
-            'Service Names':          svcNames,
-            'Service Duration (min)': svcMins || '',
-            'One Way Km':             Number(oneWayKm)    || '',
-            'Round Trip Km':          Number(roundTripKm) || '',
-            'Call Out Fee (R)':       Number(callOutFee).toFixed(2),
-            'Service Price (R)':      Number(servicesTotal).toFixed(2),
-            'Total Amount (R)':       Number(totalAmount).toFixed(2),
-            'Deposit Amount (R)':     dep.toFixed(2),
-            'Balance Due (R)':        bal.toFixed(2),
-            'Deposit Status':         'Pending Payment',
-            'Balance Status':         'Pending',
-            'Yoco Link':              '',
-            'Calendar Event ID':      '',
-            'Created At':             new Date().toLocaleString('en-ZA', { timeZone: 'Africa/Johannesburg' }),
-            'Yoco Checkout ID':       '',
-            'Notes':                  '',
+        const writeBooking = async (slot) => {
+            await sheet.addRow({
+                'Booking ID':             bookingId,
+                'Date':                   date,
+                'Time':                   slot,
+                'Client Name':            cleanName,
+                'Client Phone':           cleanPhone,
+                'Client Email':           cleanEmail,
+                'Client Address':         cleanAddr,
+                'Service IDs':            svcIds,
+                'Service Names':          svcNames,
+                'Service Duration (min)': svcMins || '',
+                'One Way Km':             callOut.oneWayKm    || '',
+                'Round Trip Km':          callOut.roundTripKm || '',
+                'Call Out Fee (R)':       serverCallOut.toFixed(2),
+                'Service Price (R)':      serverServicesTotal.toFixed(2),
+                'Total Amount (R)':       serverTotal.toFixed(2),
+                'Deposit Amount (R)':     dep.toFixed(2),
+                'Balance Due (R)':        bal.toFixed(2),
+                'Deposit Status':         'Pending Payment',
+                'Balance Status':         'Pending',
+                'Payment Option':         inFull ? 'Pay in Full' : 'Deposit',
+                'Yoco Link':              '',
+                'Calendar Event ID':      '',
+                'Created At':             sastStamp(),
+                'Yoco Checkout ID':       '',
+                'Pack Purchase ID':       pack ? pack.purchaseId : '',
+                'Pack Credit (R)':        credit ? credit.toFixed(2) : '',
+                'Voucher Code':           voucher ? voucher.code : '',
+                'Voucher Used (R)':       voucherUse ? voucherUse.toFixed(2) : '',
+                'Promo Code':             promo ? promo.code : '',
+                'Discount (R)':           discount ? discount.toFixed(2) : '',
+                'Deposit Breakdown':      depositBreakdown(deposit),
+                'Notes':                  notes.join('; '),
+            });
+            return null;
+        };
+
+        // Check and write under a per-date lock so two requests on the same
+        // warm instance can't both pass the check before either row lands
+        let bookedTime = time;
+        const clash = await withLock(`book:${date}`, async () => {
+            const check = await checkSlot(doc, s, { date, time, duration: svcMins });
+            if (!check.ok) return check;
+            bookedTime = check.slot;
+
+            // Pack sessions, promo limits and voucher balances span dates, so
+            // each is re-checked under its own lock — other bookings may have
+            // used them since the quote above
+            const lockIf = (key, fn) => key ? withLock(key, fn) : fn();
+            return lockIf(pack && `pack:${pack.purchaseId}`, () => lockIf(promo && `promo:${promo.code}`, () => lockIf(voucher && `voucher:${voucher.code}`, async () => {
+                if (pack) {
+                    const again = await redeemablePack(doc, pack.purchaseId, cleanEmail);
+                    if (again.error) return { packError: again.error };
+                }
+                if (promo) {
+                    const again = await checkPromo(doc, promo.code, promoOpts);
+                    if (again.error)                return { promoError: again.error };
+                    if (again.discount !== discount) return { promoError: 'This promo code has changed — please try again' };
+                }
+                if (voucher) {
+                    const fresh = await redeemableVoucher(doc, voucher.code);
+                    if (fresh.error) return { voucherError: fresh.error };
+                    if (round2(Math.min(fresh.balance, Math.max(0, payable))) < voucherUse) {
+                        return { voucherError: `Your voucher now has R${fresh.balance.toFixed(2)} left — please try again` };
+                    }
+                }
+                return writeBooking(check.slot);
+            })));
         });
 
-        try {
-            const consultSheet = doc.sheetsByTitle['Consultations'];
-            if (consultSheet) {
-                const consultRow = {
-                    'Booking ID':        bookingId,
-                    'Client Type':       isDivaNew ? 'New' : 'Existing',
-                    'Lead Source':       cleanSrc,
-                    'Skin Conditions':   skinNotes,
-                    'Medications':       medsNotes,
-                    'Allergies':         allergyNotes,
-                    'Health Conditions': healthNotes,
-                    'Pregnancy':         pregnantNote,
-                };
-                await consultSheet.loadHeaderRow();
-                const headers = consultSheet.headerValues || [];
-                if (headers.includes('Additional Notes'))       consultRow['Additional Notes']       = addlNotes;
-                if (headers.includes('Environmental Exposure')) consultRow['Environmental Exposure'] = environNotes;
-                if (headers.includes('Physical Factors'))       consultRow['Physical Factors']       = physicalNotes;
-                if (headers.includes('Hair Length OK'))         consultRow['Hair Length OK']         = hairOkNote;
-                await consultSheet.addRow(consultRow);
-            } else {
-                console.warn('Consultations tab not found — skipping');
-            }
-        } catch (consultErr) {
-            console.warn('Consultation row write failed (non-fatal):', consultErr.message);
+        if (clash && clash.packError)    return res.status(409).json({ error: clash.packError,    code: 'PACK_CHANGED' });
+        if (clash && clash.promoError)   return res.status(409).json({ error: clash.promoError,   code: 'PROMO_CHANGED' });
+        if (clash && clash.voucherError) return res.status(409).json({ error: clash.voucherError, code: 'VOUCHER_CHANGED' });
+        if (clash) {
+            console.log(`Slot taken: ${date} ${time} — offering alternatives`);
+            return res.status(409).json({
+                error:        'Sorry, that time was just booked — please pick another slot.',
+                code:         'SLOT_TAKEN',
+                alternatives: clash.alternatives,
+            });
         }
 
-        bustDocCache();
-        console.log(`Saved ${bookingId} — ${svcNames} on ${date} ${time}`);
+        await writeConsultation(doc, bookingId, { divaType, safety, source: cleanSrc });
+        if (waitlistToken) await markWaitlistBooked(doc, String(waitlistToken), bookingId);
 
-        if (dep < 2) return res.json({
-            success: true, bookingId, paymentUrl: null,
-            paymentError: 'Deposit below R2 — we will contact you.',
-            depositAmount: dep, balanceDue: bal,
-        });
+        bustDocCache();
+        console.log(`Saved ${bookingId} — ${svcNames} on ${date} ${bookedTime}`);
 
-        const appBase    = s.app_base_url           || 'http://localhost:3000';
-        const successUrl = s.booking_success_url    || `${appBase}/thankyou-balance.html?ref=${bookingId}`;
-        const cancelUrl  = s.booking_cancel_url     || `${appBase}/?payment=cancelled&ref=${bookingId}`;
-        const yocoKey    = s.yoco_secret_key        || '';
-        const rawSlug    = s.yoco_payment_page_slug || '';
-        const yocoSlug   = rawSlug.replace(/^https?:\/\/pay\.yoco\.com\//, '').replace(/\?.*$/, '').trim();
-
-        let paymentUrl = null, paymentError = null;
-
-        if (yocoKey) {
-            const { ok, data } = await yocoCheckout({
-                key: yocoKey, cents: Math.round(dep * 100), successUrl, cancelUrl,
-                customer: {
-                    email:     cleanEmail,
-                    firstName: nameParts[0]  || '',
-                    lastName:  nameParts.slice(1).join(' ') || '',
-                    phone:     cleanPhone,
-                },
-                metadata: { bookingId, serviceDate: date, serviceTime: time },
-                desc:     `PhenomeBeauty deposit — ${svcNames}`,
+        // Nothing to pay now (no-deposit services, or a pack or voucher covers
+        // it), so confirm straight away
+        if (charge === 0) {
+            const { row } = await findRow(doc, bookingId);
+            if (row) await confirmBookings(doc, s, row);
+            return res.json({
+                success: true, bookingId, paymentUrl: null, paymentError: null, confirmed: true,
+                servicesTotal: serverServicesTotal, callOutFee: serverCallOut, totalAmount: serverTotal,
+                discount, packCredit: credit, voucherUsed: voucherUse, depositAmount: dep, depositParts: deposit.parts, balanceDue: bal,
+                payInFull: inFull, amountDue: charge,
             });
-            if (ok && data.redirectUrl) {
-                paymentUrl = data.redirectUrl;
-                const { row } = await findRow(doc, bookingId);
-                if (row) {
-                    row.set('Yoco Checkout ID', data.id || '');
-                    row.set('Yoco Link', paymentUrl);
-                    await row.save();
-                }
-            } else {
-                paymentError = data.displayMessage || data.message || 'Yoco API error';
-            }
         }
 
-        if (!paymentUrl && yocoSlug) {
-            const p = new URLSearchParams({
-                amount:                   dep.toFixed(2),
-                reference:                bookingId,
-                firstName:                nameParts[0] || '',
-                lastName:                 nameParts.slice(1).join(' ') || '',
-                email,
-                redirectOnPaymentSuccess: successUrl,
-            });
-            paymentUrl = `https://pay.yoco.com/${yocoSlug}?${p}`;
-            const { row } = await findRow(doc, bookingId);
-            if (row) { row.set('Yoco Link', paymentUrl); await row.save(); }
-        }
+        if (charge < 2) return res.json({
+            success: true, bookingId, paymentUrl: null,
+            paymentError: `${inFull ? 'Payment' : 'Deposit'} below R2 — we will contact you.`,
+            servicesTotal: serverServicesTotal, callOutFee: serverCallOut, totalAmount: serverTotal,
+            discount, packCredit: credit, voucherUsed: voucherUse, depositAmount: dep, depositParts: deposit.parts, balanceDue: bal,
+            payInFull: inFull, amountDue: charge,
+        });
+
+        const { paymentUrl, paymentError } = await depositCheckout(doc, s, {
+            bookingIds: [bookingId],
+            amount:     charge,
+            client:     { name: cleanName, email: cleanEmail, phone: cleanPhone },
+            metadata:   { bookingId, serviceDate: date, serviceTime: bookedTime, ...(inFull ? { payInFull: true } : {}) },
+            desc:       inFull ? `PhenomeBeauty — ${svcNames} (paid in full)` : `PhenomeBeauty deposit — ${svcNames}`,
+        });
 
         return res.json({
-            success: true, bookingId, paymentUrl,
-            paymentError: paymentUrl ? null : (paymentError || 'No Yoco credentials in Settings'),
-            depositAmount: dep, balanceDue: bal,
+            success: true, bookingId, paymentUrl, paymentError,
+            servicesTotal: serverServicesTotal, callOutFee: serverCallOut, totalAmount: serverTotal,
+            discount, packCredit: credit, voucherUsed: voucherUse, depositAmount: dep, depositParts: deposit.parts, balanceDue: bal,
+            payInFull: inFull, amountDue: charge,
         });
 
     } catch (e) {
@@ -508,228 +928,2053 @@ app.post('/api/book', rateLimit(10, 60000), async (req, res) => {
 });
 
 // =============================================================================
-// POST /api/webhook/yoco
+// POST /api/book/group — bridal parties, matric groups
+// One organiser books for 2+ attendees at one address. Each attendee gets a
+// PB- row with their own services and consultation, in back-to-back blocks
+// from the chosen start; the rows share a GRP- Group ID, the single call-out
+// fee sits on the first row, and one deposit checkout covers everyone.
 // =============================================================================
-app.post('/api/webhook/yoco', rateLimit(60, 60000), async (req, res) => {
-    const webhookSecret = process.env.YOCO_WEBHOOK_SECRET || '';
-    console.log('Webhook headers:', JSON.stringify(req.headers));
-
-    if (webhookSecret) {
-        try {
-            const rawBody = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body);
-            const msgId        = req.headers['webhook-id'] || '';
-            const msgTimestamp = req.headers['webhook-timestamp'] || '';
-            const sigHeader    = req.headers['webhook-signature'] || '';
-
-            const secretStr = webhookSecret.startsWith('whsec_')
-                ? webhookSecret.slice(6)
-                : Buffer.from(webhookSecret).toString('base64');
-            const secretBytes = Buffer.from(secretStr, 'base64');
-
-            const toSign  = `${msgId}.${msgTimestamp}.${rawBody}`;
-            const expected = crypto.createHmac('sha256', secretBytes).update(toSign).digest('base64');
-
-            const sigs = sigHeader.split(' ').map(s => s.replace(/^v1,/, ''));
-            const matched = sigs.some(sig => {
-                try {
-                    const eBuf = Buffer.from(expected);
-                    const sBuf = Buffer.from(sig);
-                    return eBuf.length === sBuf.length && crypto.timingSafeEqual(eBuf, sBuf);
-                } catch { return false; }
-            });
-
-            if (!matched) {
-                console.error('Webhook signature mismatch');
-                return res.status(401).json({ error: 'Invalid signature' });
-            }
-            console.log('Webhook: signature verified ✓');
-        } catch (err) {
-            console.error('Webhook signature verification failed:', err.message);
-            return res.status(401).json({ error: 'Invalid signature' });
-        }
-    } else {
-        console.warn('YOCO_WEBHOOK_SECRET not set — skipping verification');
-    }
-
+app.post('/api/book/group', rateLimit(10, 60000), async (req, res) => {
     try {
-        const event   = req.body || {};
-        const payment = event.payload || event;
-        const meta    = payment.metadata || {};
+        const doc = await getDoc();
+        const s   = await getSettings(doc);
 
-        const successTypes = [
-            'payment.succeeded', 'payment.approved', 'payment_approved',
-            'payment.captured', 'payment_captured',
-        ];
+        const {
+            name, email, phone, address, date, time, attendees,
+            callOutFee, oneWayKm, roundTripKm, source,
+        } = req.body;
 
-        if (!successTypes.includes(event.type)) {
-            console.log(`Webhook: ignoring event type "${event.type}"`);
-            return res.status(200).json({ received: true });
-        }
+        const cleanName  = sanitize(name,    80);
+        const cleanEmail = sanitize(email,  120);
+        const cleanPhone = cleanPhoneNumber(phone);
+        const cleanAddr  = sanitize(address, 200);
+        const cleanSrc   = sanitize(source,   50);
+        const maxGuests  = parseInt(s.group_max_size || '8') || 8;
 
-        if (payment.status && payment.status !== 'succeeded') {
-            console.log(`Webhook: ignoring payment status "${payment.status}"`);
-            return res.status(200).json({ received: true });
-        }
+        if (cleanName.length < 2)                                              return res.status(400).json({ error: 'Invalid name' });
+        if (!/^\+\d{7,15}$/.test(cleanPhone))                                 return res.status(400).json({ error: 'Invalid phone number' });
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(cleanEmail))               return res.status(400).json({ error: 'Invalid email' });
+        if (cleanAddr.length < 5)                                              return res.status(400).json({ error: 'Invalid address' });
+        if (!Array.isArray(attendees) || attendees.length < 2)                return res.status(400).json({ error: 'A group booking needs at least 2 people' });
+        if (attendees.length > maxGuests)                                      return res.status(400).json({ error: `Groups are limited to ${maxGuests} people — please contact us for larger parties` });
+        if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date))                      return res.status(400).json({ error: 'Invalid date format' });
+        if (!time || !/^\d{2}:\d{2}-\d{2}:\d{2}$/.test(time))               return res.status(400).json({ error: 'Invalid time format' });
 
-        const bookingId = meta.bookingId || '';
-        if (!bookingId) {
-            console.warn('Webhook: no bookingId in metadata — ignoring');
-            return res.status(200).json({ received: true });
+        const windowErr = limitError(bookingLimits(s, sastNow()), date, parseRange(time).start);
+        if (windowErr)                                                         return res.status(400).json({ error: windowErr });
+
+        // Price every attendee from the Services sheet
+        const catalogue = await getServices(doc);
+        const people    = [];
+        for (const [i, a] of attendees.entries()) {
+            const who = sanitize(a && a.name, 80) || `Guest ${i + 1}`;
+            const services = a && a.services;
+            if (!Array.isArray(services) || services.length === 0)            return res.status(400).json({ error: `No services selected for ${who}` });
+            if (services.length > 20)                                          return res.status(400).json({ error: `Too many services for ${who}` });
+            const priced = priceServices(catalogue, services);
+            if (priced.unknown.length)                                         return res.status(400).json({ error: `Unknown or unavailable service: ${priced.unknown.join(', ')}` });
+            if (!priced.lines.length)                                          return res.status(400).json({ error: `No services selected for ${who}` });
+            people.push({ name: who, priced, divaType: a.divaType, safety: a.safety });
         }
 
-        const type = meta.type || 'deposit';
-        const doc     = await getDoc();
-        const { row } = await findRow(doc, bookingId);
-        if (!row) {
-            console.warn(`Webhook: booking ${bookingId} not found in sheet`);
-            return res.status(200).json({ received: true });
-        }
+        const notes   = [];
+        const callOut = await verifiedCallOut(s, cleanAddr, { callOutFee, oneWayKm, roundTripKm });
+        if (callOut.unverified) notes.push('Call-out fee not verified');
 
-        if (type === 'balance') {
-            if (row.get('Balance Status') === 'Paid') {
-                console.log(`Webhook: balance already paid for ${bookingId} — idempotent skip`);
-                return res.status(200).json({ received: true });
-            }
+        const rules      = depositRules(s);
+        const groupId    = 'GRP-' + crypto.randomBytes(5).toString('hex').toUpperCase();
+        const totalMins  = people.reduce((a, p) => a + p.priced.minutes, 0);
+        const blocks     = backToBack(parseRange(time).start, people.map(p => p.priced.minutes));
 
-            row.set('Balance Status', 'Paid');
-            await row.save();
-            console.log(`Webhook: balance paid for ${bookingId}`);
+        const lines = people.map((p, i) => {
+            const fee     = i === 0 ? callOut.fee : 0;
+            const total   = round2(p.priced.total + fee);
+            const deposit = calcDeposit(p.priced.lines, fee, rules).amount;
+            return {
+                ...p,
+                bookingId: 'PB-' + crypto.randomBytes(6).toString('hex').toUpperCase(),
+                time:      `${fromMins(blocks[i].start)}-${fromMins(blocks[i].end)}`,
+                fee, total, deposit,
+                balance:   Math.max(0, round2(total - deposit)),
+            };
+        });
 
-            const settings = await getSettings(doc);
+        const sheet = doc.sheetsByTitle['Bookings'];
+        if (!sheet) throw new Error('Bookings tab not found');
 
-            await Promise.all([
-                sendRebookEmail(settings, {
-                    bookingId,
-                    name:     row.get('Client Name'),
-                    email:    row.get('Client Email'),
-                    total:    row.get('Total Amount (R)'),
-                    services: row.get('Service Names'),
-                }).then(() => console.log('Rebook email sent')).catch((e) => console.error('Rebook email error:', e.message)),
+        // The whole run of blocks is checked as one treatment under the date lock
+        let bookedTime = time;
+        const clash = await withLock(`book:${date}`, async () => {
+            const check = await checkSlot(doc, s, { date, time, duration: totalMins });
+            if (!check.ok) return check;
+            bookedTime = check.slot;
+
+            await sheet.addRows(lines.map((l, i) => ({
+                'Booking ID':             l.bookingId,
+                'Group ID':               groupId,
+                'Group Organiser':        cleanName,
+                'Date':                   date,
+                'Time':                   l.time,
+                'Client Name':            l.name,
+                'Client Phone':           cleanPhone,
+                'Client Email':           cleanEmail,
+                'Client Address':         cleanAddr,
+                'Service IDs':            l.priced.ids,
+                'Service Names':          l.priced.names,
+                'Service Duration (min)': l.priced.minutes || '',
+                'One Way Km':             i === 0 ? (callOut.oneWayKm    || '') : '',
+                'Round Trip Km':          i === 0 ? (callOut.roundTripKm || '') : '',
+                'Call Out Fee (R)':       l.fee.toFixed(2),
+                'Service Price (R)':      l.priced.total.toFixed(2),
+                'Total Amount (R)':       l.total.toFixed(2),
+                'Deposit Amount (R)':     l.deposit.toFixed(2),
+                'Balance Due (R)':        l.balance.toFixed(2),
+                'Deposit Status':         'Pending Payment',
+                'Balance Status':         'Pending',
+                'Yoco Link':              '',
+                'Calendar Event ID':      '',
+                'Created At':             sastStamp(),
+                'Yoco Checkout ID':       '',
+                'Notes':                  [`Group ${groupId} (${lines.length} people) — organiser ${cleanName}`, ...notes].join('; '),
+            })));
+            return null;
+        });
 
-                sendAdminBalancePaidNotification(settings, {
-                    bookingId,
-                    name:        row.get('Client Name'),
-                    email:       row.get('Client Email'),
-                    phone:       row.get('Client Phone'),
-                    address:     row.get('Client Address'),
-                    services:    row.get('Service Names'),
-                    date:        row.get('Date'),
-                    time:        row.get('Time'),
-                    totalAmount: row.get('Total Amount (R)'),
-                    deposit:     row.get('Deposit Amount (R)'),
-                    balance:     row.get('Balance Due (R)'),
-                }).then(() => console.log('Admin balance-paid email sent')).catch((e) => console.error('Admin balance-paid email error:', e.message)),
-            ]);
+        if (clash) {
+            console.log(`Group slot taken: ${date} ${time} (${totalMins} min) — offering alternatives`);
+            return res.status(409).json({
+                error:        'Sorry, that time was just booked — please pick another slot.',
+                code:         'SLOT_TAKEN',
+                alternatives: clash.alternatives,
+            });
+        }
 
-            return res.status(200).json({ received: true });
+        for (const l of lines) {
+            await writeConsultation(doc, l.bookingId, { divaType: l.divaType, safety: l.safety, source: cleanSrc });
         }
 
-        const incomingPaymentId = payment.id || '';
-        const webhookMsgId = req.headers['webhook-id'] || '';
-        if (row.get('Deposit Status') === 'Confirmed' ||
-            (incomingPaymentId && row.get('Yoco Checkout ID') === incomingPaymentId) ||
-            (webhookMsgId && row.get('Last Webhook ID') === webhookMsgId)) {
-            console.log(`Webhook: deposit already confirmed for ${bookingId} — idempotent skip`);
-            return res.status(200).json({ received: true });
+        bustDocCache();
+        console.log(`Saved ${groupId} — ${lines.length} people on ${date} ${bookedTime}`);
+
+        const servicesTotal = round2(lines.reduce((a, l) => a + l.priced.total, 0));
+        const totalAmount   = round2(lines.reduce((a, l) => a + l.total, 0));
+        const dep           = round2(lines.reduce((a, l) => a + l.deposit, 0));
+        const bal           = round2(lines.reduce((a, l) => a + l.balance, 0));
+        const summary = {
+            success:    true,
+            bookingId:  lines[0].bookingId,
+            groupId,
+            attendees:  lines.map(l => ({ name: l.name, bookingId: l.bookingId, time: l.time, services: l.priced.names, total: l.total })),
+            servicesTotal, callOutFee: callOut.fee, totalAmount,
+            depositAmount: dep, balanceDue: bal,
+        };
+
+        if (dep === 0) {
+            const { row } = await findRow(doc, lines[0].bookingId);
+            if (row) await confirmBookings(doc, s, row, { meta: { groupId } });
+            return res.json({ ...summary, paymentUrl: null, paymentError: null, confirmed: true });
         }
-        if (webhookMsgId) row.set('Last Webhook ID', webhookMsgId);
+        if (dep < 2) return res.json({ ...summary, paymentUrl: null, paymentError: 'Deposit below R2 — we will contact you.' });
+
+        const { paymentUrl, paymentError } = await depositCheckout(doc, s, {
+            bookingIds: lines.map(l => l.bookingId),
+            amount:     dep,
+            client:     { name: cleanName, email: cleanEmail, phone: cleanPhone },
+            metadata:   { bookingId: lines[0].bookingId, groupId, serviceDate: date, serviceTime: bookedTime },
+            desc:       `PhenomeBeauty group deposit — ${lines.length} people`,
+        });
 
-        row.set('Deposit Status',   'Confirmed');
-        row.set('Yoco Checkout ID', incomingPaymentId || row.get('Yoco Checkout ID') || '');
-        await row.save();
-        console.log(`Webhook: deposit confirmed for ${bookingId}`);
+        return res.json({ ...summary, paymentUrl, paymentError });
 
-        const settings = await getSettings(doc);
+    } catch (e) {
+        console.error('POST /api/book/group:', e.message);
+        res.status(500).json({ error: 'Failed to save booking — please try again' });
+    }
+});
 
-        let calId = null;
+// =============================================================================
+// RECURRING SERIES — maintenance treatments every N weeks ('Series ID' SER-…)
+// Every visit is its own PB- row ('Series Occurrence' "2/6"), so one visit can
+// be moved or cancelled without touching the rest. Deposits are either paid
+// up front for every visit in one checkout, or per visit: the first now, the
+// rest sit as 'Reserved' (slot held, nothing paid) until their deposit link
+// goes out series_deposit_days before the visit (default 14).
+// =============================================================================
+const SERIES_MAX_VISITS = 12;
+const SERIES_MAX_WEEKS  = 12;
+
+// Hold the booking lock of every date, in sorted order so two series can't
+// each hold a date the other is waiting for
+function withDateLocks(dates, fn) {
+    const keys = [...new Set(dates)].sort();
+    const next = (i) => i < keys.length ? withLock(`book:${keys[i]}`, () => next(i + 1)) : fn();
+    return next(0);
+}
+
+/**
+ * Check one start time on every date of a series. Only the first visit is
+ * held to max_advance_days — booking well ahead is the point of a series.
+ * @returns {Array} - [{ date, ok, slot, alternatives }]
+ */
+async function checkSeries(doc, s, { dates, time, duration, limitFirst = true }) {
+    const sheet = doc.sheetsByTitle['Bookings'];
+    const [avRows, bRows] = await Promise.all([
+        getAvailabilityRows(doc),
+        sheet ? sheet.getRows() : Promise.resolve([]),
+    ]);
+    const sast  = sastNow();
+    const start = (time || '').split('-')[0];
+    return dates.map((date, i) => {
+        const limits = bookingLimits(limitFirst && i === 0 ? s : { min_notice_hours: s.min_notice_hours }, sast);
+        const open   = openSlots({ avRows, bookingRows: bRows, from: date, to: date, duration, now: sast, limits });
+        const slot   = (open[date] || []).find(t => t.split('-')[0] === start);
+        return { date, ok: !!slot, slot: slot || '', alternatives: open[date] || [] };
+    });
+}
+
+/**
+ * Check every date under its lock and write one row per visit — all or nothing.
+ * @returns {Object} - { lines } or { conflicts: [{ date, alternatives }] }
+ */
+async function writeSeries(doc, s, opts) {
+    const { seriesId, dates, time, everyWeeks, priced, callOut, client, statuses, notes = [], firstVisit = 1, visits, limitFirst } = opts;
+    const sheet = doc.sheetsByTitle['Bookings'];
+    if (!sheet) throw new Error('Bookings tab not found');
+    const rules = depositRules(s);
+
+    return withDateLocks(dates, async () => {
+        const checks    = await checkSeries(doc, s, { dates, time, duration: priced.minutes, limitFirst });
+        const conflicts = checks.filter(c => !c.ok).map(c => ({ date: c.date, alternatives: c.alternatives }));
+        if (conflicts.length) return { conflicts };
+
+        const total   = round2(priced.total + callOut.fee);
+        const deposit = calcDeposit(priced.lines, callOut.fee, rules).amount;
+        const lines   = checks.map((c, i) => ({
+            bookingId: 'PB-' + crypto.randomBytes(6).toString('hex').toUpperCase(),
+            date:      c.date,
+            time:      c.slot,
+            visit:     `${firstVisit + i}/${visits}`,
+            status:    statuses[i],
+            total, deposit,
+            balance:   Math.max(0, round2(total - deposit)),
+        }));
+
+        await sheet.addRows(lines.map(l => ({
+            'Booking ID':             l.bookingId,
+            'Series ID':              seriesId,
+            'Series Occurrence':      l.visit,
+            'Date':                   l.date,
+            'Time':                   l.time,
+            'Client Name':            client.name,
+            'Client Phone':           client.phone,
+            'Client Email':           client.email,
+            'Client Address':         client.address,
+            'Service IDs':            priced.ids,
+            'Service Names':          priced.names,
+            'Service Duration (min)': priced.minutes || '',
+            'One Way Km':             callOut.oneWayKm    || '',
+            'Round Trip Km':          callOut.roundTripKm || '',
+            'Call Out Fee (R)':       callOut.fee.toFixed(2),
+            'Service Price (R)':      priced.total.toFixed(2),
+            'Total Amount (R)':       l.total.toFixed(2),
+            'Deposit Amount (R)':     l.deposit.toFixed(2),
+            'Balance Due (R)':        l.balance.toFixed(2),
+            'Deposit Status':         l.status,
+            'Balance Status':         'Pending',
+            'Yoco Link':              '',
+            'Calendar Event ID':      '',
+            'Created At':             sastStamp(),
+            'Yoco Checkout ID':       '',
+            'Notes':                  [`Series ${seriesId} — visit ${l.visit}, every ${everyWeeks} weeks`, ...notes].join('; '),
+        })));
+        return { lines };
+    });
+}
+
+// 409 body when some visits of a series can't be booked
+function seriesClash(conflicts) {
+    return {
+        error:     `These dates are already taken: ${conflicts.map(c => c.date).join(', ')} — try another time or start date.`,
+        code:      'SERIES_CLASH',
+        conflicts,
+    };
+}
+
+/**
+ * Email a deposit link for reserved series visits — one row for a single
+ * visit, several to collect them in one checkout. Visits whose services need
+ * no deposit are confirmed straight away instead.
+ * @returns {Object} - { paymentUrl, paymentError, amount, confirmed }
+ */
+async function requestSeriesDeposit(doc, s, rows) {
+    const first  = rows[0];
+    const amount = round2(rows.reduce((a, r) => a + parseRands(r.get('Deposit Amount (R)')), 0));
+    if (amount === 0) {
+        for (const r of rows) await confirmBookings(doc, s, r);
+        return { paymentUrl: null, paymentError: null, amount, confirmed: true };
+    }
+    if (amount < 2) return { paymentUrl: null, paymentError: 'Deposit below R2', amount };
+
+    const client = {
+        name:  first.get('Client Name')  || '',
+        email: first.get('Client Email') || '',
+        phone: first.get('Client Phone') || '',
+    };
+    const { paymentUrl, paymentError } = await depositCheckout(doc, s, {
+        bookingIds: rows.map(r => r.get('Booking ID')),
+        amount,
+        client,
+        metadata:   {
+            bookingId:   first.get('Booking ID'),
+            seriesId:    first.get('Series ID') || '',
+            serviceDate: first.get('Date'),
+            serviceTime: first.get('Time'),
+        },
+        desc:       rows.length > 1
+            ? `PhenomeBeauty series deposit — ${rows.length} visits`
+            : `PhenomeBeauty deposit — ${first.get('Service Names')}`,
+    });
+
+    if (paymentUrl) {
+        await sendSeriesDepositEmail(s, {
+            ...client,
+            seriesId:   first.get('Series ID'),
+            services:   first.get('Service Names'),
+            dates:      rows.map(r => ({ date: r.get('Date'), time: r.get('Time') })),
+            deposit:    amount,
+            paymentUrl,
+        });
+    }
+    return { paymentUrl, paymentError, amount };
+}
+
+// =============================================================================
+// POST /api/book/series — /api/book fields plus
+// series: { everyWeeks, count, deposit: 'each' | 'upfront' }
+// =============================================================================
+app.post('/api/book/series', rateLimit(10, 60000), async (req, res) => {
+    try {
+        const doc = await getDoc();
+        const s   = await getSettings(doc);
+
+        const {
+            name, email, phone, address, services, date, time,
+            callOutFee, oneWayKm, roundTripKm, source, divaType, safety, series,
+        } = req.body;
+
+        const cleanName  = sanitize(name,    80);
+        const cleanEmail = sanitize(email,  120);
+        const cleanPhone = cleanPhoneNumber(phone);
+        const cleanAddr  = sanitize(address, 200);
+        const cleanSrc   = sanitize(source,   50);
+        const everyWeeks = parseInt(series && series.everyWeeks) || 0;
+        const count      = parseInt(series && series.count)      || 0;
+        const upfront    = !!series && series.deposit === 'upfront';
+
+        if (cleanName.length < 2)                                              return res.status(400).json({ error: 'Invalid name' });
+        if (!/^\+\d{7,15}$/.test(cleanPhone))                                 return res.status(400).json({ error: 'Invalid phone number' });
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(cleanEmail))               return res.status(400).json({ error: 'Invalid email' });
+        if (cleanAddr.length < 5)                                              return res.status(400).json({ error: 'Invalid address' });
+        if (!Array.isArray(services) || services.length === 0)                return res.status(400).json({ error: 'No services selected' });
+        if (services.length > 20)                                              return res.status(400).json({ error: 'Too many services' });
+        if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date))                      return res.status(400).json({ error: 'Invalid date format' });
+        if (!time || !/^\d{2}:\d{2}-\d{2}:\d{2}$/.test(time))               return res.status(400).json({ error: 'Invalid time format' });
+        if (everyWeeks < 1 || everyWeeks > SERIES_MAX_WEEKS)                  return res.status(400).json({ error: `Repeat every 1 to ${SERIES_MAX_WEEKS} weeks` });
+        if (count < 2 || count > SERIES_MAX_VISITS)                           return res.status(400).json({ error: `A series is 2 to ${SERIES_MAX_VISITS} visits` });
+
+        const windowErr = limitError(bookingLimits(s, sastNow()), date, parseRange(time).start);
+        if (windowErr)                                                         return res.status(400).json({ error: windowErr });
+
+        const priced = priceServices(await getServices(doc), services);
+        if (priced.unknown.length)                                             return res.status(400).json({ error: `Unknown or unavailable service: ${priced.unknown.join(', ')}` });
+        if (!priced.lines.length)                                              return res.status(400).json({ error: 'No services selected' });
+
+        const notes   = [];
+        const callOut = await verifiedCallOut(s, cleanAddr, { callOutFee, oneWayKm, roundTripKm });
+        if (callOut.unverified) notes.push('Call-out fee not verified');
+
+        const seriesId = 'SER-' + crypto.randomBytes(5).toString('hex').toUpperCase();
+        const dates    = seriesDates(date, everyWeeks, count);
+        const result   = await writeSeries(doc, s, {
+            seriesId, dates, time, everyWeeks, priced, callOut, notes,
+            client:   { name: cleanName, email: cleanEmail, phone: cleanPhone, address: cleanAddr },
+            statuses: dates.map((_, i) => upfront || i === 0 ? 'Pending Payment' : 'Reserved'),
+            visits:   count,
+        });
+
+        if (result.conflicts) {
+            console.log(`Series clash: ${result.conflicts.map(c => c.date).join(', ')} at ${time}`);
+            return res.status(409).json(seriesClash(result.conflicts));
+        }
+
+        const { lines } = result;
+        await writeConsultation(doc, lines[0].bookingId, { divaType, safety, source: cleanSrc });
+
+        bustDocCache();
+        console.log(`Saved ${seriesId} — ${priced.names}, ${count} visits every ${everyWeeks} weeks from ${date}`);
+
+        const due = upfront ? lines : lines.slice(0, 1);
+        const dep = round2(due.reduce((a, l) => a + l.deposit, 0));
+        const summary = {
+            success:       true,
+            bookingId:     lines[0].bookingId,
+            seriesId,
+            visits:        lines.map(l => ({ bookingId: l.bookingId, date: l.date, time: l.time, status: l.status })),
+            servicesTotal: priced.total, callOutFee: callOut.fee, totalAmount: lines[0].total,
+            seriesTotal:   round2(lines[0].total * lines.length),
+            depositAmount: dep, balanceDue: lines[0].balance,
+            depositMode:   upfront ? 'upfront' : 'each',
+        };
+
+        if (dep === 0) {
+            const ids = due.map(l => l.bookingId);
+            for (const row of (await seriesRows(doc, seriesId)).filter(r => ids.includes(r.get('Booking ID')))) {
+                await confirmBookings(doc, s, row);
+            }
+            return res.json({ ...summary, paymentUrl: null, paymentError: null, confirmed: true });
+        }
+        if (dep < 2) return res.json({ ...summary, paymentUrl: null, paymentError: 'Deposit below R2 — we will contact you.' });
+
+        const { paymentUrl, paymentError } = await depositCheckout(doc, s, {
+            bookingIds: due.map(l => l.bookingId),
+            amount:     dep,
+            client:     { name: cleanName, email: cleanEmail, phone: cleanPhone },
+            metadata:   { bookingId: lines[0].bookingId, seriesId, serviceDate: date, serviceTime: lines[0].time },
+            desc:       upfront ? `PhenomeBeauty series deposit — ${count} visits` : `PhenomeBeauty deposit — ${priced.names}`,
+        });
+
+        return res.json({ ...summary, paymentUrl, paymentError });
+
+    } catch (e) {
+        console.error('POST /api/book/series:', e.message);
+        res.status(500).json({ error: 'Failed to save booking — please try again' });
+    }
+});
+
+// =============================================================================
+// TREATMENT PACKS — Packs tab (products) · Pack Purchases tab (one row per sale)
+// A purchase's 'Purchase ID' (PP-…) is the code the client books with. Its
+// sessions are counted from the Bookings rows that redeem it (see lib/packs.js),
+// so a cancelled booking hands its session back without any bookkeeping.
+// =============================================================================
+async function packCatalogue(doc) {
+    const sheet = doc.sheetsByTitle['Packs'];
+    if (!sheet) return [];
+    const services = await getServices(doc);
+    return parsePacks(await sheet.getRows()).map(p => {
+        const svc = services.find(x => String(x.id) === p.serviceId);
+        if (!svc) return null;
+        return {
+            ...p,
+            serviceName: svc.name,
+            servicePrice: svc.price,
+            saving: round2(Math.max(0, svc.price * p.sessions - p.price)),
+        };
+    }).filter(Boolean);
+}
+
+/**
+ * A purchase the client can book a session from
+ * @returns {Object} - { purchase, serviceId, serviceName, packName, sessions, remaining } or { error }
+ */
+async function redeemablePack(doc, code, email) {
+    const sheet = doc.sheetsByTitle['Pack Purchases'];
+    const id    = String(code || '').trim().toUpperCase();
+    const row   = sheet && id ? (await sheet.getRows()).find(r => (r.get('Purchase ID') || '').trim() === id) : null;
+    if (!row || (row.get('Client Email') || '').toLowerCase() !== String(email || '').trim().toLowerCase()) {
+        return { error: 'Pack code not found for this email address' };
+    }
+    if (row.get('Status') !== 'Active') {
+        return { error: row.get('Status') === 'Used Up' ? 'Every session in this pack has been used' : 'This pack hasn\'t been paid for yet' };
+    }
+
+    const bSheet    = doc.sheetsByTitle['Bookings'];
+    const sessions  = parseInt(row.get('Sessions') || 0) || 0;
+    const { booked } = packUsage(id, bSheet ? await bSheet.getRows() : []);
+    if (booked >= sessions) return { error: 'Every session in this pack is already booked' };
+
+    return {
+        purchase:    row,
+        purchaseId:  id,
+        packName:    row.get('Pack Name')    || '',
+        serviceId:   row.get('Service ID')   || '',
+        serviceName: row.get('Service Name') || '',
+        sessions,
+        remaining:   sessions - booked,
+    };
+}
+
+/**
+ * Recount a purchase's used sessions and copy them to the Loyalty Tracker's
+ * 'Pack Progress' (matched on phone number, then name). Never throws.
+ */
+async function syncPackProgress(doc, purchaseId) {
+    const pSheet = doc.sheetsByTitle['Pack Purchases'];
+    const bSheet = doc.sheetsByTitle['Bookings'];
+    if (!pSheet || !bSheet || !purchaseId) return;
+
+    try {
+        const purchase = (await pSheet.getRows()).find(r => (r.get('Purchase ID') || '').trim() === purchaseId);
+        if (!purchase) return;
+
+        const sessions = parseInt(purchase.get('Sessions') || 0) || 0;
+        const { used } = packUsage(purchaseId, await bSheet.getRows());
+        purchase.set('Sessions Used', used);
+        purchase.set('Status', used >= sessions ? 'Used Up' : 'Active');
+        await purchase.save();
+
+        const lSheet = doc.sheetsByTitle['Loyalty Tracker'];
+        if (!lSheet) return;
+        const name     = purchase.get('Client Name')  || '';
+        const phone    = purchase.get('Client Phone') || '';
+        const progress = `${used}/${sessions} ${purchase.get('Pack Name') || ''}`.trim();
+        const lRows    = await lSheet.getRows();
+        const lRow     = lRows.find(r => samePhone(r.get('Phone Number'), phone)) ||
+                         lRows.find(r => (r.get('Client Name') || '').trim().toLowerCase() === name.trim().toLowerCase());
+        if (lRow) {
+            lRow.set('Pack Progress', progress);
+            await lRow.save();
+        } else {
+            await lSheet.addRow({ 'Client Name': name, 'Phone Number': phone, 'Pack Progress': progress });
+        }
+        console.log(`Pack ${purchaseId}: ${progress}`);
+    } catch (e) {
+        console.warn('Pack progress update failed (non-fatal):', e.message);
+    }
+}
+
+// Webhook: a pack checkout was paid
+async function activatePack(doc, purchaseId, paymentId) {
+    const sheet = doc.sheetsByTitle['Pack Purchases'];
+    const row   = sheet ? (await sheet.getRows()).find(r => (r.get('Purchase ID') || '').trim() === purchaseId) : null;
+    if (!row) {
+        console.warn(`Webhook: pack purchase ${purchaseId} not found`);
+        return;
+    }
+    if (row.get('Status') !== 'Pending Payment') {
+        console.log(`Webhook: pack ${purchaseId} already ${row.get('Status')} — idempotent skip`);
+        return;
+    }
+
+    row.set('Status',           'Active');
+    row.set('Paid At',          sastStamp());
+    row.set('Yoco Checkout ID', paymentId || row.get('Yoco Checkout ID') || '');
+    await row.save();
+    console.log(`Webhook: pack ${purchaseId} paid`);
+    await addPayment(doc, { type: 'Pack Sale', amount: parseRands(row.get('Price (R)')), reference: purchaseId, providerId: paymentId, by: 'webhook' });
+
+    const settings = await getSettings(doc);
+    await syncPackProgress(doc, purchaseId);
+    await sendPackPurchaseEmail(settings, {
+        purchaseId,
+        name:        row.get('Client Name'),
+        email:       row.get('Client Email'),
+        packName:    row.get('Pack Name'),
+        serviceName: row.get('Service Name'),
+        sessions:    row.get('Sessions'),
+        price:       row.get('Price (R)'),
+    });
+}
+
+// =============================================================================
+// POST /api/packs/buy — { packId, name, email, phone } → Yoco checkout
+// =============================================================================
+app.post('/api/packs/buy', rateLimit(5, 60000), async (req, res) => {
+    try {
+        const doc   = await getDoc();
+        const s     = await getSettings(doc);
+        const sheet = doc.sheetsByTitle['Pack Purchases'];
+        const provider = paymentProvider(s);
+        if (!sheet || !provider.ready) return res.status(503).json({ error: 'Packs can\'t be bought online right now — please contact us' });
+
+        const { packId, name, email, phone } = req.body;
+        const cleanName  = sanitize(name,   80);
+        const cleanEmail = sanitize(email, 120);
+        const cleanPhone = cleanPhoneNumber(phone);
+
+        if (cleanName.length < 2)                                              return res.status(400).json({ error: 'Invalid name' });
+        if (!/^\+\d{7,15}$/.test(cleanPhone))                                 return res.status(400).json({ error: 'Invalid phone number' });
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(cleanEmail))               return res.status(400).json({ error: 'Invalid email' });
+
+        const pack = (await packCatalogue(doc)).find(p => p.id === String(packId || '').trim());
+        if (!pack)                                                             return res.status(400).json({ error: 'Unknown or unavailable pack' });
+        if (pack.price < 2)                                                    return res.status(400).json({ error: 'This pack can\'t be bought online — please contact us' });
+
+        const purchaseId = 'PP-' + crypto.randomBytes(5).toString('hex').toUpperCase();
+        const base       = s.app_base_url || 'http://localhost:3000';
+        const nameParts  = cleanName.split(/\s+/);
+
+        const co = await provider.createCheckout({
+            amount:      pack.price,
+            successUrl:  `${base}/packs.html?bought=${purchaseId}`,
+            cancelUrl:   `${base}/packs.html?payment=cancelled`,
+            customer:    { email: cleanEmail, firstName: nameParts[0] || '', lastName: nameParts.slice(1).join(' ') || '', phone: cleanPhone },
+            metadata:    { type: 'pack', purchaseId },
+            description: `PhenomeBeauty ${pack.name}`,
+        });
+        if (!co.ok) return res.status(502).json({ error: co.error || 'Payment could not be started' });
+
+        await sheet.addRow({
+            'Purchase ID':      purchaseId,
+            'Pack ID':          pack.id,
+            'Pack Name':        pack.name,
+            'Service ID':       pack.serviceId,
+            'Service Name':     pack.serviceName,
+            'Client Name':      cleanName,
+            'Client Email':     cleanEmail,
+            'Client Phone':     cleanPhone,
+            'Sessions':         pack.sessions,
+            'Sessions Used':    0,
+            'Price (R)':        pack.price.toFixed(2),
+            'Status':           'Pending Payment',
+            'Created At':       sastStamp(),
+            'Paid At':          '',
+            'Yoco Checkout ID': co.id,
+            'Yoco Link':        co.redirectUrl,
+        });
+        console.log(`Pack checkout ${purchaseId} — ${pack.name} for ${cleanEmail}`);
+
+        res.json({ success: true, purchaseId, paymentUrl: co.redirectUrl });
+    } catch (e) {
+        console.error('POST /api/packs/buy:', e.message);
+        res.status(500).json({ error: 'Could not start the purchase — please try again' });
+    }
+});
+
+// =============================================================================
+// GET /api/packs/check?code=&email= — sessions left before redeeming one
+// =============================================================================
+app.get('/api/packs/check', rateLimit(20, 60000), async (req, res) => {
+    try {
+        const pack = await redeemablePack(await getDoc(), req.query.code, req.query.email);
+        if (pack.error) return res.status(404).json({ error: pack.error });
+        res.json({
+            code:        pack.purchaseId,
+            packName:    pack.packName,
+            serviceId:   pack.serviceId,
+            serviceName: pack.serviceName,
+            sessions:    pack.sessions,
+            remaining:   pack.remaining,
+        });
+    } catch (e) {
+        console.error('packs/check:', e.message);
+        res.status(500).json({ error: 'Service unavailable — please try again' });
+    }
+});
+
+// =============================================================================
+// GIFT VOUCHERS — Vouchers tab, one row per voucher sold
+// The code (GV-…) is all a recipient needs: it pays deposits first, then the
+// balance request draws whatever is left. Like packs, the remaining balance
+// is counted from the Bookings rows that used it (see lib/vouchers.js).
+// Valid for voucher_valid_months (default 12) from payment.
+// =============================================================================
+/**
+ * A voucher that can still pay for something
+ * @param {Object}  opts.allowExpired - Honour an expired voucher already on a booking
+ * @returns {Object} - { row, code, amount, balance, expires } or { error }
+ */
+async function redeemableVoucher(doc, code, { allowExpired = false } = {}) {
+    const sheet = doc.sheetsByTitle['Vouchers'];
+    const id    = String(code || '').trim().toUpperCase();
+    const row   = sheet && id ? (await sheet.getRows()).find(r => (r.get('Voucher Code') || '').trim() === id) : null;
+    if (!row) return { error: 'Voucher code not recognised' };
+
+    const bSheet = doc.sheetsByTitle['Bookings'];
+    const v      = voucherState(row, bSheet ? await bSheet.getRows() : [], sastNow().dateStr);
+    if (v.status === 'Pending Payment')                return { error: 'This voucher hasn\'t been paid for yet' };
+    if (v.status === 'Redeemed')                       return { error: 'This voucher has been fully used' };
+    if (v.status === 'Expired' && !allowExpired)       return { error: `This voucher expired on ${v.expires}` };
+
+    return { row, code: id, amount: v.amount, balance: v.balance, expires: v.expires };
+}
+
+// Stamp a voucher draw on the booking row (the caller saves)
+function addVoucherDraw(row, amount) {
+    row.set('Voucher Used (R)', round2(parseRands(row.get('Voucher Used (R)')) + amount).toFixed(2));
+}
+
+// Webhook: a voucher checkout was paid — activate it and send it to the recipient
+async function activateVoucher(doc, code, paymentId) {
+    const sheet = doc.sheetsByTitle['Vouchers'];
+    const row   = sheet ? (await sheet.getRows()).find(r => (r.get('Voucher Code') || '').trim() === code) : null;
+    if (!row) {
+        console.warn(`Webhook: voucher ${code} not found`);
+        return;
+    }
+    if (row.get('Status') !== 'Pending Payment') {
+        console.log(`Webhook: voucher ${code} already ${row.get('Status')} — idempotent skip`);
+        return;
+    }
+
+    const settings = await getSettings(doc);
+    const months   = parseInt(settings.voucher_valid_months || '12') || 12;
+
+    row.set('Status',           'Active');
+    row.set('Paid At',          sastStamp());
+    row.set('Expires',          voucherExpiry(sastNow().dateStr, months));
+    row.set('Yoco Checkout ID', paymentId || row.get('Yoco Checkout ID') || '');
+    await row.save();
+    console.log(`Webhook: voucher ${code} paid`);
+    await addPayment(doc, { type: 'Voucher Sale', amount: parseRands(row.get('Amount (R)')), reference: code, providerId: paymentId, by: 'webhook' });
+
+    await sendGiftVoucherEmail(settings, {
+        code,
+        amount:         row.get('Amount (R)'),
+        expires:        row.get('Expires'),
+        message:        row.get('Message'),
+        purchaserName:  row.get('Purchaser Name'),
+        purchaserEmail: row.get('Purchaser Email'),
+        recipientName:  row.get('Recipient Name'),
+        recipientEmail: row.get('Recipient Email'),
+    });
+}
+
+// =============================================================================
+// POST /api/vouchers/buy — { amount, name, email, phone, recipientName,
+// recipientEmail, message } → Yoco checkout
+// =============================================================================
+app.post('/api/vouchers/buy', rateLimit(5, 60000), async (req, res) => {
+    try {
+        const doc   = await getDoc();
+        const s     = await getSettings(doc);
+        const sheet = doc.sheetsByTitle['Vouchers'];
+        const provider = paymentProvider(s);
+        if (!sheet || !provider.ready) return res.status(503).json({ error: 'Vouchers can\'t be bought online right now — please contact us' });
+
+        const { amount, name, email, phone, recipientName, recipientEmail, message } = req.body;
+        const value      = round2(parseFloat(amount) || 0);
+        const cleanName  = sanitize(name,   80);
+        const cleanEmail = sanitize(email, 120);
+        const cleanPhone = cleanPhoneNumber(phone);
+        const toName     = sanitize(recipientName,  80) || cleanName;
+        const toEmail    = sanitize(recipientEmail, 120) || cleanEmail;
+        const cleanMsg   = sanitize(message, 300);
+
+        if (value < 50 || value > 10000)                                      return res.status(400).json({ error: 'Vouchers can be from R50 to R10,000' });
+        if (cleanName.length < 2)                                              return res.status(400).json({ error: 'Invalid name' });
+        if (!/^\+\d{7,15}$/.test(cleanPhone))                                 return res.status(400).json({ error: 'Invalid phone number' });
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(cleanEmail))               return res.status(400).json({ error: 'Invalid email' });
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(toEmail))                  return res.status(400).json({ error: 'Invalid recipient email' });
+
+        // Codes are what redeem the money, so never hand out the same one twice
+        const taken = new Set((await sheet.getRows()).map(r => (r.get('Voucher Code') || '').trim()));
+        let code;
+        do { code = 'GV-' + crypto.randomBytes(5).toString('hex').toUpperCase(); } while (taken.has(code));
+
+        const base      = s.app_base_url || 'http://localhost:3000';
+        const nameParts = cleanName.split(/\s+/);
+
+        const co = await provider.createCheckout({
+            amount:      value,
+            successUrl:  `${base}/vouchers.html?bought=${code}`,
+            cancelUrl:   `${base}/vouchers.html?payment=cancelled`,
+            customer:    { email: cleanEmail, firstName: nameParts[0] || '', lastName: nameParts.slice(1).join(' ') || '', phone: cleanPhone },
+            metadata:    { type: 'voucher', code },
+            description: `PhenomeBeauty gift voucher — R${value.toFixed(2)}`,
+        });
+        if (!co.ok) return res.status(502).json({ error: co.error || 'Payment could not be started' });
+
+        await sheet.addRow({
+            'Voucher Code':     code,
+            'Amount (R)':       value.toFixed(2),
+            'Purchaser Name':   cleanName,
+            'Purchaser Email':  cleanEmail,
+            'Purchaser Phone':  cleanPhone,
+            'Recipient Name':   toName,
+            'Recipient Email':  toEmail,
+            'Message':          cleanMsg,
+            'Status':           'Pending Payment',
+            'Created At':       sastStamp(),
+            'Paid At':          '',
+            'Expires':          '',
+            'Yoco Checkout ID': co.id,
+            'Yoco Link':        co.redirectUrl,
+        });
+        console.log(`Voucher checkout ${code} — R${value.toFixed(2)} from ${cleanEmail} for ${toEmail}`);
+
+        res.json({ success: true, code, paymentUrl: co.redirectUrl });
+    } catch (e) {
+        console.error('POST /api/vouchers/buy:', e.message);
+        res.status(500).json({ error: 'Could not start the purchase — please try again' });
+    }
+});
+
+// =============================================================================
+// GET /api/vouchers/check?code= — remaining balance before redeeming
+// =============================================================================
+app.get('/api/vouchers/check', rateLimit(20, 60000), async (req, res) => {
+    try {
+        const v = await redeemableVoucher(await getDoc(), req.query.code);
+        if (v.error) return res.status(404).json({ error: v.error });
+        res.json({ code: v.code, balance: v.balance, expires: v.expires });
+    } catch (e) {
+        console.error('vouchers/check:', e.message);
+        res.status(500).json({ error: 'Service unavailable — please try again' });
+    }
+});
+
+// =============================================================================
+// PROMO CODES — Promo Codes tab (see lib/promos.js for the columns)
+// A booking carries its 'Promo Code' and 'Discount (R)'; its Total Amount is
+// the discounted total, so the deposit and balance follow from it as usual.
+// =============================================================================
+/**
+ * Validate a code for this booking
+ * @returns {Object} - { code, description, discount, eligible } or { error }
+ */
+async function checkPromo(doc, code, { lines, client, excludeId = '' }) {
+    const sheet = doc.sheetsByTitle['Promo Codes'];
+    const id    = String(code || '').trim().toUpperCase();
+    const promo = sheet && id ? parsePromos(await sheet.getRows()).find(p => p.code === id) : null;
+    if (!promo) return { error: 'Promo code not recognised' };
+
+    const bSheet = doc.sheetsByTitle['Bookings'];
+    const result = applyPromo(promo, {
+        lines,
+        client,
+        excludeId,
+        bookingRows: bSheet ? await bSheet.getRows() : [],
+        todayStr:    sastNow().dateStr,
+    });
+    if (result.error) return result;
+    return { code: id, description: promo.description, ...result };
+}
+
+// =============================================================================
+// POST /api/promos/check — { code, services, email, phone, packServiceId }
+// Preview for the review step; /api/book checks again before saving
+// =============================================================================
+app.post('/api/promos/check', rateLimit(20, 60000), async (req, res) => {
+    try {
+        const doc = await getDoc();
+        const { code, services, email, phone, packServiceId } = req.body;
+        const priced = priceServices(await getServices(doc), Array.isArray(services) ? services : []);
+        if (!priced.lines.length) return res.status(400).json({ error: 'Choose your services first' });
+
+        const promo = await checkPromo(doc, code, {
+            lines:     priced.lines,
+            client:    { email: sanitize(email, 120), phone: cleanPhoneNumber(phone) },
+            excludeId: sanitize(packServiceId, 20),
+        });
+        if (promo.error) return res.status(400).json({ error: promo.error });
+        res.json({ code: promo.code, description: promo.description, discount: promo.discount, eligible: promo.eligible });
+    } catch (e) {
+        console.error('promos/check:', e.message);
+        res.status(500).json({ error: 'Service unavailable — please try again' });
+    }
+});
+
+// =============================================================================
+// CONFIRM BOOKINGS — after the deposit webhook, or straight away when nothing
+// is due (no-deposit services, or a redeemed pack or gift voucher covers it)
+// =============================================================================
+/**
+ * Mark bookings Confirmed, create their calendar events and send the admin
+ * and client emails. Group rows and series visits paid in the same checkout
+ * as `row` are confirmed with it.
+ * @param {Object} row  - The booking the payment names
+ * @param {Object} opts - { meta: payment metadata, paymentId }
+ */
+async function confirmBookings(doc, settings, row, { meta = {}, paymentId = '' } = {}) {
+    // A group deposit confirms every linked row; each attendee gets their
+    // own calendar block and the organiser one combined email. A series
+    // deposit confirms the visits that share this checkout's link.
+    const groupId  = meta.groupId || row.get('Group ID') || '';
+    const seriesId = groupId ? '' : (meta.seriesId || '');
+    const link     = row.get('Yoco Link') || '';
+    const linked   = groupId
+        ? await groupRows(doc, groupId)
+        : seriesId && link
+            ? (await seriesRows(doc, seriesId)).filter(r => r.get('Yoco Link') === link)
+            : [];
+    const rows     = linked.length
+        ? linked.map(r => r.get('Booking ID') === row.get('Booking ID') ? row : r)
+        : [row];
+    if (!rows.includes(row)) rows.unshift(row);
+
+    for (const r of rows) {
+        const rowId = r.get('Booking ID');
+
+        // Paid after the hold ran out — still confirm (the client has paid),
+        // but flag it if someone else has taken the slot in the meantime
+        if (r.get('Deposit Status') === 'Expired') {
+            const check = await checkSlot(doc, settings, {
+                date:             r.get('Date'),
+                time:             r.get('Time'),
+                duration:         parseInt(r.get('Service Duration (min)') || 0) || 0,
+                excludeBookingId: rowId,
+                ignoreLimits:     true,
+            }).catch(() => ({ ok: true }));
+            if (!check.ok) {
+                r.set('Notes', [r.get('Notes'), 'Paid after hold expired — slot clash, reschedule'].filter(Boolean).join('; '));
+                console.warn(`Confirm: ${rowId} paid after expiry and its slot is taken`);
+            }
+        }
+
+        r.set('Deposit Status',   'Confirmed');
+        r.set('Yoco Checkout ID', paymentId || r.get('Yoco Checkout ID') || '');
+        // Paid in full at booking: the same payment settled the balance
+        if (r.get('Payment Option') === 'Pay in Full') r.set('Balance Status', 'Paid');
+        await r.save();
+        console.log(`Confirm: deposit confirmed for ${rowId}`);
+
+        if (paymentId) {
+            const paid = { bookingId: rowId, providerId: paymentId, checkoutId: meta.checkoutId || '', by: 'webhook' };
+            await addPayment(doc, { ...paid, type: 'Deposit', amount: parseRands(r.get('Deposit Amount (R)')) });
+            if (r.get('Payment Option') === 'Pay in Full') {
+                await addPayment(doc, { ...paid, type: 'Balance', amount: parseRands(r.get('Balance Due (R)')) });
+            }
+        }
+
+        let calId = null;
         try {
             calId = await Promise.race([
                 calCreate(settings, {
-                    bookingId,
-                    name:        row.get('Client Name'),
-                    email:       row.get('Client Email'),
-                    phone:       row.get('Client Phone'),
-                    address:     row.get('Client Address'),
-                    services:    row.get('Service Names'),
-                    date:        row.get('Date'),
-                    time:        row.get('Time'),
-                    totalAmount: row.get('Total Amount (R)'),
-                    deposit:     row.get('Deposit Amount (R)'),
-                    balance:     row.get('Balance Due (R)'),
+                    bookingId:   rowId,
+                    name:        r.get('Client Name'),
+                    email:       r.get('Client Email'),
+                    phone:       r.get('Client Phone'),
+                    address:     r.get('Client Address'),
+                    services:    r.get('Service Names'),
+                    date:        r.get('Date'),
+                    time:        r.get('Time'),
+                    totalAmount: r.get('Total Amount (R)'),
+                    deposit:     r.get('Deposit Amount (R)'),
+                    balance:     r.get('Balance Due (R)'),
                 }),
                 new Promise((_, reject) => setTimeout(() => reject(new Error('Calendar timeout')), 5000))
             ]);
 
-            if (calId) {
-                row.set('Calendar Event ID', calId);
-                await row.save();
-                console.log(`Webhook: calendar event ${calId} created for ${bookingId}`);
-            }
-        } catch (e) {
-            console.error(`Webhook: calendar creation failed for ${bookingId}:`, e.message);
-        }
+            if (calId) {
+                r.set('Calendar Event ID', calId);
+                await r.save();
+                console.log(`Confirm: calendar event ${calId} created for ${rowId}`);
+            }
+        } catch (e) {
+            console.error(`Confirm: calendar creation failed for ${rowId}:`, e.message);
+        }
+    }
+    if (rows.length > 1) bustDocCache();
+
+    const details = confirmationDetails(rows);
+    // One invoice per booking — a group's organiser gets everyone's
+    const attachments = [];
+    for (const r of rows) attachments.push(await documentAttachment(doc, settings, r, 'invoice'));
+
+    await Promise.all([
+        sendAdminDepositNotification(settings, details)
+            .then(() => console.log('Admin deposit email sent')).catch((e) => console.error('Admin deposit email error:', e.message)),
+
+        sendCustomerConfirmationEmail(settings, {
+            ...details,
+            manageUrl:   groupId ? '' : manageUrl(settings, row),
+            attachments: attachments.flat(),
+        }).then(() => console.log('Customer confirmation email sent')).catch((e) => console.error('Customer confirmation email error:', e.message)),
+    ]);
+}
+
+// =============================================================================
+// BALANCE SETTLED — the Yoco balance webhook or a manual cash/EFT payment
+// =============================================================================
+// Thank the client and tell the admin; the caller has already marked the row Paid
+async function balanceSettled(doc, settings, row, { amount, method, tip = 0 }) {
+    const bookingId = row.get('Booking ID');
+    const attachments = await documentAttachment(doc, settings, row, 'receipt');
+    await Promise.all([
+        sendRebookEmail(settings, {
+            bookingId,
+            name:     row.get('Client Name'),
+            email:    row.get('Client Email'),
+            total:    row.get('Total Amount (R)'),
+            services: row.get('Service Names'),
+            attachments,
+        }).then(() => console.log('Rebook email sent')).catch((e) => console.error('Rebook email error:', e.message)),
+
+        sendAdminBalancePaidNotification(settings, {
+            bookingId,
+            name:        row.get('Client Name'),
+            email:       row.get('Client Email'),
+            phone:       row.get('Client Phone'),
+            address:     row.get('Client Address'),
+            services:    row.get('Service Names'),
+            date:        row.get('Date'),
+            time:        row.get('Time'),
+            totalAmount: row.get('Total Amount (R)'),
+            deposit:     row.get('Deposit Amount (R)'),
+            balance:     amount,
+            method,
+            tip,
+        }).then(() => console.log('Admin balance-paid email sent')).catch((e) => console.error('Admin balance-paid email error:', e.message)),
+    ]);
+}
+
+// Yoco balance checkout paid — from the webhook or reconciliation. A tip from
+// the payment page is the artist's, not service revenue, so it's kept apart.
+async function balancePaid(doc, row, { meta = {}, paymentId = '' } = {}) {
+    const bookingId = row.get('Booking ID');
+    const tip       = round2(parseRands(meta.tip));
+    row.set('Balance Status', 'Paid');
+    if (tip > 0) row.set('Tip (R)', tip.toFixed(2));
+    await row.save();
+    console.log(`Balance paid for ${bookingId}${tip > 0 ? ` with a R${tip.toFixed(2)} tip` : ''}`);
+
+    const paid = { bookingId, providerId: paymentId, checkoutId: meta.checkoutId || '', by: 'webhook' };
+    await addPayment(doc, { ...paid, type: 'Balance', amount: parseRands(row.get('Balance Due (R)')) });
+    await addPayment(doc, { ...paid, type: 'Tip', amount: tip });
+
+    await balanceSettled(doc, await getSettings(doc), row, { amount: row.get('Balance Due (R)'), method: 'Yoco', tip });
+}
+
+// =============================================================================
+// PAYMENT EVENTS — refunds and failed payments reported by Yoco
+// A refund issued through POST /api/admin/refund is already on the booking and
+// in the ledger, so its refund.succeeded changes nothing; one made in the Yoco
+// dashboard is recorded here. refund.failed puts the money back as held.
+// =============================================================================
+const REFUND_EVENTS  = ['refund.succeeded', 'refund.failed'];
+const FAILURE_EVENTS = ['payment.failed'];
+
+// The booking a refund belongs to: its metadata, else the ledger or booking
+// row carrying the original payment's ID
+async function paymentBooking(doc, { bookingId, paymentId }) {
+    if (bookingId) return (await findRow(doc, bookingId)).row;
+    if (!paymentId) return null;
+    const entry = (await paymentRows(doc)).find(p => p.get('Provider Payment ID') === paymentId && p.get('Booking ID'));
+    if (entry) return (await findRow(doc, entry.get('Booking ID'))).row;
+    const sheet = doc.sheetsByTitle['Bookings'];
+    return sheet ? (await sheet.getRows()).find(r => r.get('Yoco Checkout ID') === paymentId) || null : null;
+}
+
+const bookingNotice = row => ({
+    bookingId: row.get('Booking ID'),
+    name:      row.get('Client Name'),
+    phone:     row.get('Client Phone'),
+    services:  row.get('Service Names'),
+    date:      row.get('Date'),
+});
+
+async function refundEvent(doc, event, msgId) {
+    const refund   = event.payload || {};
+    const meta     = refund.metadata || {};
+    const refundId = refund.id || '';
+    const amount   = round2((parseInt(refund.amount) || 0) / 100);
+    const ok       = event.type === 'refund.succeeded';
+
+    const row = await paymentBooking(doc, { bookingId: meta.bookingId, paymentId: refund.paymentId });
+    if (!row) {
+        console.warn(`Webhook: ${event.type} ${refundId} matches no booking — ignoring`);
+        return;
+    }
+    const bookingId = row.get('Booking ID');
+    if (msgId && row.get('Last Webhook ID') === msgId) {
+        console.log(`Webhook: ${event.type} already handled for ${bookingId} — idempotent skip`);
+        return;
+    }
+
+    // The ledger row /api/admin/refund wrote, matched by refund ID (or by
+    // amount when Yoco's reply didn't carry one)
+    const refunds = (await paymentRows(doc, bookingId)).filter(p => p.get('Type') === 'Refund');
+    const entry   = refunds.find(p => refundId && p.get('Provider Payment ID') === refundId) ||
+                    refunds.find(p => !p.get('Provider Payment ID') && parseRands(p.get('Amount (R)')) === amount);
+    const was     = entry ? (entry.get('Status') || 'Succeeded') : '';
+    if (was === (ok ? 'Succeeded' : 'Failed')) {
+        console.log(`Webhook: refund ${refundId} already ${was} for ${bookingId} — idempotent skip`);
+        return;
+    }
+
+    const settings = await getSettings(doc);
+    const prev     = row.get('Deposit Status') || '';
+    const refunded = parseRands(row.get('Refunded (R)'));
+
+    if (entry) {
+        entry.set('Status', ok ? 'Succeeded' : 'Failed');
+        if (refundId) entry.set('Provider Payment ID', refundId);
+        await entry.save();
+    } else {
+        await addPayment(doc, {
+            bookingId, type: 'Refund', amount, status: ok ? 'Succeeded' : 'Failed',
+            providerId: refundId, checkoutId: refund.paymentId || '',
+            reference: ok ? 'Refunded in the Yoco dashboard' : (refund.failureReason || 'Refund failed'), by: 'webhook',
+        });
+    }
+
+    // Until now the booking counted this refund only if the ledger said Succeeded
+    if (ok) {
+        row.set('Refunded (R)', round2(refunded + amount).toFixed(2));
+        row.set('Refund Due (R)', Math.max(0, round2(parseRands(row.get('Refund Due (R)')) - amount)).toFixed(2));
+    } else if (was === 'Succeeded') {
+        row.set('Refunded (R)', Math.max(0, round2(refunded - amount)).toFixed(2));
+        row.set('Refund Due (R)', round2(parseRands(row.get('Refund Due (R)')) + amount).toFixed(2));
+        if (prev === 'Refunded') row.set('Deposit Status', 'Cancelled');
+    }
+
+    const ledger = ledgerTotals(await paymentRows(doc, bookingId));
+    const full   = ok && (ledger.paid ? ledger.net <= 0 : parseRands(row.get('Refunded (R)')) >= amountPaid(row));
+    const live   = !RELEASED_STATUSES.includes(prev) && prev !== 'Service Complete';
+    if (full) row.set('Deposit Status', 'Refunded');
+
+    row.set('Notes', [row.get('Notes'), ok
+        ? `Yoco refund R${amount.toFixed(2)} confirmed ${sastStamp()}${full ? ' (fully refunded)' : ''}`
+        : `Yoco refund R${amount.toFixed(2)} FAILED ${sastStamp()}${refund.failureReason ? ` — ${refund.failureReason}` : ''}`,
+    ].filter(Boolean).join('; '));
+    if (msgId) row.set('Last Webhook ID', msgId);
+    await row.save();
+    bustDocCache();
+    console.log(`Webhook: ${event.type} R${amount.toFixed(2)} for ${bookingId}${full ? ' — fully refunded' : ''}`);
+
+    if (full && prev !== 'Refunded') {
+        const calId = row.get('Calendar Event ID') || '';
+        if (calId) await calDelete(settings, calId);
+        if (live) await notifyWaitlist(doc, settings, [row.get('Date')]);
+    }
+
+    await sendAdminPaymentEventNotification(settings, {
+        ...bookingNotice(row),
+        event:  event.type,
+        amount,
+        status: row.get('Deposit Status'),
+        reason: refund.failureReason || '',
+        note:   ok
+            ? (entry ? 'Yoco has confirmed the refund issued from the admin panel.' : 'This refund was made in the Yoco dashboard and has now been recorded on the booking.')
+            : `The refund did not go through — R${amount.toFixed(2)} is still held. Retry it from the admin panel or the Yoco dashboard.`,
+    });
+}
+
+async function paymentFailedEvent(doc, event, msgId) {
+    const payment = event.payload || {};
+    const meta    = payment.metadata || {};
+    const amount  = round2((parseInt(payment.amount) || 0) / 100);
+    const type    = meta.type || 'deposit';
+    const reason  = payment.failureReason || payment.errorMessage || '';
+    const failed  = { amount, status: 'Failed', providerId: payment.id || '', checkoutId: meta.checkoutId || '', reference: reason, by: 'webhook' };
+    const settings = await getSettings(doc);
+
+    // Pack and voucher purchases stay Pending Payment; the buyer can try again
+    if (type === 'pack' || type === 'voucher') {
+        const ref = String(type === 'pack' ? meta.purchaseId || '' : meta.code || '');
+        await addPayment(doc, { ...failed, type: type === 'pack' ? 'Pack Sale' : 'Voucher Sale', reference: ref });
+        await sendAdminPaymentEventNotification(settings, { event: event.type, reference: ref, amount, paymentType: type === 'pack' ? 'Treatment pack' : 'Gift voucher', reason });
+        return;
+    }
+
+    const { row } = meta.bookingId ? await findRow(doc, meta.bookingId) : { row: null };
+    if (!row) {
+        console.warn(`Webhook: payment.failed for unknown booking "${meta.bookingId || ''}" — ignoring`);
+        return;
+    }
+    const bookingId = row.get('Booking ID');
+    if (msgId && row.get('Last Webhook ID') === msgId) {
+        console.log(`Webhook: payment.failed already handled for ${bookingId} — idempotent skip`);
+        return;
+    }
+
+    // The booking keeps its status: a deposit hold still expires on schedule
+    // and a balance link stays open for another attempt
+    const label = type === 'balance' ? 'Balance' : 'Deposit';
+    await addPayment(doc, { ...failed, bookingId, type: label });
+    row.set('Notes', [row.get('Notes'), `${label} payment of R${amount.toFixed(2)} failed ${sastStamp()}${reason ? ` — ${reason}` : ''}`].filter(Boolean).join('; '));
+    if (msgId) row.set('Last Webhook ID', msgId);
+    await row.save();
+    console.log(`Webhook: ${label.toLowerCase()} payment failed for ${bookingId}`);
+
+    await sendAdminPaymentEventNotification(settings, {
+        ...bookingNotice(row),
+        event:       event.type,
+        amount,
+        paymentType: label,
+        status:      row.get('Deposit Status'),
+        reason,
+        note:        type === 'balance'
+            ? 'The balance is still outstanding — the client can retry the same link.'
+            : 'The slot is still held until the payment window runs out.',
+    });
+}
+
+// =============================================================================
+// POST /api/webhook/:provider — /api/webhook/yoco, or /api/webhook/mock locally
+// Only the provider this deployment takes payments with (PAYMENT_PROVIDER or
+// the payment_provider setting) is heard; the path must name it, but never
+// picks it. The provider checks the signature and hands back the event in
+// Yoco's shape (see lib/payments.js), so everything below is gateway-neutral.
+// =============================================================================
+app.post('/api/webhook/:provider', rateLimit(60, 60000), async (req, res) => {
+    console.log('Webhook headers:', JSON.stringify(req.headers));
+
+    let provider;
+    try {
+        provider = paymentProvider(await getSettings(await getDoc()));
+    } catch (e) {
+        console.error('Webhook: no payment provider:', e.message);
+        return res.status(500).json({ error: 'Internal error — will retry' });
+    }
+    if (provider.name !== req.params.provider) {
+        console.error(`Webhook from "${req.params.provider}" but payments go through "${provider.name}" — rejected`);
+        return res.status(404).json({ error: 'Unknown payment provider' });
+    }
+
+    const verified = provider.verifyWebhook({
+        headers: req.headers,
+        rawBody: req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body),
+        body:    req.body,
+    });
+    if (!verified.ok) {
+        console.error('Webhook signature mismatch');
+        return res.status(401).json({ error: verified.error || 'Invalid signature' });
+    }
+
+    try {
+        const event   = verified.event;
+        const payment = event.payload || event;
+        const meta    = payment.metadata || {};
+
+        const successTypes = [
+            'payment.succeeded', 'payment.approved', 'payment_approved',
+            'payment.captured', 'payment_captured',
+        ];
+
+        const webhookMsgId = verified.msgId;
+        if (REFUND_EVENTS.includes(event.type)) {
+            await refundEvent(await getDoc(), event, webhookMsgId);
+            return res.status(200).json({ received: true });
+        }
+        if (FAILURE_EVENTS.includes(event.type)) {
+            await paymentFailedEvent(await getDoc(), event, webhookMsgId);
+            return res.status(200).json({ received: true });
+        }
+
+        if (!successTypes.includes(event.type)) {
+            console.log(`Webhook: ignoring event type "${event.type}"`);
+            return res.status(200).json({ received: true });
+        }
+
+        if (payment.status && payment.status !== 'succeeded') {
+            console.log(`Webhook: ignoring payment status "${payment.status}"`);
+            return res.status(200).json({ received: true });
+        }
+
+        // Pack and voucher purchases aren't tied to a booking
+        if (meta.type === 'pack') {
+            await activatePack(await getDoc(), String(meta.purchaseId || ''), payment.id || '');
+            return res.status(200).json({ received: true });
+        }
+        if (meta.type === 'voucher') {
+            await activateVoucher(await getDoc(), String(meta.code || ''), payment.id || '');
+            return res.status(200).json({ received: true });
+        }
+
+        const bookingId = meta.bookingId || '';
+        if (!bookingId) {
+            console.warn('Webhook: no bookingId in metadata — ignoring');
+            return res.status(200).json({ received: true });
+        }
+
+        const type = meta.type || 'deposit';
+        const doc     = await getDoc();
+        const { row } = await findRow(doc, bookingId);
+        if (!row) {
+            console.warn(`Webhook: booking ${bookingId} not found in sheet`);
+            return res.status(200).json({ received: true });
+        }
+
+        if (type === 'balance') {
+            if (row.get('Balance Status') === 'Paid') {
+                console.log(`Webhook: balance already paid for ${bookingId} — idempotent skip`);
+                return res.status(200).json({ received: true });
+            }
+
+            await balancePaid(doc, row, { meta, paymentId: payment.id || '' });
+            return res.status(200).json({ received: true });
+        }
+
+        const incomingPaymentId = payment.id || '';
+        if (row.get('Deposit Status') === 'Confirmed' ||
+            (incomingPaymentId && row.get('Yoco Checkout ID') === incomingPaymentId) ||
+            (webhookMsgId && row.get('Last Webhook ID') === webhookMsgId)) {
+            console.log(`Webhook: deposit already confirmed for ${bookingId} — idempotent skip`);
+            return res.status(200).json({ received: true });
+        }
+        if (webhookMsgId) row.set('Last Webhook ID', webhookMsgId);
+
+        await confirmBookings(doc, await getSettings(doc), row, { meta, paymentId: incomingPaymentId });
+
+        return res.status(200).json({ received: true });
+
+    } catch (e) {
+        console.error('Webhook processing error:', e.message);
+        return res.status(500).json({ error: 'Internal error — will retry' });
+    }
+});
+
+// =============================================================================
+// MOCK CHECKOUT PAGE — /api/mock-pay/:id (only while mock is the configured
+// provider, with MOCK_WEBHOOK_SECRET set, never in production)
+// Stands in for Yoco's hosted checkout: each button sends the matching signed
+// webhook to /api/webhook/mock, then redirects like the real page would.
+// =============================================================================
+const htmlEscape = v => String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+async function mockProviderFor(req, res, next) {
+    try {
+        const provider = paymentProvider(await getSettings(await getDoc()));
+        if (provider.name !== 'mock') return res.status(404).json({ error: 'Not found' });
+        req.mock = provider;
+        next();
+    } catch (e) { res.status(404).json({ error: e.message }); }
+}
+
+app.get('/api/mock-pay/:id', mockProviderFor, (req, res) => {
+    const co = req.mock.checkout(req.params.id);
+    if (!co) return res.status(404).json({ error: 'Unknown checkout' });
+    const button = (outcome, label, bg) =>
+        `<button name="outcome" value="${outcome}" style="display:block;width:100%;margin:8px 0;padding:12px;border:0;border-radius:999px;background:${bg};color:#fff;font-size:14px;cursor:pointer;">${label}</button>`;
+    res.type('html').send(`<!doctype html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>Mock checkout</title></head>
+<body style="font-family:system-ui,sans-serif;background:#111;color:#eee;display:flex;justify-content:center;padding:48px 16px;">
+<form method="post" style="max-width:360px;width:100%;background:#1c1c1c;border-radius:18px;padding:24px;">
+  <p style="font-size:11px;letter-spacing:.1em;text-transform:uppercase;color:#f5a623;margin:0 0 8px;">Mock payment — no money moves</p>
+  <h1 style="font-size:28px;margin:0 0 4px;">R${Number(co.amount).toFixed(2)}</h1>
+  <p style="color:#aaa;margin:0 0 16px;">${htmlEscape(co.description)}</p>
+  <p style="font-size:12px;color:#888;margin:0 0 16px;">${htmlEscape(JSON.stringify(co.metadata))}</p>
+  ${co.status === 'created'
+      ? button('pay', 'Pay', '#16a34a') + button('pay-silent', 'Pay — but lose the webhook', '#2563eb') +
+        button('fail', 'Decline the payment', '#dc2626') + button('cancel', 'Cancel', '#444')
+      : '<p>This checkout has been paid.</p>'}
+</form></body></html>`);
+});
+
+app.post('/api/mock-pay/:id', express.urlencoded({ extended: false }), mockProviderFor, async (req, res) => {
+    try {
+        res.redirect(303, await req.mock.complete(req.params.id, String(req.body.outcome || '')));
+    } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+// =============================================================================
+// GET /api/check-payment
+// =============================================================================
+app.get('/api/check-payment', rateLimit(30, 60000), async (req, res) => {
+    const ref = (req.query.ref || '').trim();
+    if (!ref) return res.status(400).json({ error: 'ref required' });
+    try {
+        const doc = await getDoc();
+        const s   = await getSettings(doc);
+        const { row } = await findRow(doc, ref);
+        if (!row) return res.status(404).json({ error: 'Not found' });
+        res.json({
+            bookingId:     ref,
+            depositStatus: row.get('Deposit Status')     || '',
+            balanceStatus: row.get('Balance Status')     || '',
+            name:          row.get('Client Name')        || '',
+            services:      row.get('Service Names')      || '',
+            date:          row.get('Date')               || '',
+            time:          row.get('Time')               || '',
+            total:         row.get('Total Amount (R)')   || '',
+            deposit:       row.get('Deposit Amount (R)') || '',
+            balance:       row.get('Balance Due (R)')    || '',
+            appBase:       s.app_base_url || '',
+        });
+    } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// =============================================================================
+// GET /api/cron/expire-holds — release unpaid "Pending Payment" bookings
+// Hold window: pending_hold_minutes in Settings (default 30).
+// Set hold_expired_email = YES to tell the client their slot was released.
+// Scheduled every 15 minutes, which needs Vercel Pro — see README (Deployment).
+// =============================================================================
+async function expireHolds(doc, s) {
+    const sheet = doc.sheetsByTitle['Bookings'];
+    if (!sheet) throw new Error('Bookings tab not found');
+
+    const holdMins = Math.max(5, parseInt(s.pending_hold_minutes || '30') || 30);
+    const cutoff   = Date.now() - holdMins * 60 * 1000;
+    const notify   = (s.hold_expired_email || '').toUpperCase() === 'YES';
+    const rows     = await sheet.getRows();
+    const expired  = [];
+    const freed    = [];
+
+    for (const row of rows) {
+        if ((row.get('Deposit Status') || '').trim() !== 'Pending Payment') continue;
+        const created = parseSastStamp(row.get('Created At'));
+        if (!Number.isFinite(created) || created > cutoff) continue;
+
+        const bookingId = (row.get('Booking ID') || '').trim();
+        const note      = `Hold expired ${sastStamp()}`;
+        row.set('Deposit Status', 'Expired');
+        row.set('Notes', [row.get('Notes'), note].filter(Boolean).join('; '));
+        await row.save();
+        expired.push(bookingId);
+        freed.push(row.get('Date'));
+        console.log(`Expired hold ${bookingId} (created ${row.get('Created At')})`);
+
+        // An unpaid first visit releases the later visits reserved with it
+        const seriesId = (row.get('Series ID') || '').trim();
+        for (const r of seriesId ? rows : []) {
+            if ((r.get('Series ID') || '').trim() !== seriesId) continue;
+            if ((r.get('Deposit Status') || '').trim() !== 'Reserved' || r.get('Yoco Link')) continue;
+            r.set('Deposit Status', 'Expired');
+            r.set('Notes', [r.get('Notes'), note].filter(Boolean).join('; '));
+            await r.save();
+            expired.push((r.get('Booking ID') || '').trim());
+            freed.push(r.get('Date'));
+        }
+
+        if (notify) {
+            await sendHoldExpiredEmail(s, {
+                bookingId,
+                name:     row.get('Client Name'),
+                email:    row.get('Client Email'),
+                services: row.get('Service Names'),
+                date:     row.get('Date'),
+                time:     row.get('Time'),
+            });
+        }
+    }
+
+    if (expired.length) bustDocCache();
+    const waitlistOffers = await notifyWaitlist(doc, s, freed);
+    return { holdMinutes: holdMins, expired, waitlistOffers };
+}
+
+app.get('/api/cron/expire-holds', cronOrAdmin, async (req, res) => {
+    try {
+        res.json({ success: true, ...(await expireHolds(req.doc, req.settings)) });
+    } catch (e) {
+        console.error('expire-holds:', e.message);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// =============================================================================
+// GET /api/cron/series-deposits — send deposit links for reserved series visits
+// Links go out series_deposit_days before each visit (default 14).
+// =============================================================================
+async function seriesDepositsDue(doc, s) {
+    const sheet = doc.sheetsByTitle['Bookings'];
+    if (!sheet) throw new Error('Bookings tab not found');
+
+    const leadDays  = parseFloat(s.series_deposit_days || '14') || 14;
+    const rows      = await sheet.getRows();
+    const requested = [];
+
+    for (const row of rows) {
+        if ((row.get('Deposit Status') || '').trim() !== 'Reserved' || row.get('Yoco Link')) continue;
+        const hours = hoursUntil(row);
+        if (!(hours > 0 && hours <= leadDays * 24)) continue;
+
+        const { paymentUrl, paymentError, confirmed } = await requestSeriesDeposit(doc, s, [row]);
+        if (paymentUrl || confirmed) requested.push(row.get('Booking ID'));
+        else console.warn(`Series deposit for ${row.get('Booking ID')} not sent: ${paymentError}`);
+    }
+
+    if (requested.length) bustDocCache();
+    return { leadDays, requested };
+}
+
+app.get('/api/cron/series-deposits', cronOrAdmin, async (req, res) => {
+    try {
+        res.json({ success: true, ...(await seriesDepositsDue(req.doc, req.settings)) });
+    } catch (e) {
+        console.error('series-deposits:', e.message);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// =============================================================================
+// GET /api/cron/reconcile-payments — catch payments whose webhook never came
+// Asks the payment provider about every booking still waiting on a checkout and runs the paid
+// ones through the webhook's own path (confirmBookings / balancePaid), so the
+// calendar event, ledger rows and emails all happen as usual. Checked:
+// deposits Pending Payment or Expired created within reconcile_days (default
+// 2), Reserved series visits with a link out, and Requested balances with a
+// checkout started on the payment page. Scheduled hourly, which needs Vercel
+// Pro — see README (Deployment).
+// =============================================================================
+async function reconcilePayments(doc, s) {
+    const sheet = doc.sheetsByTitle['Bookings'];
+    if (!sheet) throw new Error('Bookings tab not found');
+    const provider = paymentProvider(s);
+    if (!provider.ready) throw new Error(provider.missing);
+
+    const days   = Math.max(1, parseInt(s.reconcile_days || '2') || 2);
+    const since  = Date.now() - days * 86400000;
+    const rows   = await sheet.getRows();
+    const report = { days, checked: 0, confirmed: [], balancesPaid: [], unpaid: [], errors: [] };
+    const seen   = new Set();
+    const note   = row => row.set('Notes', [row.get('Notes'), `Payment found by reconciliation ${sastStamp()} — webhook missed`].filter(Boolean).join('; '));
+
+    for (const row of rows) {
+        const bookingId = row.get('Booking ID');
+        const status    = row.get('Deposit Status') || '';
+        const created   = parseSastStamp(row.get('Created At'));
+        const depositId = (row.get('Yoco Checkout ID') || '').trim();
+        const balanceId = (row.get('Balance Checkout ID') || '').trim();
+
+        const deposit = depositId && (status === 'Reserved' ||
+            (['Pending Payment', 'Expired'].includes(status) && Number.isFinite(created) && created >= since));
+        const balance = balanceId && row.get('Balance Status') === 'Requested';
+        const cid     = deposit ? depositId : balance ? balanceId : '';
+        // A group or upfront series shares one checkout — ask once
+        if (!cid || seen.has(cid)) continue;
+        seen.add(cid);
+        report.checked++;
+
+        try {
+            const co = await provider.fetchStatus(cid);
+            if (co.status !== 'completed') {
+                report.unpaid.push({ bookingId, checkoutId: cid, status: co.status || 'unknown', kind: deposit ? 'deposit' : 'balance' });
+                continue;
+            }
+            const paid = { meta: { ...(co.metadata || {}), checkoutId: cid }, paymentId: co.paymentId || cid };
+            note(row);
+            if (deposit) {
+                await confirmBookings(doc, s, row, paid);
+                report.confirmed.push({ bookingId, client: row.get('Client Name') || '', amount: round2(co.amount) });
+            } else {
+                await balancePaid(doc, row, paid);
+                report.balancesPaid.push({ bookingId, client: row.get('Client Name') || '', amount: round2(co.amount) });
+            }
+            console.log(`Reconcile: ${bookingId} ${deposit ? 'deposit' : 'balance'} was paid — applied`);
+        } catch (e) {
+            console.error(`Reconcile: ${bookingId} (${cid}):`, e.message);
+            report.errors.push({ bookingId, checkoutId: cid, error: e.message });
+        }
+    }
+
+    if (report.confirmed.length || report.balancesPaid.length) bustDocCache();
+    return report;
+}
+
+app.get('/api/cron/reconcile-payments', cronOrAdmin, async (req, res) => {
+    try {
+        res.json({ success: true, ...(await reconcilePayments(req.doc, req.settings)) });
+    } catch (e) {
+        console.error('reconcile-payments:', e.message);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// =============================================================================
+// GET /api/cron/balance-reminders — chase Requested balances
+// Reminders go out balance_reminder_days after the request (default "1, 3, 7"),
+// each firmer than the last, and stop once the balance is Paid. The pay link
+// is renewed if its checkout has expired or its signed link has run out; a
+// checkout that turns out to be paid is applied instead of reminding.
+// =============================================================================
+const OPEN_CHECKOUT = ['created', 'started', 'processing'];
+
+async function reminderLink(doc, s, provider, row) {
+    const link = row.get('Yoco Link') || '';
+    if (!provider.ready) return { paymentUrl: link };
+
+    const cid = (row.get('Balance Checkout ID') || '').trim();
+    let renew = false;
+    if (cid) {
+        const co = await provider.fetchStatus(cid);
+        if (co.status === 'completed') {
+            await balancePaid(doc, row, { meta: { ...co.metadata, checkoutId: cid }, paymentId: co.paymentId || cid });
+            return { paid: true };
+        }
+        if (!OPEN_CHECKOUT.includes(co.status)) {
+            row.set('Balance Checkout ID', '');
+            renew = true;
+        }
+    }
+    const token = (link.match(/[?&]t=([^&]+)/) || [])[1];
+    if (renew || !token || !verifyToken(ADMIN_TOKEN_SECRET, 'balance', decodeURIComponent(token))) {
+        return { paymentUrl: balancePayUrl(s, row), renewed: true };
+    }
+    return { paymentUrl: link };
+}
+
+async function balanceRemindersDue(doc, s) {
+    const sheet = doc.sheetsByTitle['Bookings'];
+    if (!sheet) throw new Error('Bookings tab not found');
+
+    const days     = parseReminderDays(s.balance_reminder_days);
+    const provider = paymentProvider(s);
+    const now      = Date.now();
+    const report   = { days, sent: [], paid: [], errors: [] };
+
+    for (const row of await sheet.getRows()) {
+        if (row.get('Balance Status') !== 'Requested') continue;
+        const st = dunningState(row, days, now);
+        if (!st.due) continue;
+        const bookingId = row.get('Booking ID');
+
+        try {
+            const { paymentUrl, paid, renewed } = await reminderLink(doc, s, provider, row);
+            if (paid) {
+                report.paid.push(bookingId);
+                continue;
+            }
+            if (!paymentUrl) throw new Error('No payment link to send');
+
+            await sendBalanceReminderEmail(s, {
+                bookingId,
+                name:     row.get('Client Name'),
+                email:    row.get('Client Email'),
+                services: row.get('Service Names'),
+                date:     row.get('Date'),
+                balance:  row.get('Balance Due (R)'),
+                ageDays:  st.ageDays,
+                stage:    st.due,
+                paymentUrl,
+            });
+            row.set('Yoco Link',              paymentUrl);
+            row.set('Balance Reminders Sent', String(st.due));
+            row.set('Last Reminder At',       sastStamp());
+            await row.save();
+            report.sent.push({ bookingId, client: row.get('Client Name') || '', stage: st.due, ageDays: st.ageDays, linkRenewed: Boolean(renewed) });
+            console.log(`Balance reminder ${st.due} for ${bookingId} (${st.ageDays} days)${renewed ? ' — new link' : ''}`);
+        } catch (e) {
+            console.error(`Balance reminder for ${bookingId}:`, e.message);
+            report.errors.push({ bookingId, error: e.message });
+        }
+    }
+
+    if (report.sent.length || report.paid.length) bustDocCache();
+    return report;
+}
+
+app.get('/api/cron/balance-reminders', cronOrAdmin, async (req, res) => {
+    try {
+        res.json({ success: true, ...(await balanceRemindersDue(req.doc, req.settings)) });
+    } catch (e) {
+        console.error('balance-reminders:', e.message);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// GET /api/admin/overdue-balances — Requested balances past the first
+// reminder day, oldest first
+app.get('/api/admin/overdue-balances', adminOnly, async (req, res) => {
+    try {
+        const sheet = req.doc.sheetsByTitle['Bookings'];
+        if (!sheet) return res.json({ days: [], balances: [], total: 0 });
+        const days     = parseReminderDays(req.settings.balance_reminder_days);
+        const balances = overdueBalances(await sheet.getRows(), days, Date.now());
+        res.json({ days, balances, total: round2(balances.reduce((a, b) => a + b.balance, 0)) });
+    } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// =============================================================================
+// CLIENT SELF-SERVICE — /api/manage/*  (token from the confirmation email)
+// Changes close self_service_cutoff_hours before the appointment (default 24).
+// =============================================================================
+function selfServiceState(s, row) {
+    const cutoff = parseFloat(s.self_service_cutoff_hours || '24') || 0;
+    const status = row.get('Deposit Status') || '';
+    const hours  = hoursUntil(row);
+    let reason   = '';
+    if (!['Confirmed', 'Reserved'].includes(status)) reason = `This booking is ${status.toLowerCase() || 'not active'} and can't be changed online.`;
+    else if (row.get('Group ID')) reason = 'Group bookings can\'t be changed online — please contact us.';
+    else if (hours < cutoff)     reason = `Online changes close ${cutoff} hours before your appointment — please contact us.`;
+    return { canChange: !reason, reason, cutoffHours: cutoff, hoursUntil: Math.round(hours * 10) / 10 };
+}
+
+app.get('/api/manage', rateLimit(30, 60000), manageLink, (req, res) => {
+    const row = req.booking;
+    res.json({
+        bookingId: row.get('Booking ID')         || '',
+        name:      row.get('Client Name')        || '',
+        services:  row.get('Service Names')      || '',
+        address:   row.get('Client Address')     || '',
+        date:      row.get('Date')               || '',
+        time:      row.get('Time')               || '',
+        status:    row.get('Deposit Status')     || '',
+        total:     row.get('Total Amount (R)')   || '',
+        deposit:   row.get('Deposit Amount (R)') || '',
+        balance:   row.get('Balance Due (R)')    || '',
+        refund:    cancellationQuote(req.settings, row),
+        ...selfServiceState(req.settings, row),
+    });
+});
+
+app.get('/api/manage/availability', rateLimit(30, 60000), manageLink, async (req, res) => {
+    try {
+        const row = req.booking;
+        const [reqY, reqM] = (req.query.month || '').split('-').map(Number);
+        const now   = new Date();
+        const year  = reqY || now.getFullYear();
+        const month = reqM || now.getMonth() + 1;
+        const pad   = n => String(n).padStart(2, '0');
+        const bSheet = req.doc.sheetsByTitle['Bookings'];
+        const sast   = sastNow();
+        res.json(openSlots({
+            avRows:           await getAvailabilityRows(req.doc),
+            bookingRows:      bSheet ? await bSheet.getRows() : [],
+            from:             `${year}-${pad(month)}-01`,
+            to:               `${year}-${pad(month)}-${pad(new Date(year, month, 0).getDate())}`,
+            duration:         parseInt(row.get('Service Duration (min)') || 0) || 0,
+            now:              sast,
+            limits:           bookingLimits(req.settings, sast),
+            excludeBookingId: row.get('Booking ID'),
+        }));
+    } catch (e) {
+        console.error('manage/availability:', e.message);
+        res.status(500).json({ error: 'Service unavailable — please try again' });
+    }
+});
+
+app.post('/api/manage/reschedule', rateLimit(10, 60000), manageLink, async (req, res) => {
+    try {
+        const row   = req.booking;
+        const s     = req.settings;
+        const state = selfServiceState(s, row);
+        if (!state.canChange) return res.status(403).json({ error: state.reason });
+
+        const { date, time } = req.body;
+        if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date))      return res.status(400).json({ error: 'Invalid date format' });
+        if (!time || !/^\d{2}:\d{2}-\d{2}:\d{2}$/.test(time)) return res.status(400).json({ error: 'Invalid time format' });
+
+        const bookingId = row.get('Booking ID');
+        const oldDate   = row.get('Date');
+        const oldTime   = row.get('Time');
+
+        const clash = await withLock(`book:${date}`, async () => {
+            const check = await checkSlot(req.doc, s, {
+                date, time,
+                duration:         parseInt(row.get('Service Duration (min)') || 0) || 0,
+                excludeBookingId: bookingId,
+            });
+            if (!check.ok) return check;
+            row.set('Date', date);
+            row.set('Time', check.slot);
+            row.set('Notes', [row.get('Notes'), `Client rescheduled from ${oldDate} ${oldTime} on ${sastStamp()}`].filter(Boolean).join('; '));
+            await row.save();
+            return null;
+        });
+        if (clash) {
+            return res.status(409).json({
+                error:        'Sorry, that time was just booked — please pick another slot.',
+                code:         'SLOT_TAKEN',
+                alternatives: clash.alternatives,
+            });
+        }
+        bustDocCache();
+        await calMove(s, row);
+
+        const details = {
+            bookingId,
+            name:     row.get('Client Name'),
+            email:    row.get('Client Email'),
+            phone:    row.get('Client Phone'),
+            address:  row.get('Client Address'),
+            services: row.get('Service Names'),
+            date:     row.get('Date'),
+            time:     row.get('Time'),
+            deposit:  row.get('Deposit Amount (R)'),
+            balance:  row.get('Balance Due (R)'),
+        };
+        const newUrl = manageUrl(s, row);
+        await Promise.all([
+            sendAdminClientChangeNotification(s, { ...details, change: 'Rescheduled', oldDate, oldTime }),
+            sendCustomerConfirmationEmail(s, {
+                ...details,
+                manageUrl:   newUrl,
+                attachments: await documentAttachment(req.doc, s, row, 'invoice'),
+            }),
+        ]);
+
+        res.json({ success: true, date: details.date, time: details.time, manageUrl: newUrl });
+    } catch (e) {
+        console.error('manage/reschedule:', e.message);
+        res.status(500).json({ error: 'Could not reschedule — please try again' });
+    }
+});
+
+app.post('/api/manage/cancel', rateLimit(10, 60000), manageLink, async (req, res) => {
+    try {
+        const row   = req.booking;
+        const s     = req.settings;
+        const state = selfServiceState(s, row);
+        if (!state.canChange) return res.status(403).json({ error: state.reason });
+
+        const quote = cancellationQuote(s, row);
+        recordCancellation(row, quote, 'client');
+        row.set('Deposit Status', 'Cancelled');
+        await row.save();
+        bustDocCache();
+
+        const calId = row.get('Calendar Event ID') || '';
+        if (calId) await calDelete(s, calId);
+        await notifyWaitlist(req.doc, s, [row.get('Date')]);
+
+        await sendAdminClientChangeNotification(s, {
+            bookingId: row.get('Booking ID'),
+            change:    'Cancelled',
+            name:      row.get('Client Name'),
+            phone:     row.get('Client Phone'),
+            services:  row.get('Service Names'),
+            date:      row.get('Date'),
+            time:      row.get('Time'),
+            deposit:   row.get('Deposit Amount (R)'),
+            note:      `Cancelled ${Math.round(state.hoursUntil)} hours before the appointment. ` +
+                       `Policy refund: R${quote.refund.toFixed(2)} (${quote.percent}%) — issue it from the admin panel.`,
+        });
+
+        res.json({ success: true, refund: quote.refund, percent: quote.percent });
+    } catch (e) {
+        console.error('manage/cancel:', e.message);
+        res.status(500).json({ error: 'Could not cancel — please try again' });
+    }
+});
+
+// =============================================================================
+// BALANCE PAYMENT PAGE — /pay.html?t=  (signed link in the balance email)
+// The client pays the balance there and may add a tip: 10/15/20% of the
+// treatment or their own amount. The tip rides in the checkout metadata and
+// the webhook records it apart from service revenue ('Tip (R)' on the booking
+// and a Tip row in the ledger).
+// =============================================================================
+const BALANCE_LINK_DAYS = 30;
+
+function balancePayUrl(s, row) {
+    const token = signToken(ADMIN_TOKEN_SECRET, 'balance', { b: row.get('Booking ID') }, Date.now() + BALANCE_LINK_DAYS * 86400000);
+    return `${s.app_base_url || 'http://localhost:3000'}/pay.html?t=${encodeURIComponent(token)}`;
+}
+
+async function balanceLink(req, res, next) {
+    const token = req.query.t || (req.body && req.body.token);
+    const data  = verifyToken(ADMIN_TOKEN_SECRET, 'balance', token);
+    if (!data) return res.status(401).json({ error: 'This payment link has expired — please contact us for a new one.' });
+    try {
+        const doc     = await getDoc();
+        const { row } = await findRow(doc, String(data.b || ''));
+        if (!row) return res.status(404).json({ error: 'Booking not found' });
+        req.doc = doc; req.settings = await getSettings(doc); req.booking = row; req.balanceToken = token;
+        next();
+    } catch (e) { res.status(500).json({ error: 'Service unavailable — please try again' }); }
+}
+
+// What the tip percentages are taken of
+const tipBase = row => parseRands(row.get('Service Price (R)'));
+
+app.get('/api/pay/balance', rateLimit(30, 60000), balanceLink, (req, res) => {
+    const row  = req.booking;
+    const base = tipBase(row);
+    res.json({
+        bookingId: row.get('Booking ID')    || '',
+        name:      (row.get('Client Name') || '').split(/\s+/)[0],
+        services:  row.get('Service Names') || '',
+        date:      row.get('Date')          || '',
+        balance:   parseRands(row.get('Balance Due (R)')),
+        paid:      row.get('Balance Status') === 'Paid',
+        tipBase:   base,
+        presets:   TIP_PRESETS.map(percent => ({ percent, amount: calcTip(base, { percent }) })),
+    });
+});
+
+// POST /api/pay/balance — { token, percent } or { token, amount } → Yoco checkout
+app.post('/api/pay/balance', rateLimit(10, 60000), balanceLink, async (req, res) => {
+    try {
+        const row = req.booking;
+        const s   = req.settings;
+        if (row.get('Balance Status') === 'Paid') return res.status(400).json({ error: 'This balance has already been paid — thank you!' });
+        if (row.get('Balance Status') !== 'Requested') return res.status(400).json({ error: 'No balance is due on this booking yet' });
+        const provider = paymentProvider(s);
+        if (!provider.ready) return res.status(500).json({ error: 'Online payment is unavailable — please contact us' });
+
+        const bal = parseRands(row.get('Balance Due (R)'));
+        const tip = calcTip(tipBase(row), req.body);
+        if (tip === null) return res.status(400).json({ error: 'Please choose a tip amount up to the price of your treatment' });
+        if (bal + tip < 2) return res.status(400).json({ error: 'Amount below R2 — please contact us' });
+
+        const bookingId = row.get('Booking ID');
+        const base = s.app_base_url || 'http://localhost:3000';
+        const np   = (row.get('Client Name') || '').split(/\s+/);
+        const co = await provider.createCheckout({
+            amount:      round2(bal + tip),
+            successUrl:  `${base}/thankyou.html?balance=true&ref=${bookingId}`,
+            cancelUrl:   `${base}/pay.html?t=${encodeURIComponent(req.balanceToken)}&payment=cancelled`,
+            customer:    { email: row.get('Client Email') || '', firstName: np[0] || '', lastName: np.slice(1).join(' ') || '', phone: row.get('Client Phone') || '' },
+            metadata:    { bookingId, type: 'balance', ...(tip > 0 ? { tip: tip.toFixed(2) } : {}) },
+            description: `PhenomeBeauty balance — ${row.get('Service Names')}${tip > 0 ? ` (incl. R${tip.toFixed(2)} tip)` : ''}`,
+        });
+        if (!co.ok) return res.status(502).json({ error: 'Could not start the payment — please try again' });
+
+        // Reconciliation asks the provider about this checkout if its webhook goes missing
+        row.set('Balance Checkout ID', co.id);
+        await row.save();
+        console.log(`Balance checkout for ${bookingId}: R${bal.toFixed(2)} + R${tip.toFixed(2)} tip`);
+        res.json({ success: true, paymentUrl: co.redirectUrl, balance: bal, tip });
+    } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// =============================================================================
+// WAITLIST — clients wait on a fully booked date (or range). When a slot opens
+// through a cancellation, refund or expired hold, everyone waiting on that
+// date is emailed a booking link valid for waitlist_offer_hours (default 12);
+// whoever books first gets it.
+// =============================================================================
+function waitlistUrl(s, token) {
+    return `${s.app_base_url || 'http://localhost:3000'}/?waitlist=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Email waiting clients about dates that just opened up. Never throws — a
+ * failed notification must not fail the cancel/refund/expiry that caused it.
+ * @param {string[]} dates - Dates with a newly released slot
+ * @returns {Promise<string[]>} - Waitlist IDs that were sent an offer
+ */
+async function notifyWaitlist(doc, s, dates) {
+    const wSheet = doc.sheetsByTitle['Waitlist'];
+    const days   = [...new Set(dates.filter(Boolean))];
+    if (!wSheet || !days.length) return [];
+
+    try {
+        const bSheet = doc.sheetsByTitle['Bookings'];
+        const [wRows, avRows, bookingRows] = await Promise.all([
+            wSheet.getRows(),
+            getAvailabilityRows(doc),
+            bSheet ? bSheet.getRows() : [],
+        ]);
+        const sast   = sastNow();
+        const limits = bookingLimits(s, sast);
+        const hours  = parseFloat(s.waitlist_offer_hours || '12') || 12;
+        const sent   = [];
+
+        for (const dateStr of days) {
+            for (const r of eligibleEntries(wRows, dateStr, Date.now())) {
+                const slots = openSlots({
+                    avRows, bookingRows, from: dateStr, to: dateStr,
+                    duration: parseInt(r.get('Service Duration (min)') || 0) || 0,
+                    now: sast, limits,
+                })[dateStr] || [];
+                if (!slots.length) continue;
+
+                const waitlistId = r.get('Waitlist ID');
+                const expires    = Date.now() + hours * 3600000;
+                const token      = signToken(ADMIN_TOKEN_SECRET, 'waitlist', { w: waitlistId, d: dateStr }, expires);
+                r.set('Status',        'Offered');
+                r.set('Offered Date',  dateStr);
+                r.set('Offer Expires', sastStamp(new Date(expires)));
+                await r.save();
+
+                await sendWaitlistOfferEmail(s, {
+                    name:       r.get('Client Name'),
+                    email:      r.get('Client Email'),
+                    services:   r.get('Service Names'),
+                    date:       dateStr,
+                    slots,
+                    bookingUrl: waitlistUrl(s, token),
+                    offerHours: hours,
+                });
+                sent.push(waitlistId);
+                console.log(`Waitlist: offered ${dateStr} to ${waitlistId}`);
+            }
+        }
+        return sent;
+    } catch (e) {
+        console.error('Waitlist notify failed:', e.message);
+        return [];
+    }
+}
+
+// Link a waitlist entry to the booking made from its offer (non-fatal)
+async function markWaitlistBooked(doc, token, bookingId) {
+    const data   = verifyToken(ADMIN_TOKEN_SECRET, 'waitlist', token);
+    const wSheet = doc.sheetsByTitle['Waitlist'];
+    if (!data || !wSheet) return;
+    try {
+        const row = (await wSheet.getRows()).find(r => r.get('Waitlist ID') === data.w);
+        if (!row) return;
+        row.set('Status',     'Booked');
+        row.set('Booking ID', bookingId);
+        await row.save();
+    } catch (e) { console.warn('Waitlist booked update failed (non-fatal):', e.message); }
+}
+
+// =============================================================================
+// POST /api/waitlist — { name, email, phone, dateFrom, dateTo?, services }
+// =============================================================================
+app.post('/api/waitlist', rateLimit(5, 60000), async (req, res) => {
+    try {
+        const doc   = await getDoc();
+        const s     = await getSettings(doc);
+        const sheet = doc.sheetsByTitle['Waitlist'];
+        if (!sheet) return res.status(503).json({ error: 'Waitlist is not available right now' });
+
+        const { name, email, phone, dateFrom, dateTo, services } = req.body;
+        const cleanName  = sanitize(name,   80);
+        const cleanEmail = sanitize(email, 120);
+        const cleanPhone = phone ? cleanPhoneNumber(phone) : '';
+        const from       = String(dateFrom || '');
+        const to         = String(dateTo   || '') || from;
 
-        await Promise.all([
-            sendAdminDepositNotification(settings, {
-                bookingId,
-                name:        row.get('Client Name'),
-                email:       row.get('Client Email'),
-                phone:       row.get('Client Phone'),
-                address:     row.get('Client Address'),
-                services:    row.get('Service Names'),
-                date:        row.get('Date'),
-                time:        row.get('Time'),
-                totalAmount: row.get('Total Amount (R)'),
-                deposit:     row.get('Deposit Amount (R)'),
-                balance:     row.get('Balance Due (R)'),
-            }).then(() => console.log('Admin deposit email sent')).catch((e) => console.error('Admin deposit email error:', e.message)),
-
-            sendCustomerConfirmationEmail(settings, {
-                bookingId,
-                name:     row.get('Client Name'),
-                email:    row.get('Client Email'),
-                address:  row.get('Client Address'),
-                services: row.get('Service Names'),
-                date:     row.get('Date'),
-                time:     row.get('Time'),
-                deposit:  row.get('Deposit Amount (R)'),
-                balance:  row.get('Balance Due (R)'),
-            }).then(() => console.log('Customer confirmation email sent')).catch((e) => console.error('Customer confirmation email error:', e.message)),
-        ]);
+        if (cleanName.length < 2)                                              return res.status(400).json({ error: 'Invalid name' });
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(cleanEmail))               return res.status(400).json({ error: 'Invalid email' });
+        if (cleanPhone && !/^\+\d{7,15}$/.test(cleanPhone))                   return res.status(400).json({ error: 'Invalid phone number' });
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || !/^\d{4}-\d{2}-\d{2}$/.test(to)) return res.status(400).json({ error: 'Invalid date format' });
+        if (to < from)                                                         return res.status(400).json({ error: 'End date is before start date' });
+        if (to > addDays(from, 31))                                            return res.status(400).json({ error: 'Please choose a range of 31 days or less' });
 
-        return res.status(200).json({ received: true });
+        const limits = bookingLimits(s, sastNow());
+        if (to < limits.earliest.dateStr)                                     return res.status(400).json({ error: 'These dates have already passed' });
+        if (from > limits.latestDate)                                          return res.status(400).json({ error: 'This date is too far ahead — please choose an earlier date' });
+
+        const priced = priceServices(await getServices(doc), Array.isArray(services) ? services.slice(0, 20) : []);
+        if (priced.unknown.length)                                             return res.status(400).json({ error: `Unknown or unavailable service: ${priced.unknown.join(', ')}` });
+        if (!priced.lines.length)                                              return res.status(400).json({ error: 'No services selected' });
+
+        // One active entry per email and date range
+        const rows = await sheet.getRows();
+        const dupe = rows.find(r =>
+            WAITLIST_ACTIVE.includes(r.get('Status')) &&
+            (r.get('Client Email') || '').toLowerCase() === cleanEmail.toLowerCase() &&
+            r.get('Date From') === from && (r.get('Date To') || r.get('Date From')) === to);
+        if (dupe) return res.json({ success: true, waitlistId: dupe.get('Waitlist ID'), existing: true });
+
+        const waitlistId = 'WL-' + crypto.randomBytes(5).toString('hex').toUpperCase();
+        await sheet.addRow({
+            'Waitlist ID':            waitlistId,
+            'Created At':             sastStamp(),
+            'Client Name':            cleanName,
+            'Client Email':           cleanEmail,
+            'Client Phone':           cleanPhone,
+            'Date From':              from,
+            'Date To':                to,
+            'Service IDs':            priced.ids,
+            'Service Names':          priced.names,
+            'Service Duration (min)': priced.minutes || '',
+            'Status':                 'Waiting',
+            'Offered Date':           '',
+            'Offer Expires':          '',
+            'Booking ID':             '',
+        });
+        console.log(`Waitlist: ${waitlistId} for ${from}${to !== from ? ` to ${to}` : ''}`);
 
+        res.json({ success: true, waitlistId });
     } catch (e) {
-        console.error('Webhook processing error:', e.message);
-        return res.status(500).json({ error: 'Internal error — will retry' });
+        console.error('POST /api/waitlist:', e.message);
+        res.status(500).json({ error: 'Could not join the waitlist — please try again' });
     }
 });
 
 // =============================================================================
-// GET /api/check-payment
+// GET /api/waitlist/offer?t= — prefill the booking wizard from an offer link
 // =============================================================================
-app.get('/api/check-payment', rateLimit(30, 60000), async (req, res) => {
-    const ref = (req.query.ref || '').trim();
-    if (!ref) return res.status(400).json({ error: 'ref required' });
+app.get('/api/waitlist/offer', rateLimit(30, 60000), async (req, res) => {
+    const data = verifyToken(ADMIN_TOKEN_SECRET, 'waitlist', req.query.t);
+    if (!data) return res.status(410).json({ error: 'This waitlist link has expired — the slot may still be open, so feel free to book as normal.' });
     try {
-        const doc = await getDoc();
-        const s   = await getSettings(doc);
-        const { row } = await findRow(doc, ref);
-        if (!row) return res.status(404).json({ error: 'Not found' });
+        const doc   = await getDoc();
+        const sheet = doc.sheetsByTitle['Waitlist'];
+        const row   = sheet ? (await sheet.getRows()).find(r => r.get('Waitlist ID') === data.w) : null;
+        if (!row || !WAITLIST_ACTIVE.includes(row.get('Status'))) {
+            return res.status(410).json({ error: 'This waitlist offer is no longer available.' });
+        }
         res.json({
-            bookingId:     ref,
-            depositStatus: row.get('Deposit Status')     || '',
-            balanceStatus: row.get('Balance Status')     || '',
-            name:          row.get('Client Name')        || '',
-            services:      row.get('Service Names')      || '',
-            date:          row.get('Date')               || '',
-            time:          row.get('Time')               || '',
-            total:         row.get('Total Amount (R)')   || '',
-            deposit:       row.get('Deposit Amount (R)') || '',
-            balance:       row.get('Balance Due (R)')    || '',
-            appBase:       s.app_base_url || '',
+            date:     data.d,
+            services: (row.get('Service IDs') || '').split(',').map(x => x.trim()).filter(Boolean),
+            name:     row.get('Client Name')  || '',
+            email:    row.get('Client Email') || '',
+            phone:    row.get('Client Phone') || '',
         });
-    } catch (e) { res.status(500).json({ error: e.message }); }
+    } catch (e) {
+        console.error('waitlist/offer:', e.message);
+        res.status(500).json({ error: 'Service unavailable — please try again' });
+    }
 });
 
 // =============================================================================
@@ -778,6 +3023,12 @@ app.get('/api/admin/bookings', adminOnly, async (req, res) => {
             calEventId:    r.get('Calendar Event ID'),
             createdAt:     r.get('Created At'),
             yocoLink:      r.get('Yoco Link'),
+            groupId:       r.get('Group ID')        || '',
+            organiser:     r.get('Group Organiser') || '',
+            seriesId:      r.get('Series ID')         || '',
+            seriesVisit:   r.get('Series Occurrence') || '',
+            paidInFull:    r.get('Payment Option') === 'Pay in Full',
+            tip:           r.get('Tip (R)') || '',
         })).filter(b => b.bookingId).reverse());
     } catch (e) { res.status(500).json({ error: e.message }); }
 });
@@ -839,13 +3090,15 @@ app.get('/api/admin/consultations', adminOnly, async (req, res) => {
 app.post('/api/admin/update-status', adminOnly, async (req, res) => {
     try {
         const { bookingId, status } = req.body;
-        const VALID_STATUSES = ['Pending Payment', 'Confirmed', 'Service Complete', 'Cancelled', 'Refunded'];
+        const VALID_STATUSES = ['Pending Payment', 'Reserved', 'Confirmed', 'Service Complete', 'Cancelled', 'Refunded', 'Expired'];
         if (!VALID_STATUSES.includes(status)) return res.status(400).json({ error: 'Invalid status' });
 
         const { row } = await findRow(req.doc, bookingId);
         if (!row) return res.status(404).json({ error: 'Not found' });
 
-        const prev = row.get('Deposit Status') || '';
+        const prev  = row.get('Deposit Status') || '';
+        const quote = status === 'Cancelled' && prev !== 'Cancelled' ? cancellationQuote(req.settings, row) : null;
+        if (quote) recordCancellation(row, quote, 'admin');
         row.set('Deposit Status', status);
         await row.save();
 
@@ -891,11 +3144,22 @@ app.post('/api/admin/update-status', adminOnly, async (req, res) => {
                     time:     row.get('Time'),
                     deposit:  row.get('Deposit Amount (R)'),
                     balance:  row.get('Balance Due (R)'),
+                    manageUrl:   row.get('Group ID') ? '' : manageUrl(req.settings, row),
+                    attachments: await documentAttachment(req.doc, req.settings, row, 'invoice'),
                 }).catch(() => {});
             }
         }
 
-        res.json({ success: true });
+        if (status === 'Service Complete' && prev !== status && row.get('Pack Purchase ID')) {
+            await syncPackProgress(req.doc, row.get('Pack Purchase ID'));
+        }
+
+        // A slot only opens when a live booking (held or confirmed) is released
+        if (RELEASED_STATUSES.includes(status) && !RELEASED_STATUSES.includes(prev) && prev !== 'Service Complete') {
+            await notifyWaitlist(req.doc, req.settings, [row.get('Date')]);
+        }
+
+        res.json(quote ? { success: true, refundQuote: quote } : { success: true });
     } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
@@ -908,37 +3172,15 @@ app.post('/api/admin/reschedule', adminOnly, async (req, res) => {
         const { row } = await findRow(req.doc, bookingId);
         if (!row) return res.status(404).json({ error: 'Not found' });
 
-        const oldCal = row.get('Calendar Event ID') || '';
+        // Moving one visit of a series leaves the others where they are
+        if (row.get('Series ID')) {
+            row.set('Notes', [row.get('Notes'), `Series exception: moved from ${row.get('Date')} ${row.get('Time')} on ${sastStamp()}`].filter(Boolean).join('; '));
+        }
         row.set('Date', newDate);
         row.set('Time', newTime);
         await row.save();
 
-        if (oldCal) {
-            const updated = await calUpdate(req.settings, oldCal, {
-                name:     row.get('Client Name'),
-                address:  row.get('Client Address'),
-                services: row.get('Service Names'),
-                date:     newDate,
-                time:     newTime,
-            });
-            if (!updated) {
-                await calDelete(req.settings, oldCal);
-                const nc = await calCreate(req.settings, {
-                    bookingId,
-                    name:        row.get('Client Name'),
-                    email:       row.get('Client Email'),
-                    phone:       row.get('Client Phone'),
-                    address:     row.get('Client Address'),
-                    services:    row.get('Service Names'),
-                    date:        newDate,
-                    time:        newTime,
-                    totalAmount: row.get('Total Amount (R)'),
-                    deposit:     row.get('Deposit Amount (R)'),
-                    balance:     row.get('Balance Due (R)'),
-                });
-                if (nc) { row.set('Calendar Event ID', nc); await row.save(); }
-            }
-        }
+        await calMove(req.settings, row);
 
         res.json({ success: true });
     } catch (e) { res.status(500).json({ error: e.message }); }
@@ -947,103 +3189,590 @@ app.post('/api/admin/reschedule', adminOnly, async (req, res) => {
 // =============================================================================
 // POST /api/admin/request-balance
 // =============================================================================
+// Marks the balance Requested and emails the client a link for what's due.
+// Starts (or restarts) the reminder schedule — see /api/cron/balance-reminders —
+// unless keepSchedule says the client is already being chased for it.
+// Saves the row; returns { paymentUrl } or { error } with nothing changed.
+async function issueBalanceRequest(s, row, bal, { keepSchedule = false } = {}) {
+    const bookingId = row.get('Booking ID');
+    const base      = s.app_base_url || 'http://localhost:3000';
+    const provider  = paymentProvider(s);
+
+    // The payment page creates the checkout, with any tip, when the client pays
+    const paymentUrl = provider.ready
+        ? balancePayUrl(s, row)
+        : provider.paymentPageUrl({
+            amount:     bal,
+            reference:  `${bookingId}-BAL`,
+            client:     { name: row.get('Client Name'), email: row.get('Client Email') },
+            successUrl: `${base}/thankyou.html?balance=true&ref=${bookingId}`,
+        });
+
+    if (!paymentUrl) return { error: provider.missing || 'No payment credentials' };
+
+    row.set('Balance Status', 'Requested');
+    row.set('Yoco Link',      paymentUrl);
+    if (!keepSchedule) {
+        row.set('Balance Requested At',   sastStamp());
+        row.set('Balance Reminders Sent', '0');
+        row.set('Last Reminder At',       '');
+    }
+    await row.save();
+
+    sendBalanceRequestEmail(s, {
+        bookingId,
+        name:       row.get('Client Name'),
+        email:      row.get('Client Email'),
+        services:   row.get('Service Names'),
+        deposit:    row.get('Deposit Amount (R)'),
+        packCredit: row.get('Pack Credit (R)') || '',
+        voucher:    row.get('Voucher Used (R)') || '',
+        balance:    bal.toFixed(2),
+        paymentUrl: paymentUrl,
+        tipping:    provider.ready,
+    }).catch((e) => console.error('Balance request email error:', e.message));
+
+    return { paymentUrl };
+}
+
 app.post('/api/admin/request-balance', adminOnly, async (req, res) => {
     try {
         const { bookingId } = req.body;
         const { row } = await findRow(req.doc, bookingId);
         if (!row) return res.status(404).json({ error: 'Not found' });
+
+        // Paid in full at booking — nothing to request, so close the
+        // treatment off and send the thank-you the balance payment would have
+        if (row.get('Payment Option') === 'Pay in Full' && row.get('Balance Status') === 'Paid') {
+            if (row.get('Deposit Status') === 'Service Complete') return res.status(400).json({ error: 'Already paid in full' });
+            row.set('Deposit Status', 'Service Complete');
+            await row.save();
+            if (row.get('Pack Purchase ID')) await syncPackProgress(req.doc, row.get('Pack Purchase ID'));
+            sendRebookEmail(req.settings, {
+                bookingId,
+                name:        row.get('Client Name'),
+                email:       row.get('Client Email'),
+                total:       row.get('Total Amount (R)'),
+                services:    row.get('Service Names'),
+                paidInFull:  true,
+                attachments: await documentAttachment(req.doc, req.settings, row, 'receipt'),
+            }).catch((e) => console.error('Rebook email error:', e.message));
+            return res.json({ success: true, paymentUrl: null, balanceDue: 0, paidInFull: true });
+        }
         if (row.get('Balance Status') === 'Paid') return res.status(400).json({ error: 'Already paid' });
 
-        const bal = parseFloat((row.get('Balance Due (R)') || '').replace(/[R\s]/g, '')) || 0;
-        if (bal < 2) return res.status(400).json({ error: 'Balance below R2' });
+        let bal = parseFloat((row.get('Balance Due (R)') || '').replace(/[R\s]/g, '')) || 0;
+        const s = req.settings;
 
-        const s    = req.settings;
-        const base = s.app_base_url || 'http://localhost:3000';
-        const sUrl = `${base}/thankyou.html?balance=true&ref=${bookingId}`;
-        const cUrl = `${base}/?payment=cancelled&ref=${bookingId}`;
-        const slug = (s.yoco_payment_page_slug || '').replace(/^https?:\/\/pay\.yoco\.com\//, '').replace(/\?.*$/, '').trim();
-        const np   = (row.get('Client Name') || '').split(/\s+/);
-        let paymentUrl = null;
-
-        if (s.yoco_secret_key) {
-            const { ok, data } = await yocoCheckout({
-                key:        s.yoco_secret_key,
-                cents:      Math.round(bal * 100),
-                successUrl: sUrl,
-                cancelUrl:  cUrl,
-                customer:   { email: row.get('Client Email') || '', firstName: np[0] || '', lastName: np.slice(1).join(' ') || '', phone: row.get('Client Phone') || '' },
-                metadata:   { bookingId, type: 'balance' },
-                desc:       `PhenomeBeauty balance — ${row.get('Service Names')}`,
-            });
-            if (ok && data.redirectUrl) paymentUrl = data.redirectUrl;
+        // Draw what's left on the booking's gift voucher before asking for
+        // the rest — honoured even if it has expired since the booking. Read
+        // and saved under the voucher's lock so a booking drawing on it at
+        // the same time can't spend the same rands
+        const vCode = (row.get('Voucher Code') || '').trim();
+        let draw = 0;
+        if (vCode && bal > 0) await withLock(`voucher:${vCode.toUpperCase()}`, async () => {
+            const v = await redeemableVoucher(req.doc, vCode, { allowExpired: true });
+            draw = !v.error ? round2(Math.min(v.balance, bal)) : 0;
+            if (draw <= 0) return;
+            bal = round2(bal - draw);
+            addVoucherDraw(row, draw);
+            row.set('Balance Due (R)', bal.toFixed(2));
+            row.set('Notes', [row.get('Notes'), `Voucher ${vCode}: R${draw.toFixed(2)} towards the balance`].filter(Boolean).join('; '));
+            await row.save();
+        });
+
+        // Voucher covered everything — settle it here rather than send a R0 link
+        if (draw > 0 && bal === 0) {
+            row.set('Deposit Status', 'Service Complete');
+            row.set('Balance Status', 'Paid');
+            await row.save();
+            if (row.get('Pack Purchase ID')) await syncPackProgress(req.doc, row.get('Pack Purchase ID'));
+            sendRebookEmail(s, {
+                bookingId,
+                name:        row.get('Client Name'),
+                email:       row.get('Client Email'),
+                total:       row.get('Total Amount (R)'),
+                services:    row.get('Service Names'),
+                attachments: await documentAttachment(req.doc, s, row, 'receipt'),
+            }).catch((e) => console.error('Rebook email error:', e.message));
+            return res.json({ success: true, paymentUrl: null, balanceDue: 0, voucherUsed: draw });
         }
 
-        if (!paymentUrl && slug) {
-            const p = new URLSearchParams({
-                amount:                   bal.toFixed(2),
-                reference:                `${bookingId}-BAL`,
-                firstName:                np[0] || '',
-                lastName:                 np.slice(1).join(' ') || '',
-                email:                    row.get('Client Email') || '',
-                redirectOnPaymentSuccess: sUrl,
-            });
-            paymentUrl = `https://pay.yoco.com/${slug}?${p}`;
+        if (bal < 2) return res.status(400).json({ error: 'Balance below R2' });
+
+        row.set('Deposit Status', 'Service Complete');
+        const { paymentUrl, error } = await issueBalanceRequest(s, row, bal);
+        if (error) return res.status(500).json({ error });
+        if (row.get('Pack Purchase ID')) await syncPackProgress(req.doc, row.get('Pack Purchase ID'));
+
+        res.json({ success: true, paymentUrl, balanceDue: bal, voucherUsed: draw });
+    } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// =============================================================================
+// POST /api/admin/record-payment — { bookingId, method, amount, reference, date }
+// A cash or EFT payment towards the balance. Part-payments come off Balance
+// Due — and if the balance was already requested, the client is sent a new
+// link for what's left. The one that settles it marks the balance Paid with
+// the webhook's emails.
+// =============================================================================
+const MANUAL_METHODS        = ['Cash', 'EFT'];
+const BALANCE_OWED_STATUSES = ['Confirmed', 'Service Complete'];
+
+app.post('/api/admin/record-payment', adminOnly, async (req, res) => {
+    try {
+        const { bookingId, method, amount, reference, date } = req.body;
+        const paid     = round2(parseFloat(amount) || 0);
+        const paidOn   = date || sastNow().dateStr;
+        const cleanRef = sanitize(reference, 80);
+
+        if (!MANUAL_METHODS.includes(method))                                  return res.status(400).json({ error: `Method must be ${MANUAL_METHODS.join(' or ')}` });
+        if (paid <= 0)                                                         return res.status(400).json({ error: 'Enter the amount received' });
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(paidOn))                                return res.status(400).json({ error: 'Invalid date' });
+
+        const { row } = await findRow(req.doc, bookingId);
+        if (!row) return res.status(404).json({ error: 'Not found' });
+        if (row.get('Balance Status') === 'Paid')                             return res.status(400).json({ error: 'Balance already paid' });
+        // Until the deposit is in, the balance isn't owed yet
+        if (!BALANCE_OWED_STATUSES.includes(row.get('Deposit Status') || '')) return res.status(400).json({ error: `Booking is ${row.get('Deposit Status') || 'not confirmed'}` });
+
+        const due = parseRands(row.get('Balance Due (R)'));
+        if (paid > due)                                                        return res.status(400).json({ error: `Only R${due.toFixed(2)} is due` });
+
+        const left      = round2(due - paid);
+        const requested = row.get('Balance Status') === 'Requested';
+
+        // A part-payment re-sends the request for what's left, so the client's
+        // online checkout for the old amount must not still be payable
+        if (left > 0 && requested) {
+            if (left < 2) return res.status(400).json({ error: `Record the full R${due.toFixed(2)} — less than R2 can't be collected online` });
+            const cid      = (row.get('Balance Checkout ID') || '').trim();
+            const provider = paymentProvider(req.settings);
+            if (cid && provider.ready) {
+                const co = await provider.fetchStatus(cid);
+                if (co.status === 'completed')          return res.status(400).json({ error: 'The client has already paid online — run Reconcile payments' });
+                if (OPEN_CHECKOUT.includes(co.status)) return res.status(400).json({ error: `The client has an online checkout open for R${due.toFixed(2)} — record the full amount or try again once it has expired` });
+            }
+            row.set('Balance Checkout ID', '');
         }
 
-        if (!paymentUrl) return res.status(500).json({ error: 'No Yoco credentials' });
+        row.set('Balance Due (R)', left.toFixed(2));
+        row.set('Manual Paid (R)', round2(parseRands(row.get('Manual Paid (R)')) + paid).toFixed(2));
+        row.set('Notes', [row.get('Notes'), `${method} R${paid.toFixed(2)} received ${paidOn}${cleanRef ? ` (ref ${cleanRef})` : ''}`].filter(Boolean).join('; '));
 
-        row.set('Deposit Status',  'Service Complete');
-        row.set('Balance Status',  'Requested');
-        row.set('Yoco Link',       paymentUrl);
+        if (left === 0) {
+            row.set('Balance Status', 'Paid');
+            if (row.get('Deposit Status') === 'Confirmed') row.set('Deposit Status', 'Service Complete');
+        }
         await row.save();
+        console.log(`Manual payment: ${method} R${paid.toFixed(2)} for ${bookingId} — R${left.toFixed(2)} left`);
+        await addPayment(req.doc, { bookingId, type: 'Manual', method, amount: paid, reference: cleanRef, date: paidOn, by: 'admin' });
 
-        sendBalanceRequestEmail(s, {
-            bookingId,
-            name:       row.get('Client Name'),
-            email:      row.get('Client Email'),
-            services:   row.get('Service Names'),
-            deposit:    row.get('Deposit Amount (R)'),
-            balance:    bal.toFixed(2),
-            paymentUrl: paymentUrl,
-        }).catch((e) => console.error('Balance request email error:', e.message));
-
-        res.json({ success: true, paymentUrl, balanceDue: bal });
+        if (left === 0) {
+            if (row.get('Pack Purchase ID')) await syncPackProgress(req.doc, row.get('Pack Purchase ID'));
+            await balanceSettled(req.doc, req.settings, row, { amount: paid, method });
+        }
+        // Still chasing the rest — a fresh link and email for the new amount,
+        // with the reminders carrying on where they were
+        if (left > 0 && requested) {
+            const { error } = await issueBalanceRequest(req.settings, row, left, { keepSchedule: true });
+            if (error) return res.status(500).json({ error: `Payment recorded, but the new balance link failed: ${error}` });
+        }
+
+        res.json({ success: true, balanceDue: left, settled: left === 0 });
+    } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// =============================================================================
+// GET /api/admin/refund-quote?bookingId= — policy suggestion for the refund form
+// =============================================================================
+// A cancelled booking keeps the quote stamped when it was cancelled; anything
+// else is quoted as if cancelled now. Earlier partial refunds come off both the
+// suggestion and what's still held.
+function refundSuggestion(s, row) {
+    const quote    = cancellationQuote(s, row);
+    const due      = row.get('Refund Due (R)');
+    quote.refunded = parseRands(row.get('Refunded (R)'));
+    quote.held     = Math.max(0, round2(quote.paid - quote.refunded));
+    if (row.get('Deposit Status') === 'Cancelled' && due !== undefined && due !== '') {
+        quote.refund = parseRands(due);
+        quote.rule   = row.get('Cancellation Outcome') || quote.rule;
+    } else {
+        quote.refund = round2(quote.refund - quote.refunded);
+    }
+    quote.refund  = Math.max(0, Math.min(quote.refund, quote.held));
+    quote.forfeit = round2(quote.held - quote.refund);
+    return quote;
+}
+
+app.get('/api/admin/refund-quote', adminOnly, async (req, res) => {
+    try {
+        const bookingId = String(req.query.bookingId || '');
+        const { row } = await findRow(req.doc, bookingId);
+        if (!row) return res.status(404).json({ error: 'Not found' });
+        const payments = await paymentRows(req.doc, bookingId);
+        res.json({
+            ...refundSuggestion(req.settings, row),
+            history: payments.filter(p => p.get('Type') === 'Refund').map(paymentView),
+        });
     } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
 // =============================================================================
-// POST /api/admin/refund
+// POST /api/admin/refund — { bookingId, reason, amount? }
+// Refunds the policy amount unless the admin overrides it. R0 records the
+// forfeiture without calling Yoco. Refunds can be partial and repeated; the
+// booking becomes Refunded once everything paid has gone back. `payBack` in
+// the reply lists the cash and EFT the admin still has to hand back.
 // =============================================================================
 app.post('/api/admin/refund', adminOnly, async (req, res) => {
     try {
         const { bookingId, reason } = req.body;
         const { row } = await findRow(req.doc, bookingId);
         if (!row) return res.status(404).json({ error: 'Not found' });
+        if (row.get('Deposit Status') === 'Refunded') return res.status(400).json({ error: 'Already refunded in full' });
+
+        const prev     = row.get('Deposit Status') || '';
+        const quote    = refundSuggestion(req.settings, row);
+        const override = req.body.amount !== undefined && req.body.amount !== '' && req.body.amount !== null;
+        let   amount   = override ? round2(parseFloat(req.body.amount)) : quote.refund;
+        if (!Number.isFinite(amount) || amount < 0) return res.status(400).json({ error: 'Invalid refund amount' });
+
+        // Bookings paid since the ledger began are capped by what it says is held
+        const ledger = ledgerTotals(await paymentRows(req.doc, bookingId));
+        const held   = ledger.paid ? ledger.net : quote.held;
+        if (amount > held) {
+            return res.status(400).json({ error: quote.refunded
+                ? `Refund exceeds the R${held.toFixed(2)} still held (R${quote.refunded.toFixed(2)} already refunded)`
+                : `Refund exceeds the R${held.toFixed(2)} paid` });
+        }
+
+        // Each payment goes back the way it came: gateway payments against
+        // their own checkout, cash and EFT by hand (recorded, not sent)
+        const rows = ledger.paid ? await paymentRows(req.doc, bookingId) : [];
+        const cid  = (row.get('Yoco Checkout ID') || '').trim();
+        const plan = ledger.paid
+            ? refundPlan(rows, amount, { checkoutId: cid })
+            : { parts: amount > 0 ? [{ method: 'Yoco', checkoutId: cid, amount }] : [], short: 0 };
+        if (plan.short > 0) return res.status(400).json({ error: `Only R${round2(amount - plan.short).toFixed(2)} can be matched to payments on this booking` });
+
+        const online   = plan.parts.filter(p => !MANUAL_METHODS.includes(p.method));
+        const provider = online.length ? paymentProvider(req.settings) : null;
+        if (provider && !provider.ready) return res.status(400).json({ error: provider.missing });
+        if (online.some(p => !p.checkoutId)) return res.status(400).json({ error: `No Checkout ID — refund manually in the ${provider.label} dashboard` });
+
+        // A gateway refund that fails after others went through stops here;
+        // what did go back is still recorded
+        const ref     = sanitize(reason || 'requested_by_customer', 200);
+        const payBack = [];
+        let   done = 0, failed = '';
+        for (const part of plan.parts) {
+            if (MANUAL_METHODS.includes(part.method)) {
+                await addPayment(req.doc, { bookingId, type: 'Refund', method: part.method, amount: part.amount, reference: ref, by: 'admin' });
+                payBack.push({ method: part.method, amount: part.amount });
+            } else {
+                const r = await provider.refund(part.checkoutId, { amount: part.amount, reason });
+                if (!r.ok) { failed = r.error; break; }
+                await addPayment(req.doc, {
+                    bookingId, type: 'Refund', method: part.method, amount: part.amount, providerId: r.refundId, checkoutId: part.checkoutId,
+                    reference: ref, by: 'admin',
+                });
+            }
+            done = round2(done + part.amount);
+        }
+        if (failed && !done) return res.status(400).json({ error: failed });
+        if (failed) amount = done;
+
+        const total = round2(quote.refunded + amount);
+        const full  = total > 0 && round2(held - amount) <= 0;
+        const live  = !RELEASED_STATUSES.includes(prev) && prev !== 'Service Complete';
+        // A refund on an upcoming booking cancels it; after the treatment a
+        // partial (goodwill) refund leaves it Service Complete
+        const next  = full ? 'Refunded' : live ? 'Cancelled' : prev;
+
+        const how = override && amount !== quote.refund
+            ? `override of the R${quote.refund.toFixed(2)} policy amount`
+            : `${quote.percent}% per policy`;
+        const outcome = `Refunded R${amount.toFixed(2)} of R${quote.paid.toFixed(2)} on ${sastStamp()} (${how})` +
+                        payBack.map(p => `, R${p.amount.toFixed(2)} to pay back by ${p.method}`).join('') +
+                        (reason ? ` — ${sanitize(reason, 200)}` : '') +
+                        (failed ? ` — stopped: ${failed}` : '');
+        if (!row.get('Cancellation Outcome') && live) recordCancellation(row, quote, 'admin');
+        row.set('Cancellation Outcome', [row.get('Cancellation Outcome'), outcome].filter(Boolean).join('; '));
+        row.set('Refund Due (R)', Math.max(0, round2(quote.refund - amount)).toFixed(2));
+        row.set('Refunded (R)', total.toFixed(2));
+        row.set('Deposit Status', next);
+        await row.save();
+        bustDocCache();
 
-        const key = req.settings.yoco_secret_key || '';
-        if (!key) return res.status(400).json({ error: 'yoco_secret_key not set' });
+        const calId = row.get('Calendar Event ID') || '';
+        if (calId && next !== prev) await calDelete(req.settings, calId);
+        if (live) await notifyWaitlist(req.doc, req.settings, [row.get('Date')]);
+
+        if (amount > 0) {
+            sendRefundEmail(req.settings, {
+                bookingId,
+                name:          row.get('Client Name'),
+                email:         row.get('Client Email'),
+                services:      row.get('Service Names'),
+                date:          row.get('Date'),
+                paid:          quote.paid,
+                amount,
+                totalRefunded: total,
+                fullyRefunded: full,
+                reason:        reason ? sanitize(reason, 200) : '',
+            }).catch((e) => console.error('Refund email error:', e.message));
+        }
+
+        res.json({
+            success: true, refunded: amount, totalRefunded: total, fullyRefunded: full, status: next, suggested: quote.refund,
+            payBack, ...(failed ? { failed } : {}),
+        });
+    } catch (e) { res.status(500).json({ error: e.message }); }
+});
 
-        const cid = (row.get('Yoco Checkout ID') || '').trim();
-        if (!cid) return res.status(400).json({ error: 'No Checkout ID — refund manually in Yoco Dashboard' });
+// =============================================================================
+// POST /api/admin/series — repeat an existing booking as a recurring series
+// { bookingId, everyWeeks, count, deposit: 'each' | 'upfront' }. The booking
+// becomes visit 1; the later visits are written as 'Reserved'.
+// =============================================================================
+app.post('/api/admin/series', adminOnly, async (req, res) => {
+    try {
+        const everyWeeks = parseInt(req.body.everyWeeks) || 0;
+        const count      = parseInt(req.body.count)      || 0;
+        if (everyWeeks < 1 || everyWeeks > SERIES_MAX_WEEKS) return res.status(400).json({ error: `Repeat every 1 to ${SERIES_MAX_WEEKS} weeks` });
+        if (count < 2 || count > SERIES_MAX_VISITS)          return res.status(400).json({ error: `A series is 2 to ${SERIES_MAX_VISITS} visits` });
 
-        const r = await fetch(`https://payments.yoco.com/api/checkouts/${cid}/refund`, {
-            method:  'POST',
-            headers: { 'Authorization': `Bearer ${key}`, 'Content-Type': 'application/json' },
-            body:    JSON.stringify({ reason: reason || 'requested_by_customer' }),
+        const { row } = await findRow(req.doc, String(req.body.bookingId || ''));
+        if (!row) return res.status(404).json({ error: 'Not found' });
+        const status = row.get('Deposit Status') || '';
+        if (row.get('Group ID'))                   return res.status(400).json({ error: 'Group bookings can\'t be repeated as a series' });
+        if (row.get('Series ID'))                  return res.status(400).json({ error: `Already part of series ${row.get('Series ID')}` });
+        if (RELEASED_STATUSES.includes(status))    return res.status(400).json({ error: `This booking is ${status.toLowerCase()}` });
+
+        const s         = req.settings;
+        const bookingId = row.get('Booking ID');
+        const seriesId  = 'SER-' + crypto.randomBytes(5).toString('hex').toUpperCase();
+        const dates     = seriesDates(row.get('Date'), everyWeeks, count).slice(1);
+        const result    = await writeSeries(req.doc, s, {
+            seriesId, dates, everyWeeks,
+            time:       row.get('Time'),
+            priced:     {
+                ids:     row.get('Service IDs')   || '',
+                names:   row.get('Service Names') || '',
+                minutes: parseInt(row.get('Service Duration (min)') || 0) || 0,
+                total:   parseRands(row.get('Service Price (R)')),
+            },
+            callOut:    {
+                fee:         parseRands(row.get('Call Out Fee (R)')),
+                oneWayKm:    row.get('One Way Km')    || '',
+                roundTripKm: row.get('Round Trip Km') || '',
+            },
+            client:     {
+                name:    row.get('Client Name')    || '',
+                email:   row.get('Client Email')   || '',
+                phone:   row.get('Client Phone')   || '',
+                address: row.get('Client Address') || '',
+            },
+            statuses:   dates.map(() => 'Reserved'),
+            notes:      [`Repeats ${bookingId}`],
+            firstVisit: 2,
+            visits:     count,
+            limitFirst: false,
         });
-        const d = await r.json();
-        if (!r.ok) return res.status(400).json({ error: d.displayMessage || d.message || 'Refund failed' });
+        if (result.conflicts) return res.status(409).json(seriesClash(result.conflicts));
 
-        row.set('Deposit Status', 'Refunded');
+        row.set('Series ID', seriesId);
+        row.set('Series Occurrence', `1/${count}`);
         await row.save();
+        bustDocCache();
+        console.log(`Admin: ${bookingId} repeated as ${seriesId}, ${count} visits every ${everyWeeks} weeks`);
 
-        const calId = row.get('Calendar Event ID') || '';
-        if (calId) await calDelete(req.settings, calId);
+        let payment = {};
+        if (req.body.deposit === 'upfront') {
+            const ids = result.lines.map(l => l.bookingId);
+            payment = await requestSeriesDeposit(req.doc, s, (await seriesRows(req.doc, seriesId)).filter(r => ids.includes(r.get('Booking ID'))));
+        }
+
+        res.json({
+            success: true,
+            seriesId,
+            visits:  result.lines.map(l => ({ bookingId: l.bookingId, date: l.date, time: l.time })),
+            ...payment,
+        });
+    } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// =============================================================================
+// POST /api/admin/request-deposit — deposit link for one reserved series visit
+// =============================================================================
+app.post('/api/admin/request-deposit', adminOnly, async (req, res) => {
+    try {
+        const { row } = await findRow(req.doc, String(req.body.bookingId || ''));
+        if (!row) return res.status(404).json({ error: 'Not found' });
+        if (row.get('Deposit Status') !== 'Reserved') return res.status(400).json({ error: 'Only reserved series visits need a deposit request' });
+
+        const { paymentUrl, paymentError, amount, confirmed } = await requestSeriesDeposit(req.doc, req.settings, [row]);
+        if (!paymentUrl && !confirmed) return res.status(400).json({ error: paymentError || 'Could not create a payment link' });
+        bustDocCache();
+        res.json({ success: true, paymentUrl, amount, confirmed: !!confirmed });
+    } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// =============================================================================
+// GET /api/admin/waitlist · POST /api/admin/waitlist/remove
+// =============================================================================
+app.get('/api/admin/waitlist', adminOnly, async (req, res) => {
+    try {
+        const sheet = req.doc.sheetsByTitle['Waitlist'];
+        if (!sheet) return res.json({ entries: [] });
+        const now  = Date.now();
+        const rows = await sheet.getRows();
+        res.json({
+            entries: rows.map(r => ({
+                waitlistId:   r.get('Waitlist ID')   || '',
+                createdAt:    r.get('Created At')    || '',
+                name:         r.get('Client Name')   || '',
+                email:        r.get('Client Email')  || '',
+                phone:        r.get('Client Phone')  || '',
+                dateFrom:     r.get('Date From')     || '',
+                dateTo:       r.get('Date To')       || '',
+                services:     r.get('Service Names') || '',
+                status:       r.get('Status')        || '',
+                offeredDate:  r.get('Offered Date')  || '',
+                offerExpires: r.get('Offer Expires') || '',
+                offerLive:    r.get('Status') === 'Offered' && offerLive(r, now),
+                bookingId:    r.get('Booking ID')    || '',
+            })).reverse(),
+        });
+    } catch (e) { res.status(500).json({ error: e.message }); }
+});
 
+app.post('/api/admin/waitlist/remove', adminOnly, async (req, res) => {
+    try {
+        const sheet = req.doc.sheetsByTitle['Waitlist'];
+        const row   = sheet ? (await sheet.getRows()).find(r => r.get('Waitlist ID') === req.body.waitlistId) : null;
+        if (!row) return res.status(404).json({ error: 'Not found' });
+        row.set('Status', 'Removed');
+        await row.save();
         res.json({ success: true });
     } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
+// =============================================================================
+// GET /api/admin/vouchers — issued, redeemed and expired, newest first
+// =============================================================================
+app.get('/api/admin/vouchers', adminOnly, async (req, res) => {
+    try {
+        const sheet = req.doc.sheetsByTitle['Vouchers'];
+        if (!sheet) return res.json({ vouchers: [] });
+        const bSheet   = req.doc.sheetsByTitle['Bookings'];
+        const bookings = bSheet ? await bSheet.getRows() : [];
+        const today    = sastNow().dateStr;
+        const rows     = await sheet.getRows();
+        res.json({
+            vouchers: rows.map(r => ({
+                ...voucherState(r, bookings, today),
+                purchaser: r.get('Purchaser Name')  || '',
+                recipient: r.get('Recipient Name')  || '',
+                email:     r.get('Recipient Email') || '',
+                createdAt: r.get('Created At')      || '',
+                bookings:  bookings.filter(b => (b.get('Voucher Code') || '').trim() === (r.get('Voucher Code') || '').trim())
+                                   .map(b => b.get('Booking ID')),
+            })).reverse(),
+        });
+    } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// =============================================================================
+// GET /api/admin/invoice?bookingId=&kind=invoice|receipt — download the PDF;
+// the first download issues the number
+// =============================================================================
+app.get('/api/admin/invoice', adminOnly, async (req, res) => {
+    try {
+        const kind = String(req.query.kind || 'invoice');
+        if (!INVOICE_KINDS[kind]) return res.status(400).json({ error: 'kind must be invoice or receipt' });
+        const { row } = await findRow(req.doc, String(req.query.bookingId || '').trim());
+        if (!row) return res.status(404).json({ error: 'Not found' });
+
+        const { filename, pdf } = await bookingDocument(req.doc, req.settings, row, kind);
+        res.set({
+            'Content-Type':        'application/pdf',
+            'Content-Disposition': `attachment; filename="${filename}"`,
+            'Cache-Control':       'no-store',
+        });
+        res.send(pdf);
+    } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// =============================================================================
+// GET /api/admin/payments?bookingId= — the ledger, newest first; for one
+// booking also its totals and any disagreement with the booking row
+// =============================================================================
+const paymentView = r => ({
+    paymentId:  r.get('Payment ID')          || '',
+    bookingId:  r.get('Booking ID')          || '',
+    type:       r.get('Type')                || '',
+    method:     r.get('Method')              || '',
+    amount:     parseRands(r.get('Amount (R)')),
+    status:     r.get('Status')              || 'Succeeded',
+    providerId: r.get('Provider Payment ID') || '',
+    reference:  r.get('Reference')           || '',
+    date:       r.get('Date')                || '',
+    recordedAt: r.get('Recorded At')         || '',
+    recordedBy: r.get('Recorded By')         || '',
+});
+
+app.get('/api/admin/payments', adminOnly, async (req, res) => {
+    try {
+        const bookingId = String(req.query.bookingId || '').trim();
+        const rows      = await paymentRows(req.doc, bookingId);
+        if (!bookingId) return res.json({ payments: rows.map(paymentView).reverse() });
+
+        const { row } = await findRow(req.doc, bookingId);
+        if (!row) return res.status(404).json({ error: 'Not found' });
+        res.json({
+            payments: rows.map(paymentView).reverse(),
+            totals:   ledgerTotals(rows),
+            issues:   ledgerCheck(row, rows, amountPaid(row)),
+        });
+    } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// =============================================================================
+// GET /api/admin/payments/check — bookings whose columns disagree with the
+// ledger. Paid bookings with no ledger rows at all (taken before the Payments
+// tab existed) are listed separately.
+// =============================================================================
+app.get('/api/admin/payments/check', adminOnly, async (req, res) => {
+    try {
+        const bSheet = req.doc.sheetsByTitle['Bookings'];
+        if (!bSheet) return res.status(500).json({ error: 'Bookings tab not found' });
+        const [bookings, payments] = await Promise.all([bSheet.getRows(), paymentRows(req.doc)]);
+
+        const byBooking = {};
+        payments.forEach(p => {
+            const id = (p.get('Booking ID') || '').trim();
+            if (id) (byBooking[id] = byBooking[id] || []).push(p);
+        });
+
+        const mismatches = [], unrecorded = [];
+        bookings.forEach(b => {
+            const id   = b.get('Booking ID');
+            const rows = byBooking[id] || [];
+            const paid = amountPaid(b);
+            if (!rows.length) {
+                if (paid > 0) unrecorded.push({ bookingId: id, client: b.get('Client Name') || '', paid });
+                return;
+            }
+            const issues = ledgerCheck(b, rows, paid);
+            if (issues.length) mismatches.push({ bookingId: id, client: b.get('Client Name') || '', date: b.get('Date') || '', issues });
+        });
+
+        res.json({ checked: Object.keys(byBooking).length, mismatches, unrecorded });
+    } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
 // =============================================================================
 // GET /api/admin/loyalty
 // =============================================================================
@@ -1200,22 +3929,84 @@ app.get('/api/admin/reviews', adminOnly, rateLimit(10, 60000), async (req, res)
 });
 
 // =============================================================================
-// GET /api/admin/availability — NEW: Read raw Availability sheet data
+// GET /api/admin/availability — Weekly template plus date overrides
 // =============================================================================
 app.get('/api/admin/availability', adminOnly, async (req, res) => {
     try {
         const avRows = await getAvailabilityRows(req.doc);
-        const slots = avRows.map(r => ({
-            weekday:   r.get('Weekday/Date')      || '',
-            timeSlot:  r.get('Time Slot')         || '',
-            available: r.get('Available (YES/NO)') || '',
-        })).filter(s => s.weekday && s.timeSlot);
+        const slots = avRows.map(r => {
+            const weekday = (r.get('Weekday/Date') || '').trim();
+            const range   = parseDateKey(weekday);
+            return {
+                weekday,
+                timeSlot:  r.get('Time Slot')          || '',
+                available: r.get('Available (YES/NO)') || '',
+                type:      range ? 'date' : 'weekly',
+                dateFrom:  range ? range.from : '',
+                dateTo:    range ? range.to   : '',
+            };
+        }).filter(s => s.weekday && (s.timeSlot || s.type === 'date'));
         res.json(slots);
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
+// =============================================================================
+// POST /api/admin/availability — Add a date override or blackout
+// Body: { date, dateTo?, timeSlot?, available: 'YES'|'NO' }
+// A NO override without a time slot blocks the whole day or range.
+// =============================================================================
+app.post('/api/admin/availability', adminOnly, async (req, res) => {
+    try {
+        const { date, dateTo, timeSlot, available } = req.body;
+        const key   = dateTo && dateTo !== date ? `${date} to ${dateTo}` : String(date || '');
+        const range = parseDateKey(key);
+        const slot  = sanitize(timeSlot, 20);
+        const avail = String(available || '').toUpperCase() === 'YES' ? 'YES' : 'NO';
+
+        if (!range)                                              return res.status(400).json({ error: 'Invalid date — use YYYY-MM-DD' });
+        if (slot && !/^\d{2}:\d{2}-\d{2}:\d{2}$/.test(slot))       return res.status(400).json({ error: 'Invalid time slot — use HH:MM-HH:MM' });
+        if (avail === 'YES' && !slot)                            return res.status(400).json({ error: 'Extra availability needs a time slot' });
+
+        const sheet = req.doc.sheetsByTitle['Availability'];
+        if (!sheet) throw new Error('Availability tab not found');
+        await sheet.addRow({
+            'Weekday/Date':       range.from === range.to ? range.from : `${range.from} to ${range.to}`,
+            'Time Slot':          slot,
+            'Available (YES/NO)': avail,
+        });
+        bustDocCache();
+
+        res.json({ success: true });
+    } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// =============================================================================
+// DELETE /api/admin/availability — Remove a date override
+// Body: { weekday, timeSlot } exactly as returned by GET
+// =============================================================================
+app.delete('/api/admin/availability', adminOnly, async (req, res) => {
+    try {
+        const weekday = String(req.body.weekday  || '').trim();
+        const slot    = String(req.body.timeSlot || '').trim();
+        if (!parseDateKey(weekday)) return res.status(400).json({ error: 'Only date overrides can be removed here' });
+
+        const sheet = req.doc.sheetsByTitle['Availability'];
+        if (!sheet) throw new Error('Availability tab not found');
+        const rows  = await sheet.getRows();
+        const match = rows.filter(r =>
+            (r.get('Weekday/Date') || '').trim() === weekday &&
+            (r.get('Time Slot')    || '').trim() === slot);
+        if (!match.length) return res.status(404).json({ error: 'Override not found' });
+
+        for (const r of match.reverse()) await r.delete();
+        bustDocCache();
+
+        res.json({ success: true, removed: match.length });
+    } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
 // =============================================================================
 // GET /api/admin/client-history
 // =============================================================================
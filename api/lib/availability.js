@@ -0,0 +1,260 @@
+// api/lib/availability.js — PhenomeBeauty · Slot availability helpers
+'use strict';
+
+const DAYS = { sunday:0, monday:1, tuesday:2, wednesday:3, thursday:4, friday:5, saturday:6 };
+
+// Booking statuses that no longer hold a slot
+const RELEASED_STATUSES = ['Cancelled', 'Refunded', 'Expired'];
+
+// ── TIME MATHS ────────────────────────────────────────────────────────────────
+const pad = n => String(n).padStart(2, '0');
+
+function toMins(hhmm) {
+    const [h, m] = String(hhmm || '').trim().split(':').map(Number);
+    if (!Number.isFinite(h) || !Number.isFinite(m)) return NaN;
+    return h * 60 + m;
+}
+
+function fromMins(mins) {
+    return `${pad(Math.floor(mins / 60))}:${pad(mins % 60)}`;
+}
+
+// "09:00-10:30" → { start: 540, end: 630 } (null when unparseable)
+function parseRange(range) {
+    const [a, b] = String(range || '').split('-');
+    const start = toMins(a), end = toMins(b);
+    if (!Number.isFinite(start)) return null;
+    return { start, end: Number.isFinite(end) && end > start ? end : start + 60 };
+}
+
+// "2026-12-30" + 3 → "2027-01-02"
+function addDays(dateStr, n) {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    const dt = new Date(y, m - 1, d + n);
+    return `${dt.getFullYear()}-${pad(dt.getMonth() + 1)}-${pad(dt.getDate())}`;
+}
+
+// ── BOOKING RULES ─────────────────────────────────────────────────────────────
+/**
+ * Booking window from the Settings sheet ("Booking Rules" in admin).
+ * min_notice_hours — earliest bookable start, counted from now (default 0)
+ * max_advance_days — last bookable date, counted from today (default: no limit)
+ * @param {Object} s   - Settings
+ * @param {Object} now - sastNow() result
+ * @returns {Object} - { earliest: { dateStr, mins }, latestDate }
+ */
+function bookingLimits(s, now) {
+    const noticeMins = Math.max(0, Math.round(parseFloat(s.min_notice_hours || '0') * 60) || 0);
+    const maxDays    = parseInt(s.max_advance_days || '0') || 0;
+    const total      = now.mins + noticeMins;
+    return {
+        earliest:   { dateStr: addDays(now.dateStr, Math.floor(total / 1440)), mins: total % 1440 },
+        latestDate: maxDays > 0 ? addDays(now.dateStr, maxDays) : '9999-12-31',
+    };
+}
+
+// Why a start is outside the window, or '' when it is bookable
+function limitError(limits, dateStr, startMins) {
+    const { earliest, latestDate } = limits;
+    if (dateStr < earliest.dateStr || (dateStr === earliest.dateStr && startMins < earliest.mins)) {
+        return 'This time is too soon — please choose a later slot';
+    }
+    if (dateStr > latestDate) return 'This date is too far ahead — please choose an earlier date';
+    return '';
+}
+
+// ── AVAILABILITY TAB ──────────────────────────────────────────────────────────
+// Weekly template: { dow: ['09:00-10:00', ...] } from rows marked YES
+function weeklySlots(avRows) {
+    const slotsByDow = {};
+    avRows.forEach(r => {
+        if ((r.get('Available (YES/NO)') || '').toUpperCase() !== 'YES') return;
+        const day  = (r.get('Weekday/Date') || '').trim().toLowerCase();
+        const slot = (r.get('Time Slot')    || '').trim();
+        const dow  = DAYS[day];
+        if (dow === undefined || !slot) return;
+        if (!slotsByDow[dow]) slotsByDow[dow] = [];
+        slotsByDow[dow].push(slot);
+    });
+    return slotsByDow;
+}
+
+// True when a YYYY-MM-DD is on the calendar — 2026-02-30 isn't
+function realDate(d) {
+    const t = Date.parse(`${d}T00:00:00Z`);
+    return !isNaN(t) && new Date(t).toISOString().slice(0, 10) === d;
+}
+
+// Date rows: "2026-12-24" or a range "2026-12-24 to 2027-01-02" (".." also works).
+// Returns { from, to } or null for weekday rows and anything unparseable —
+// including dates that don't exist.
+function parseDateKey(value) {
+    const m = String(value || '').trim().match(/^(\d{4}-\d{2}-\d{2})(?:\s*(?:to|\.\.|–|—)\s*(\d{4}-\d{2}-\d{2}))?$/i);
+    if (!m) return null;
+    const from = m[1], to = m[2] || m[1];
+    if (!realDate(from) || !realDate(to)) return null;
+    return from <= to ? { from, to } : { from: to, to: from };
+}
+
+// Date-specific rows: [{ from, to, slot, available }]. A NO row without a
+// time slot (or "All Day") blocks the whole day or range.
+function dateOverrides(avRows) {
+    const out = [];
+    avRows.forEach(r => {
+        const range = parseDateKey(r.get('Weekday/Date'));
+        if (!range) return;
+        const rawSlot = (r.get('Time Slot') || '').trim();
+        out.push({
+            from:      range.from,
+            to:        range.to,
+            slot:      /^all\s*day$/i.test(rawSlot) ? '' : rawSlot,
+            available: (r.get('Available (YES/NO)') || '').toUpperCase() === 'YES',
+        });
+    });
+    return out;
+}
+
+// Weekly template for the date, then overrides: whole-day blocks win, NO
+// slots are removed and YES slots are added on top of the template.
+function slotsForDate(dateStr, template, overrides) {
+    const hits = overrides.filter(o => dateStr >= o.from && dateStr <= o.to);
+    if (hits.some(o => !o.available && !o.slot)) return [];
+    const removed = new Set(hits.filter(o => !o.available).map(o => o.slot));
+    const slots   = template.filter(t => !removed.has(t));
+    hits.filter(o => o.available && o.slot && !slots.includes(o.slot)).forEach(o => slots.push(o.slot));
+    return slots;
+}
+
+// ── BOOKINGS TAB ──────────────────────────────────────────────────────────────
+// Busy intervals per date: { '2026-12-01': [{ start, end, bookingId }] }.
+// A booking occupies its start time plus its stored service duration; older
+// rows without a duration fall back to the end of their Time range.
+function bookedIntervals(bookingRows, { from = '', to = '9999-12-31', excludeBookingId = '' } = {}) {
+    const busy = {};
+    bookingRows.forEach(r => {
+        const status = (r.get('Deposit Status') || '').trim();
+        if (RELEASED_STATUSES.includes(status)) return;
+        const id = (r.get('Booking ID') || '').trim();
+        if (excludeBookingId && id === excludeBookingId) return;
+        const d = (r.get('Date') || '').trim();
+        const range = parseRange(r.get('Time'));
+        if (!d || !range || d < from || d > to) return;
+        const mins = parseInt(r.get('Service Duration (min)') || 0) || 0;
+        const end  = mins > 0 ? range.start + mins : range.end;
+        if (!busy[d]) busy[d] = [];
+        busy[d].push({ start: range.start, end, bookingId: id });
+    });
+    return busy;
+}
+
+// ── SLOT FITTING ──────────────────────────────────────────────────────────────
+// Contiguous or overlapping template slots form one working window
+function mergeWindows(slots) {
+    const ranges = slots.map(parseRange).filter(Boolean).sort((a, b) => a.start - b.start);
+    const out = [];
+    ranges.forEach(r => {
+        const last = out[out.length - 1];
+        if (last && r.start <= last.end) last.end = Math.max(last.end, r.end);
+        else out.push({ start: r.start, end: r.end });
+    });
+    return out;
+}
+
+/**
+ * Start times from `slots` where a treatment of `duration` minutes fits.
+ * Each template slot start is a candidate; the whole treatment must sit inside
+ * one working window and must not overlap any busy interval. Without a
+ * duration every slot keeps its own length.
+ * @param {string[]} slots    - Template slots for the day ("HH:MM-HH:MM")
+ * @param {Array}    busy     - [{ start, end }] in minutes
+ * @param {number}   duration - Treatment length in minutes
+ * @param {number}   afterMins - Only starts strictly after this minute of the day
+ * @returns {string[]} - "HH:MM-HH:MM" ranges, start to start + duration
+ */
+function fitSlots(slots, busy = [], duration = 0, afterMins = -1) {
+    const windows = mergeWindows(slots);
+    const seen    = new Set();
+    const out     = [];
+    slots.map(parseRange).filter(Boolean).sort((a, b) => a.start - b.start).forEach(r => {
+        if (seen.has(r.start) || r.start <= afterMins) return;
+        seen.add(r.start);
+        const end = r.start + (duration > 0 ? duration : r.end - r.start);
+        if (!windows.some(w => r.start >= w.start && end <= w.end)) return;
+        if (busy.some(b => r.start < b.end && end > b.start)) return;
+        out.push(`${fromMins(r.start)}-${fromMins(end)}`);
+    });
+    return out;
+}
+
+// Consecutive blocks from one start: backToBack(540, [60, 90]) →
+// [{ start: 540, end: 600 }, { start: 600, end: 690 }]
+function backToBack(startMins, durations) {
+    let at = startMins;
+    return durations.map(mins => {
+        const block = { start: at, end: at + Math.max(0, mins) };
+        at = block.end;
+        return block;
+    });
+}
+
+// Visit dates of a recurring series: seriesDates('2026-03-02', 4, 3) →
+// ['2026-03-02', '2026-03-30', '2026-04-27']
+function seriesDates(start, everyWeeks, count) {
+    return Array.from({ length: Math.max(0, count) }, (_, i) => addDays(start, i * everyWeeks * 7));
+}
+
+/**
+ * Open start times for every date in [from, to].
+ * @param {Object} opts
+ * @param {Array}  opts.avRows      - Availability tab rows
+ * @param {Array}  opts.bookingRows - Bookings tab rows
+ * @param {string} opts.from        - First date (YYYY-MM-DD)
+ * @param {string} opts.to          - Last date (YYYY-MM-DD)
+ * @param {number} opts.duration    - Treatment length in minutes (0 = slot length)
+ * @param {Object} opts.now         - sastNow() result
+ * @param {Object} opts.limits      - bookingLimits() result (default: anything after now)
+ * @param {string} opts.excludeBookingId - Ignore this booking's own slot
+ * @returns {Object} - { 'YYYY-MM-DD': ['HH:MM-HH:MM', ...] }, empty days omitted
+ */
+function openSlots({ avRows, bookingRows, from, to, duration = 0, now, limits, excludeBookingId = '' }) {
+    const { earliest, latestDate } = limits || bookingLimits({}, now);
+    const slotsByDow = weeklySlots(avRows);
+    const overrides  = dateOverrides(avRows);
+    const busy       = bookedIntervals(bookingRows, { from, to, excludeBookingId });
+    const result     = {};
+
+    const [y, m, d] = from.split('-').map(Number);
+    for (let dt = new Date(y, m - 1, d); ; dt.setDate(dt.getDate() + 1)) {
+        const dateStr = `${dt.getFullYear()}-${pad(dt.getMonth() + 1)}-${pad(dt.getDate())}`;
+        if (dateStr > to || dateStr > latestDate) break;
+        if (dateStr < earliest.dateStr) continue;
+
+        // A start exactly at the minimum notice is bookable, as in limitError
+        const after = dateStr === earliest.dateStr ? earliest.mins - 1 : -1;
+        const day   = slotsForDate(dateStr, slotsByDow[dt.getDay()] || [], overrides);
+        const slots = fitSlots(day, busy[dateStr], duration, after);
+        if (slots.length) result[dateStr] = slots;
+    }
+    return result;
+}
+
+module.exports = {
+    DAYS,
+    RELEASED_STATUSES,
+    toMins,
+    fromMins,
+    parseRange,
+    addDays,
+    bookingLimits,
+    limitError,
+    weeklySlots,
+    parseDateKey,
+    dateOverrides,
+    slotsForDate,
+    bookedIntervals,
+    mergeWindows,
+    fitSlots,
+    backToBack,
+    seriesDates,
+    openSlots,
+};
@@ -0,0 +1,85 @@
+// api/lib/dunning.js — PhenomeBeauty · Balance payment reminders
+'use strict';
+
+const { parseRands } = require('./pricing');
+const { parseSastStamp } = require('./sheet');
+
+// Settings → balance_reminder_days: days after the balance request on which a
+// reminder goes out, e.g. "1, 3, 7". Each reminder escalates in tone; any
+// after the third reuse the final one.
+const DEFAULT_REMINDER_DAYS = '1, 3, 7';
+const DAY_MS = 86400000;
+
+/**
+ * @param {string} value - Settings value (blank or unreadable → DEFAULT_REMINDER_DAYS)
+ * @returns {number[]} - Ascending, without repeats
+ */
+function parseReminderDays(value) {
+    const days = [...new Set(String(value || '').split(/[,;\s]+/)
+        .map(d => parseInt(d, 10))
+        .filter(d => Number.isFinite(d) && d > 0))].sort((a, b) => a - b);
+    return days.length ? days : parseReminderDays(DEFAULT_REMINDER_DAYS);
+}
+
+/**
+ * Where a Requested balance stands. Age counts from 'Balance Requested At';
+ * balances requested before that column existed count from the appointment.
+ * @param {Object} row  - Bookings tab row
+ * @param {number[]} days - parseReminderDays() result
+ * @param {number} now  - epoch ms
+ * @returns {Object} - { requestedAt, ageDays, sent, due, nextDay }
+ *                     due is the 1-based reminder to send now, or 0
+ */
+function dunningState(row, days, now) {
+    let requestedAt = parseSastStamp(row.get('Balance Requested At'));
+    if (!Number.isFinite(requestedAt)) requestedAt = parseSastStamp(`${row.get('Date') || ''} 00:00`);
+    const ageDays = Number.isFinite(requestedAt) ? Math.max(0, Math.floor((now - requestedAt) / DAY_MS)) : 0;
+    const sent    = parseInt(row.get('Balance Reminders Sent') || '0', 10) || 0;
+    // One step at a time — a missed run never jumps straight to the final notice
+    const due     = sent < days.length && ageDays >= days[sent] ? sent + 1 : 0;
+    return {
+        requestedAt: Number.isFinite(requestedAt) ? requestedAt : null,
+        ageDays,
+        sent,
+        due,
+        nextDay: sent < days.length ? days[sent] : null,
+    };
+}
+
+/**
+ * Requested balances, oldest first, for the admin's overdue list. A balance
+ * is overdue once it reaches the first reminder day.
+ * @param {Array}  rows - Bookings tab rows
+ * @param {number[]} days
+ * @param {number} now
+ * @returns {Array}
+ */
+function overdueBalances(rows, days, now) {
+    return rows
+        .filter(r => r.get('Balance Status') === 'Requested')
+        .filter(r => dunningState(r, days, now).ageDays >= days[0])
+        .map(r => {
+            const st = dunningState(r, days, now);
+            return {
+                bookingId:       r.get('Booking ID')    || '',
+                name:            r.get('Client Name')   || '',
+                email:           r.get('Client Email')  || '',
+                phone:           r.get('Client Phone')  || '',
+                date:            r.get('Date')          || '',
+                balance:         parseRands(r.get('Balance Due (R)')),
+                requestedAt:     r.get('Balance Requested At') || '',
+                ageDays:         st.ageDays,
+                remindersSent:   st.sent,
+                lastReminderAt:  r.get('Last Reminder At') || '',
+                nextReminderDay: st.nextDay,
+            };
+        })
+        .sort((a, b) => b.ageDays - a.ageDays);
+}
+
+module.exports = {
+    DEFAULT_REMINDER_DAYS,
+    parseReminderDays,
+    dunningState,
+    overdueBalances,
+};
@@ -98,7 +98,7 @@ async function sendAdminDepositNotification(s, b) {
         await transporter.sendMail({
             from:    `"PhenomeBeauty Bookings" <${(s.smtp_user || s.smtpuser || adminEmail)}>`,
             to:      adminEmail,
-            subject: `💳 Deposit Paid — ${b.name} · ${fmtDateEmail(b.date)}`,
+            subject: `💳 ${b.paidInFull ? 'Paid in Full' : 'Deposit Paid'} — ${b.name} · ${fmtDateEmail(b.date)}`,
             html: emailWrap(
                 emailHeader(
                     '💳',
@@ -126,8 +126,10 @@ async function sendAdminDepositNotification(s, b) {
                   </td></tr>
 
                   ${emailRow('Total', `R${Number(b.totalAmount || 0).toFixed(2)}`)}
-                  ${emailRow('Deposit Received', `<strong style="color:#10b981;">R${Number(b.deposit || 0).toFixed(2)}</strong>`)}
-                  ${emailRow('Balance Due', `<span style="color:#f97316;">R${Number(b.balance || 0).toFixed(2)}</span>`)}
+                  ${b.paidInFull
+                    ? emailRow('Paid in Full', `<strong style="color:#10b981;">R${(Number(b.deposit || 0) + Number(b.balance || 0)).toFixed(2)}</strong>`)
+                    : `${emailRow('Deposit Received', `<strong style="color:#10b981;">R${Number(b.deposit || 0).toFixed(2)}</strong>`)}
+                  ${emailRow('Balance Due', `<span style="color:#f97316;">R${Number(b.balance || 0).toFixed(2)}</span>`)}`}
                 </table>
 
                 <div style="margin-top:18px;padding:12px 16px;background:rgba(16,185,129,0.1);border:1px solid rgba(16,185,129,0.3);border-radius:10px;font-size:12px;color:#10b981;">
@@ -188,6 +190,8 @@ async function sendAdminBalancePaidNotification(s, b) {
                   ${emailRow('Total', `R${Number(b.totalAmount || 0).toFixed(2)}`)}
                   ${emailRow('Deposit Paid', `<span style="color:#10b981;">R${Number(b.deposit || 0).toFixed(2)}</span>`)}
                   ${emailRow('Balance Just Paid', `<strong style="color:#f97316;">R${Number(b.balance || 0).toFixed(2)}</strong>`)}
+                  ${b.method ? emailRow('Paid By', b.method) : ''}
+                  ${Number(b.tip) > 0 ? emailRow('Tip', `<strong style="color:#10b981;">R${Number(b.tip).toFixed(2)}</strong> 💝`) : ''}
                 </table>
 
                 <div style="margin-top:18px;padding:12px 16px;background:rgba(16,185,129,0.08);border:1px solid rgba(16,185,129,0.35);border-radius:10px;font-size:12px;color:#10b981;">
@@ -202,6 +206,104 @@ async function sendAdminBalancePaidNotification(s, b) {
     }
 }
 
+// =============================================================================
+// 1c. Admin notice — client rescheduled or cancelled via their manage link
+// =============================================================================
+
+async function sendAdminClientChangeNotification(s, b) {
+    const transporter = createTransporter(s);
+    const adminEmail = s.admin_email || s.adminemail || '';
+    if (!transporter || !adminEmail) return;
+
+    const cancelled = b.change === 'Cancelled';
+
+    try {
+        await transporter.sendMail({
+            from:    `"PhenomeBeauty Bookings" <${(s.smtp_user || s.smtpuser || adminEmail)}>`,
+            to:      adminEmail,
+            subject: `${cancelled ? '❌ Client Cancelled' : '🔁 Client Rescheduled'} — ${b.name} · ${fmtDateEmail(b.date)}`,
+            html: emailWrap(
+                emailHeader(
+                    cancelled ? '❌' : '🔁',
+                    cancelled ? 'Booking Cancelled by Client' : 'Booking Rescheduled by Client',
+                    `Ref: ${b.bookingId}`,
+                    cancelled ? 'linear-gradient(135deg,#f87171,#ef4444)' : 'linear-gradient(135deg,#6366f1,#8b5cf6)'
+                ),
+                `
+                <table style="width:100%;border-collapse:collapse;">
+                  ${emailRow('Client', `<strong>${b.name}</strong>`)}
+                  ${emailRow('Phone', `<a href="tel:${b.phone}" style="color:#f97316;">${b.phone}</a>`)}
+                  ${emailRow('Services', b.services || '')}
+
+                  <tr><td colspan="2">
+                    <hr style="border:none;border-top:1px solid rgba(148,163,184,0.15);margin:10px 0;" />
+                  </td></tr>
+
+                  ${cancelled
+                    ? emailRow('Was booked for', `<strong>${fmtDateEmail(b.date)} · ${b.time}</strong>`)
+                    : `${emailRow('Previously', `<span style="text-decoration:line-through;">${fmtDateEmail(b.oldDate)} · ${b.oldTime}</span>`)}
+                       ${emailRow('Now', `<strong style="color:#10b981;">${fmtDateEmail(b.date)} · ${b.time}</strong>`)}`}
+                  ${emailRow('Deposit Paid', `R${Number(b.deposit || 0).toFixed(2)}`)}
+                  ${b.note ? emailRow('Note', b.note) : ''}
+                </table>
+                `
+            ),
+        });
+        console.log('Admin client-change email sent for', b.bookingId);
+    } catch (e) {
+        console.error('Admin client-change email error:', e.message);
+    }
+}
+
+// =============================================================================
+// 1d. Admin notice — refund or failed payment reported by Yoco
+// =============================================================================
+
+const PAYMENT_EVENTS = {
+    'refund.succeeded': { emoji: '↩️', title: 'Refund Confirmed', gradient: 'linear-gradient(135deg,#0f766e,#22c55e)' },
+    'refund.failed':    { emoji: '⚠️', title: 'Refund Failed',    gradient: 'linear-gradient(135deg,#f87171,#ef4444)' },
+    'payment.failed':   { emoji: '⚠️', title: 'Payment Failed',   gradient: 'linear-gradient(135deg,#f59e0b,#ef4444)' },
+};
+
+async function sendAdminPaymentEventNotification(s, b) {
+    const transporter = createTransporter(s);
+    const adminEmail = s.admin_email || s.adminemail || '';
+    if (!transporter || !adminEmail) return;
+
+    const ev = PAYMENT_EVENTS[b.event] || { emoji: '💳', title: b.event, gradient: undefined };
+
+    try {
+        await transporter.sendMail({
+            from:    `"PhenomeBeauty Bookings" <${(s.smtp_user || s.smtpuser || adminEmail)}>`,
+            to:      adminEmail,
+            subject: `${ev.emoji} ${ev.title} — R${Number(b.amount || 0).toFixed(2)}${b.name ? ` · ${b.name}` : ''}`,
+            html: emailWrap(
+                emailHeader(ev.emoji, ev.title, `Ref: ${b.bookingId || b.reference || '—'}`, ev.gradient),
+                `
+                <table style="width:100%;border-collapse:collapse;">
+                  ${b.name ? emailRow('Client', `<strong>${b.name}</strong>`) : ''}
+                  ${b.phone ? emailRow('Phone', `<a href="tel:${b.phone}" style="color:#f97316;">${b.phone}</a>`) : ''}
+                  ${b.services ? emailRow('Services', b.services) : ''}
+                  ${b.date ? emailRow('Date', fmtDateEmail(b.date)) : ''}
+                  ${emailRow('Amount', `<strong>R${Number(b.amount || 0).toFixed(2)}</strong>`)}
+                  ${b.paymentType ? emailRow('For', b.paymentType) : ''}
+                  ${b.status ? emailRow('Booking Status', b.status) : ''}
+                  ${b.reason ? emailRow('Reason', b.reason) : ''}
+                </table>
+
+                ${b.note ? `
+                <div style="margin-top:18px;padding:12px 16px;background:rgba(249,115,22,0.08);border:1px solid rgba(249,115,22,0.35);border-radius:10px;font-size:12px;color:#f97316;">
+                  ${b.note}
+                </div>` : ''}
+                `
+            ),
+        });
+        console.log(`Admin ${b.event} email sent for`, b.bookingId || b.reference);
+    } catch (e) {
+        console.error(`Admin ${b.event} email error:`, e.message);
+    }
+}
+
 // =============================================================================
 // 2. Customer deposit confirmation
 // =============================================================================
@@ -221,11 +323,14 @@ async function sendCustomerConfirmationEmail(s, b) {
             from:    `"PhenomeBeauty" <${(s.smtp_user || s.smtpuser || adminEmail)}>`,
             to:      b.email,
             subject: `✨ Your booking is confirmed, ${firstName} — ${fmtDateEmail(b.date)}`,
+            attachments: b.attachments || [],
             html: emailWrap(
                 emailHeader(
                     '🤍',
                     `You're all set, ${firstName}`,
-                    "We have successfully received your deposit and your appointment slot is secured.",
+                    b.paidInFull
+                        ? "We have received your payment in full and your appointment slot is secured."
+                        : "We have successfully received your deposit and your appointment slot is secured.",
                     'linear-gradient(135deg,#c5a880,#a68864)' // Premium champagne gold gradient
                 ),
                 `
@@ -246,8 +351,13 @@ async function sendCustomerConfirmationEmail(s, b) {
 
                 <div style="background:rgba(123,158,135,0.08);border:1px solid rgba(123,158,135,0.25);border-radius:14px;padding:16px 20px;margin-bottom:18px;">
                   <table style="width:100%;border-collapse:collapse;">
+                    ${b.paidInFull ? `
+                    ${emailRow('Paid in Full ✅', `<strong style="color:#7b9e87;">R${(Number(b.deposit || 0) + Number(b.balance || 0)).toFixed(2)}</strong>`)}
+                    ${emailRow('Balance (after service)', '<span style="color:#7b9e87;">Nothing more to pay</span>')}
+                    ` : `
                     ${emailRow('Deposit Paid ✅', `<strong style="color:#7b9e87;">R${Number(b.deposit || 0).toFixed(2)}</strong>`)}
                     ${emailRow('Balance (after service)', `<span style="color:#c5a880;">R${Number(b.balance || 0).toFixed(2)}</span>`)}
+                    `}
                   </table>
                 </div>
 
@@ -256,6 +366,11 @@ async function sendCustomerConfirmationEmail(s, b) {
                   Please allow a brief 10-minute window around your scheduled time for your therapist to arrive and set up their equipment. We look forward to treating you.
                 </div>
 
+                ${b.manageUrl ? `
+                <a href="${b.manageUrl}" style="display:block;background:rgba(255,255,255,0.06);border:0.5px solid rgba(197,168,128,0.35);color:#c5a880;text-align:center;padding:12px 20px;border-radius:14px;font-size:13px;font-weight:600;text-decoration:none;margin-bottom:18px;">
+                  Need to change plans? Reschedule or cancel →
+                </a>` : ''}
+
                 <p style="font-size:12px;color:rgba(148,163,184,0.4);text-align:center;margin:0;">
                   Booking Ref: ${b.bookingId}
                 </p>
@@ -307,6 +422,8 @@ async function sendBalanceRequestEmail(s, b) {
                   <table style="width:100%;border-collapse:collapse;">
                     ${emailRow('Services', b.services)}
                     ${emailRow('Deposit Already Paid', `<span style="color:#7b9e87;">R${Number(b.deposit || 0).toFixed(2)}</span>`)}
+                    ${Number(b.packCredit) > 0 ? emailRow('Prepaid Pack Session', `<span style="color:#7b9e87;">R${Number(b.packCredit).toFixed(2)}</span>`) : ''}
+                    ${Number(b.voucher) > 0 ? emailRow('Gift Voucher', `<span style="color:#7b9e87;">R${Number(b.voucher).toFixed(2)}</span>`) : ''}
                     ${emailRow('Balance Due', `<strong style="color:#d4b5b0;font-size:15px;">R${Number(b.balance || 0).toFixed(2)}</strong>`)}
                   </table>
                 </div>
@@ -315,6 +432,11 @@ async function sendBalanceRequestEmail(s, b) {
                   Complete Payment : R${Number(b.balance || 0).toFixed(2)} →
                 </a>
 
+                ${b.tipping ? `
+                <p style="font-size:13px;line-height:1.6;color:rgba(248,250,252,0.7);text-align:center;margin:0 0 18px;">
+                  Loved your treatment? You can add a tip for your artist on the payment page — completely optional.
+                </p>` : ''}
+
                 <p style="font-size:12px;color:rgba(148,163,184,0.5);text-align:center;margin:0;">
                   Booking Ref: ${b.bookingId}
                 </p>
@@ -356,6 +478,7 @@ async function sendRebookEmail(s, b) {
             from:    `"PhenomeBeauty" <${(s.smtp_user || s.smtpuser || adminEmail)}>`,
             to:      b.email,
             subject: `💛 Thank you for letting me into your sanctuary, ${firstName}`,
+            attachments: b.attachments || [],
             html: emailWrap(
                 emailHeader(
                     '💛',
@@ -367,6 +490,10 @@ async function sendRebookEmail(s, b) {
                 <p style="font-size:14px;line-height:1.85;color:rgba(248,250,252,0.85);margin:0 0 8px;text-align:center;">
                   I'm honored you chose me as your self-care partner.
                 </p>
+                ${b.paidInFull ? `
+                <p style="font-size:12.5px;color:rgba(123,158,135,0.9);text-align:center;margin:0 0 8px;">
+                  You paid in full when you booked — there's nothing more to pay. Ref: ${b.bookingId}
+                </p>` : ''}
                 ${reviewBlock}
                 <p style="font-size:14px;line-height:1.85;color:rgba(248,250,252,0.75);margin:20px 0 8px;text-align:center;">
                   Consistency is how we grow, inside and out. Now go ahead and honor yourself in the same way.
@@ -388,10 +515,437 @@ async function sendRebookEmail(s, b) {
     }
 }
 
+// =============================================================================
+// 5. Hold expired — unpaid booking released
+// =============================================================================
+
+async function sendHoldExpiredEmail(s, b) {
+    const transporter = createTransporter(s);
+    const adminEmail = s.admin_email || s.adminemail || '';
+    if (!transporter || !b.email) return;
+
+    const firstName  = (b.name || '').split(/\s+/)[0] || '';
+    const bookingUrl = (s.app_base_url || 'https://phenomebeauty1.vercel.app') + '/';
+
+    try {
+        await transporter.sendMail({
+            from:    `"PhenomeBeauty" <${(s.smtp_user || s.smtpuser || adminEmail)}>`,
+            to:      b.email,
+            subject: `⏳ Your slot on ${fmtDateEmail(b.date)} has been released`,
+            html: emailWrap(
+                emailHeader(
+                    '⏳',
+                    `Your hold has expired, ${firstName}`,
+                    'We did not receive your deposit in time, so the slot is open again.',
+                    'linear-gradient(135deg,#94a3b8,#64748b)'
+                ),
+                `
+                <p style="font-size:14px;line-height:1.7;color:rgba(248,250,252,0.9);margin:0 0 20px;">
+                  Hi <strong>${firstName}</strong>,<br><br>
+                  We held this appointment for you while you completed checkout, but the deposit did not come through.
+                  No payment has been taken. If you would still like to see us, you are welcome to book again.
+                </p>
+
+                <div style="background:rgba(255,255,255,0.04);border-radius:14px;padding:16px 20px;margin-bottom:18px;">
+                  <table style="width:100%;border-collapse:collapse;">
+                    ${emailRow('📅 Date', fmtDateEmail(b.date))}
+                    ${emailRow('🕐 Time', b.time)}
+                    ${emailRow('✨ Services', b.services)}
+                  </table>
+                </div>
+
+                <a href="${bookingUrl}" style="display:block;background:linear-gradient(135deg,#c5a880,#a68864);color:#0b1120;text-align:center;padding:14px 20px;border-radius:14px;font-size:14px;font-weight:700;text-decoration:none;margin-bottom:18px;">
+                  Book again →
+                </a>
+
+                <p style="font-size:12px;color:rgba(148,163,184,0.4);text-align:center;margin:0;">
+                  Booking Ref: ${b.bookingId}
+                </p>
+                `
+            ),
+        });
+        console.log('Hold expired email sent to', b.email);
+    } catch (e) {
+        console.error('Hold expired email error:', e.message);
+    }
+}
+
+// =============================================================================
+// 6. Waitlist — a slot opened on a date the client is waiting for
+// =============================================================================
+
+async function sendWaitlistOfferEmail(s, b) {
+    const transporter = createTransporter(s);
+    const adminEmail = s.admin_email || s.adminemail || '';
+    if (!transporter || !b.email) return;
+
+    const firstName = (b.name || '').split(/\s+/)[0] || '';
+    const times     = (b.slots || []).slice(0, 6).map(t => t.split('-')[0]).join(', ');
+
+    try {
+        await transporter.sendMail({
+            from:    `"PhenomeBeauty" <${(s.smtp_user || s.smtpuser || adminEmail)}>`,
+            to:      b.email,
+            subject: `🎉 A slot just opened on ${fmtDateEmail(b.date)}`,
+            html: emailWrap(
+                emailHeader(
+                    '🎉',
+                    `Good news, ${firstName}!`,
+                    'A time has opened up on a date you were waiting for.',
+                    'linear-gradient(135deg,#a78bfa,#ec4899)'
+                ),
+                `
+                <p style="font-size:14px;line-height:1.7;color:rgba(248,250,252,0.9);margin:0 0 20px;">
+                  Hi <strong>${firstName}</strong>,<br><br>
+                  You're on our waitlist and a slot has just become available. Other waitlisted clients
+                  have been told too, so it goes to whoever books first.
+                </p>
+
+                <div style="background:rgba(255,255,255,0.04);border-radius:14px;padding:16px 20px;margin-bottom:18px;">
+                  <table style="width:100%;border-collapse:collapse;">
+                    ${emailRow('📅 Date', fmtDateEmail(b.date))}
+                    ${times ? emailRow('🕐 Open times', times) : ''}
+                    ${emailRow('✨ Services', b.services)}
+                  </table>
+                </div>
+
+                <a href="${b.bookingUrl}" style="display:block;background:linear-gradient(135deg,#c5a880,#a68864);color:#0b1120;text-align:center;padding:14px 20px;border-radius:14px;font-size:14px;font-weight:700;text-decoration:none;margin-bottom:12px;">
+                  Book this slot →
+                </a>
+
+                <p style="font-size:12px;color:rgba(148,163,184,0.6);text-align:center;margin:0;">
+                  This link works for ${b.offerHours} hours.
+                </p>
+                `
+            ),
+        });
+        console.log('Waitlist offer email sent to', b.email);
+    } catch (e) {
+        console.error('Waitlist offer email error:', e.message);
+    }
+}
+
+// =============================================================================
+// 7. Recurring series — deposit link for upcoming visit(s)
+// =============================================================================
+
+async function sendSeriesDepositEmail(s, b) {
+    const transporter = createTransporter(s);
+    const adminEmail = s.admin_email || s.adminemail || '';
+    if (!transporter || !b.email || !b.paymentUrl) return;
+
+    const firstName = (b.name || '').split(/\s+/)[0] || '';
+    const visits    = (b.dates || []).map(d => `${fmtDateEmail(d.date)} · ${d.time}`).join('<br>');
+
+    try {
+        await transporter.sendMail({
+            from:    `"PhenomeBeauty" <${(s.smtp_user || s.smtpuser || adminEmail)}>`,
+            to:      b.email,
+            subject: `🗓️ Deposit for your upcoming ${(b.dates || []).length > 1 ? 'visits' : 'visit'} : R${Number(b.deposit || 0).toFixed(2)}`,
+            html: emailWrap(
+                emailHeader(
+                    '🗓️',
+                    `See you soon, ${firstName}`,
+                    'Your regular appointment is coming up.',
+                    'linear-gradient(135deg,#d4b5b0,#bfa19c)'
+                ),
+                `
+                <p style="font-size:14px;line-height:1.7;color:rgba(248,250,252,0.9);margin:0 0 20px;">
+                  Hi <strong>${firstName}</strong>,<br><br>
+                  Your slot is reserved as part of your recurring series. Pay the deposit below to confirm it.
+                </p>
+
+                <div style="background:rgba(212,181,176,0.08);border:1px solid rgba(212,181,176,0.25);border-radius:14px;padding:18px 20px;margin-bottom:20px;">
+                  <table style="width:100%;border-collapse:collapse;">
+                    ${emailRow('📅 Visits', visits)}
+                    ${emailRow('✨ Services', b.services)}
+                    ${emailRow('Deposit Due', `<strong style="color:#d4b5b0;font-size:15px;">R${Number(b.deposit || 0).toFixed(2)}</strong>`)}
+                  </table>
+                </div>
+
+                <a href="${b.paymentUrl}" style="display:block;background:linear-gradient(135deg,#d4b5b0,#bfa19c);color:#0b1120;text-align:center;padding:14px 20px;border-radius:14px;font-size:14px;font-weight:700;text-decoration:none;margin-bottom:18px;">
+                  Pay Deposit : R${Number(b.deposit || 0).toFixed(2)} →
+                </a>
+
+                <p style="font-size:12px;color:rgba(148,163,184,0.5);text-align:center;margin:0;">
+                  Series Ref: ${b.seriesId}
+                </p>
+                `
+            ),
+        });
+        console.log('Series deposit email sent to', b.email);
+    } catch (e) {
+        console.error('Series deposit email error:', e.message);
+    }
+}
+
+// =============================================================================
+// 8. Treatment pack purchased — the client's redemption code
+// =============================================================================
+
+async function sendPackPurchaseEmail(s, b) {
+    const transporter = createTransporter(s);
+    const adminEmail = s.admin_email || s.adminemail || '';
+    if (!transporter || !b.email) return;
+
+    const firstName = (b.name || '').split(/\s+/)[0] || '';
+    const bookUrl   = s.app_base_url || '';
+
+    try {
+        await transporter.sendMail({
+            from:    `"PhenomeBeauty" <${(s.smtp_user || s.smtpuser || adminEmail)}>`,
+            to:      b.email,
+            subject: `💎 Your ${b.packName} is ready`,
+            html: emailWrap(
+                emailHeader(
+                    '💎',
+                    `Thank you, ${firstName}!`,
+                    'Your treatment pack is paid and ready to use.',
+                    'linear-gradient(135deg,#c5a880,#a68864)'
+                ),
+                `
+                <p style="font-size:14px;line-height:1.7;color:rgba(248,250,252,0.9);margin:0 0 20px;">
+                  Hi <strong>${firstName}</strong>,<br><br>
+                  Enter your pack code when you book and that treatment is already paid for —
+                  no deposit needed for it.
+                </p>
+
+                <div style="background:rgba(197,168,128,0.08);border:1px solid rgba(197,168,128,0.25);border-radius:14px;padding:18px 20px;margin-bottom:20px;">
+                  <table style="width:100%;border-collapse:collapse;">
+                    ${emailRow('Pack Code', `<strong style="color:#c5a880;font-size:16px;letter-spacing:0.08em;">${b.purchaseId}</strong>`)}
+                    ${emailRow('✨ Treatment', b.serviceName)}
+                    ${emailRow('Sessions', b.sessions)}
+                    ${emailRow('Paid', `R${Number(b.price || 0).toFixed(2)}`)}
+                  </table>
+                </div>
+
+                ${bookUrl ? `
+                <a href="${bookUrl}" style="display:block;background:linear-gradient(135deg,#c5a880,#a68864);color:#0b1120;text-align:center;padding:14px 20px;border-radius:14px;font-size:14px;font-weight:700;text-decoration:none;margin-bottom:12px;">
+                  Book your first session →
+                </a>` : ''}
+
+                <p style="font-size:12px;color:rgba(148,163,184,0.6);text-align:center;margin:0;">
+                  Use the email address this was sent to when you book.
+                </p>
+                `
+            ),
+        });
+        console.log('Pack purchase email sent to', b.email);
+    } catch (e) {
+        console.error('Pack purchase email error:', e.message);
+    }
+}
+
+// =============================================================================
+// 9. Gift voucher — sent to the recipient, copied to the purchaser
+// =============================================================================
+
+async function sendGiftVoucherEmail(s, b) {
+    const transporter = createTransporter(s);
+    const adminEmail = s.admin_email || s.adminemail || '';
+    if (!transporter || !b.recipientEmail) return;
+
+    const toFirst   = (b.recipientName || '').split(/\s+/)[0] || '';
+    const fromFirst = (b.purchaserName || '').split(/\s+/)[0] || '';
+    const isGift    = (b.purchaserEmail || '').toLowerCase() !== b.recipientEmail.toLowerCase();
+    const bookUrl   = s.app_base_url || '';
+    const amount    = `R${Number(b.amount || 0).toFixed(2)}`;
+
+    try {
+        await transporter.sendMail({
+            from:    `"PhenomeBeauty" <${(s.smtp_user || s.smtpuser || adminEmail)}>`,
+            to:      b.recipientEmail,
+            cc:      isGift ? b.purchaserEmail : undefined,
+            subject: isGift ? `🎁 ${fromFirst} sent you a ${amount} PhenomeBeauty gift voucher` : `🎁 Your ${amount} PhenomeBeauty gift voucher`,
+            html: emailWrap(
+                emailHeader(
+                    '🎁',
+                    `A gift for you, ${toFirst}`,
+                    isGift ? `From ${fromFirst}, with love.` : 'Treat yourself — you deserve it.',
+                    'linear-gradient(135deg,#c5a880,#d4b5b0)'
+                ),
+                `
+                ${b.message ? `
+                <p style="font-size:15px;line-height:1.7;font-style:italic;color:rgba(248,250,252,0.9);text-align:center;margin:0 0 20px;">
+                  “${b.message}”
+                </p>` : ''}
+
+                <div style="background:linear-gradient(135deg,rgba(197,168,128,0.16),rgba(212,181,176,0.10));border:1px solid rgba(197,168,128,0.35);border-radius:18px;padding:26px 20px;margin-bottom:20px;text-align:center;">
+                  <div style="font-size:11px;letter-spacing:0.3em;text-transform:uppercase;color:rgba(248,250,252,0.6);margin-bottom:10px;">Gift Voucher</div>
+                  <div style="font-size:34px;font-weight:300;color:#c5a880;margin-bottom:14px;">${amount}</div>
+                  <div style="display:inline-block;border:1px dashed rgba(197,168,128,0.6);border-radius:10px;padding:10px 18px;font-size:18px;font-weight:700;letter-spacing:0.12em;color:#f8fafc;">${b.code}</div>
+                  <div style="font-size:12px;color:rgba(148,163,184,0.7);margin-top:12px;">Valid until ${fmtDateEmail(b.expires)}</div>
+                </div>
+
+                <p style="font-size:14px;line-height:1.7;color:rgba(248,250,252,0.9);margin:0 0 20px;">
+                  Enter the code on the review step when you book. It pays your deposit first and
+                  anything left over goes towards your balance — unused value stays on the voucher
+                  for next time.
+                </p>
+
+                ${bookUrl ? `
+                <a href="${bookUrl}" style="display:block;background:linear-gradient(135deg,#c5a880,#a68864);color:#0b1120;text-align:center;padding:14px 20px;border-radius:14px;font-size:14px;font-weight:700;text-decoration:none;margin-bottom:12px;">
+                  Book your treatment →
+                </a>` : ''}
+                `
+            ),
+        });
+        console.log('Gift voucher email sent to', b.recipientEmail);
+    } catch (e) {
+        console.error('Gift voucher email error:', e.message);
+    }
+}
+
+// =============================================================================
+// 10. Refund issued — one email per refund, partial or final
+// =============================================================================
+
+async function sendRefundEmail(s, b) {
+    const transporter = createTransporter(s);
+    const adminEmail = s.admin_email || s.adminemail || '';
+    if (!transporter || !b.email) return;
+
+    const firstName = (b.name || '').split(/\s+/)[0] || '';
+    const R         = n => `R${Number(n || 0).toFixed(2)}`;
+
+    try {
+        await transporter.sendMail({
+            from:    `"PhenomeBeauty" <${(s.smtp_user || s.smtpuser || adminEmail)}>`,
+            to:      b.email,
+            subject: `💸 ${R(b.amount)} refund on your PhenomeBeauty booking`,
+            html: emailWrap(
+                emailHeader(
+                    '💸',
+                    `Your refund is on its way, ${firstName}`,
+                    b.fullyRefunded ? 'Everything you paid has been returned.' : 'Part of your payment has been returned.',
+                    'linear-gradient(135deg,#10b981,#059669)'
+                ),
+                `
+                <p style="font-size:14px;line-height:1.7;color:rgba(248,250,252,0.9);margin:0 0 20px;">
+                  Hi <strong>${firstName}</strong>,<br><br>
+                  We have refunded <strong>${R(b.amount)}</strong> to the card you paid with.
+                  It usually reflects within 5–10 business days, depending on your bank.
+                </p>
+
+                <div style="background:rgba(255,255,255,0.04);border-radius:14px;padding:16px 20px;margin-bottom:18px;">
+                  <table style="width:100%;border-collapse:collapse;">
+                    ${emailRow('✨ Services', b.services)}
+                    ${b.date ? emailRow('📅 Date', fmtDateEmail(b.date)) : ''}
+                    ${emailRow('Paid', R(b.paid))}
+                    ${emailRow('This Refund', `<strong style="color:#10b981;">${R(b.amount)}</strong>`)}
+                    ${Number(b.totalRefunded) > Number(b.amount) ? emailRow('Refunded in Total', R(b.totalRefunded)) : ''}
+                    ${b.reason ? emailRow('Reason', b.reason) : ''}
+                  </table>
+                </div>
+
+                <p style="font-size:12px;color:rgba(148,163,184,0.4);text-align:center;margin:0;">
+                  Booking Ref: ${b.bookingId}
+                </p>
+                `
+            ),
+        });
+        console.log('Refund email sent to', b.email);
+    } catch (e) {
+        console.error('Refund email error:', e.message);
+    }
+}
+
+// =============================================================================
+// 11. Balance reminder — escalating with each one sent (see lib/dunning.js)
+// =============================================================================
+
+// 1 a gentle nudge, 2 firmer, 3 and after the final notice
+const REMINDER_TEMPLATES = [
+    {
+        emoji:    '🤍',
+        subject:  (b, first) => `🤍 A gentle reminder, ${first} — R${Number(b.balance || 0).toFixed(2)} balance`,
+        title:    first => `Just a little reminder, ${first}`,
+        subtitle: 'Your balance from your recent treatment is still open.',
+        gradient: 'linear-gradient(135deg,#d4b5b0,#bfa19c)',
+        body:     'We hope you are still glowing after your treatment! It looks like the balance hasn\'t come through yet — it only takes a minute with the link below.',
+    },
+    {
+        emoji:    '⏳',
+        subject:  (b) => `⏳ Balance still outstanding — R${Number(b.balance || 0).toFixed(2)}`,
+        title:    first => `Your balance is still due, ${first}`,
+        subtitle: 'Please settle it at your earliest convenience.',
+        gradient: 'linear-gradient(135deg,#f59e0b,#d97706)',
+        body:     'We haven\'t yet received the balance for your treatment. Please pay it using the link below — if something is stopping you, simply reply and we\'ll help.',
+    },
+    {
+        emoji:    '⚠️',
+        subject:  (b) => `⚠️ Final reminder — R${Number(b.balance || 0).toFixed(2)} overdue`,
+        title:    first => `Final reminder, ${first}`,
+        subtitle: 'Your balance is now overdue.',
+        gradient: 'linear-gradient(135deg,#ef4444,#b91c1c)',
+        body:     'This is our final reminder that the balance for your treatment is overdue. Please pay it today using the link below, or contact us to make an arrangement — we\'d hate for this to affect future bookings.',
+    },
+];
+
+async function sendBalanceReminderEmail(s, b) {
+    const transporter = createTransporter(s);
+    const adminEmail = s.admin_email || s.adminemail || '';
+    if (!transporter || !b.email) return;
+
+    const firstName = (b.name || '').split(/\s+/)[0] || '';
+    const t         = REMINDER_TEMPLATES[Math.min(Math.max(1, b.stage || 1), REMINDER_TEMPLATES.length) - 1];
+
+    try {
+        await transporter.sendMail({
+            from:    `"PhenomeBeauty" <${(s.smtp_user || s.smtpuser || adminEmail)}>`,
+            to:      b.email,
+            subject: t.subject(b, firstName),
+            html: emailWrap(
+                emailHeader(t.emoji, t.title(firstName), t.subtitle, t.gradient),
+                `
+                <p style="font-size:14px;line-height:1.7;color:rgba(248,250,252,0.9);margin:0 0 20px;">
+                  Hi <strong>${firstName}</strong>,<br><br>
+                  ${t.body}
+                </p>
+
+                <div style="background:rgba(255,255,255,0.04);border-radius:14px;padding:16px 20px;margin-bottom:20px;">
+                  <table style="width:100%;border-collapse:collapse;">
+                    ${emailRow('✨ Services', b.services)}
+                    ${b.date ? emailRow('📅 Treatment Date', fmtDateEmail(b.date)) : ''}
+                    ${emailRow('Requested', `${b.ageDays} day${b.ageDays === 1 ? '' : 's'} ago`)}
+                    ${emailRow('Balance Due', `<strong style="color:#d4b5b0;font-size:15px;">R${Number(b.balance || 0).toFixed(2)}</strong>`)}
+                  </table>
+                </div>
+
+                <a href="${b.paymentUrl}" style="display:block;background:${t.gradient};color:#fff;text-align:center;padding:14px 20px;border-radius:14px;font-size:14px;font-weight:700;text-decoration:none;margin-bottom:18px;">
+                  Pay Balance : R${Number(b.balance || 0).toFixed(2)} →
+                </a>
+
+                <p style="font-size:12px;line-height:1.6;color:rgba(148,163,184,0.6);text-align:center;margin:0 0 12px;">
+                  Already paid by cash or EFT? Please reply with your proof of payment and we'll update our records.
+                </p>
+
+                <p style="font-size:12px;color:rgba(148,163,184,0.5);text-align:center;margin:0;">
+                  Booking Ref: ${b.bookingId}
+                </p>
+                `
+            ),
+        });
+        console.log(`Balance reminder ${b.stage} sent to`, b.email);
+    } catch (e) {
+        console.error('Balance reminder email error:', e.message);
+        throw e; // so the cron doesn't count it as sent
+    }
+}
+
 module.exports = {
     sendAdminDepositNotification,
     sendAdminBalancePaidNotification,
+    sendAdminClientChangeNotification,
+    sendAdminPaymentEventNotification,
     sendCustomerConfirmationEmail,
     sendBalanceRequestEmail,
     sendRebookEmail,
+    sendHoldExpiredEmail,
+    sendWaitlistOfferEmail,
+    sendSeriesDepositEmail,
+    sendPackPurchaseEmail,
+    sendGiftVoucherEmail,
+    sendRefundEmail,
+    sendBalanceReminderEmail,
 };
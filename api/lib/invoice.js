@@ -0,0 +1,244 @@
+// api/lib/invoice.js — PhenomeBeauty · Invoices & receipts (PDF)
+'use strict';
+
+const { round2, parseRands } = require('./pricing');
+
+/**
+ * Next number in a sequence, e.g. INV-00041 after INV-00040. Every number
+ * ever issued counts, so one is never handed out twice.
+ * @param {string}   prefix - e.g. "INV-"
+ * @param {string[]} issued - Numbers already on the Invoices tab
+ * @returns {string}
+ */
+function nextNumber(prefix, issued) {
+    const last = issued
+        .filter(n => String(n).startsWith(prefix))
+        .map(n => parseInt(String(n).slice(prefix.length), 10))
+        .filter(Number.isFinite)
+        .reduce((a, n) => Math.max(a, n), 0);
+    return prefix + String(last + 1).padStart(5, '0');
+}
+
+// One line per service at catalogue prices — unless those have changed since
+// the booking, in which case the services are shown as the one amount charged
+function serviceLines(row, catalogue) {
+    const ids   = String(row.get('Service IDs') || '').split(',').map(x => x.trim()).filter(Boolean);
+    const total = parseRands(row.get('Service Price (R)'));
+    const lines = ids.map(id => catalogue.find(c => String(c.id) === id)).filter(Boolean)
+        .map(c => ({ label: c.name, amount: c.price }));
+    if (!lines.length || lines.length !== ids.length || round2(lines.reduce((a, l) => a + l.amount, 0)) !== total) {
+        return [{ label: row.get('Service Names') || 'Treatment', amount: total }];
+    }
+    return lines;
+}
+
+const LEDGER_LABELS = { Deposit: 'Deposit', Balance: 'Balance', Manual: 'Payment', Refund: 'Refund' };
+
+/**
+ * What the client has paid towards the booking. Ledger rows when there are
+ * any; bookings paid before the Payments tab existed are read from their
+ * columns. Pack sessions and gift vouchers count as paid.
+ * @param {Object} row        - Bookings tab row
+ * @param {Array}  ledgerRows - Its Payments tab rows
+ * @returns {Object} - { lines: [{ label, date, amount }], tip }
+ */
+function paymentsReceived(row, ledgerRows) {
+    const lines = [];
+    const pack    = parseRands(row.get('Pack Credit (R)'));
+    const voucher = parseRands(row.get('Voucher Used (R)'));
+    if (pack)    lines.push({ label: 'Prepaid pack session', date: '', amount: pack });
+    if (voucher) lines.push({ label: `Gift voucher ${row.get('Voucher Code') || ''}`.trim(), date: '', amount: voucher });
+
+    const settled = ledgerRows.filter(p => (p.get('Status') || 'Succeeded') === 'Succeeded');
+    let tip = 0;
+    if (settled.length) {
+        settled.forEach(p => {
+            const amount = parseRands(p.get('Amount (R)'));
+            const type   = p.get('Type');
+            if (type === 'Tip') { tip = round2(tip + amount); return; }
+            if (!LEDGER_LABELS[type]) return;
+            lines.push({
+                label:  `${LEDGER_LABELS[type]} (${p.get('Method') || 'Yoco'})`,
+                date:   p.get('Date') || '',
+                amount: type === 'Refund' ? -amount : amount,
+            });
+        });
+        return { lines, tip };
+    }
+
+    const status = row.get('Deposit Status') || '';
+    const dep    = parseRands(row.get('Deposit Amount (R)'));
+    if (dep && !['Pending Payment', 'Reserved', 'Expired'].includes(status)) lines.push({ label: 'Deposit', date: '', amount: dep });
+    const bal = parseRands(row.get('Balance Due (R)'));
+    if (bal && row.get('Balance Status') === 'Paid') lines.push({ label: 'Balance', date: '', amount: bal });
+    const manual = parseRands(row.get('Manual Paid (R)'));
+    if (manual) lines.push({ label: 'Cash / EFT', date: '', amount: manual });
+    const refunded = parseRands(row.get('Refunded (R)'));
+    if (refunded) lines.push({ label: 'Refunded', date: '', amount: -refunded });
+    return { lines, tip: round2(parseRands(row.get('Tip (R)'))) };
+}
+
+/**
+ * Everything printed on an invoice or receipt.
+ * @param {Object} row  - Bookings tab row
+ * @param {Object} opts - { kind: 'invoice' | 'receipt', number, issued (YYYY-MM-DD),
+ *                          settings, catalogue (getServices), ledgerRows }
+ * @returns {Object}
+ */
+function buildInvoice(row, { kind, number, issued, settings: s, catalogue = [], ledgerRows = [] }) {
+    const charges = serviceLines(row, catalogue);
+    const discount = parseRands(row.get('Discount (R)'));
+    if (discount) charges.push({ label: `Discount${row.get('Promo Code') ? ` (${row.get('Promo Code')})` : ''}`, amount: -discount });
+    const callOut = parseRands(row.get('Call Out Fee (R)'));
+    if (callOut) {
+        const km = row.get('Round Trip Km');
+        charges.push({ label: `Call-out fee${km ? ` (${km} km round trip)` : ''}`, amount: callOut });
+    }
+
+    const total      = parseRands(row.get('Total Amount (R)'));
+    const vatPercent = parseFloat(s.vat_percent || '15') || 15;
+    const { lines, tip } = paymentsReceived(row, ledgerRows);
+    const received   = round2(lines.reduce((a, l) => a + l.amount, 0));
+
+    return {
+        title:    kind === 'receipt' ? 'Receipt' : s.vat_number ? 'Tax Invoice' : 'Invoice',
+        number,
+        issued,
+        business: {
+            name:  s.business_name || 'PhenomeBeauty',
+            lines: [
+                ...String(s.business_address || '').split(/\n|,\s*/).map(x => x.trim()).filter(Boolean),
+                s.business_phone || '',
+                s.business_email || s.admin_email || '',
+                s.vat_number  ? `VAT No. ${s.vat_number}`          : '',
+                s.company_reg ? `Registration No. ${s.company_reg}` : '',
+            ].filter(Boolean),
+        },
+        client: [row.get('Client Name'), row.get('Client Email'), row.get('Client Phone'), row.get('Client Address')].filter(Boolean),
+        booking: { id: row.get('Booking ID') || '', date: row.get('Date') || '', time: row.get('Time') || '' },
+        charges,
+        total,
+        vat:      s.vat_number ? { percent: vatPercent, amount: round2(total * vatPercent / (100 + vatPercent)) } : null,
+        payments: lines,
+        received,
+        due:      Math.max(0, round2(total - received)),
+        tip,
+    };
+}
+
+// ── PDF ──────────────────────────────────────────────────────────────────────
+// A one-page A4 document in the built-in Helvetica fonts — enough for an
+// invoice without pulling a PDF library into the serverless bundle.
+const PAGE = { w: 595, h: 842, left: 50, right: 545 };
+
+// Helvetica advance widths (per 1000 em) for the characters in an amount;
+// anything else is measured as a digit
+const WIDTHS = { ' ': 278, '-': 333, '.': 278, ',': 278, 'R': 722, '(': 333, ')': 333 };
+const textWidth = (str, size) => [...str].reduce((w, c) => w + (WIDTHS[c] || 556), 0) * size / 1000;
+
+// WinAnsi codes for the typographic characters the app uses; anything else
+// outside Latin-1 (emoji included) prints as "?"
+const WIN_ANSI = { '—': 0x97, '–': 0x96, '·': 0xB7, '•': 0x95, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '…': 0x85 };
+
+function pdfString(str) {
+    let out = '';
+    for (const ch of String(str)) {
+        const code = WIN_ANSI[ch] || ch.codePointAt(0);
+        const c    = String.fromCharCode(code > 255 ? 63 : code);
+        out += c === '(' || c === ')' || c === '\\' ? '\\' + c : c;
+    }
+    return `(${out})`;
+}
+
+const rands = n => `${n < 0 ? '-' : ''}R${Math.abs(n).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',')}`;
+
+function pdfDocument(content) {
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE.w} ${PAGE.h}] /Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    ];
+    let out = '%PDF-1.4\n';
+    const offsets = objects.map((o, i) => {
+        const at = out.length;
+        out += `${i + 1} 0 obj\n${o}\nendobj\n`;
+        return at;
+    });
+    const xref = out.length;
+    out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+           offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('') +
+           `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(out, 'latin1');
+}
+
+/**
+ * @param {Object} inv - buildInvoice() result
+ * @returns {Buffer} - application/pdf
+ */
+function renderPdf(inv) {
+    const ops = [];
+    let y = PAGE.h - 60;
+    const text  = (x, str, { size = 10, bold = false } = {}) =>
+        ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x} ${y} Td ${pdfString(str)} Tj ET`);
+    const right = (str, opts = {}) => text(round2(PAGE.right - textWidth(str, opts.size || 10)), str, opts);
+    const rule  = () => ops.push(`0.8 G 0.5 w ${PAGE.left} ${y + 4} m ${PAGE.right} ${y + 4} l S 0 G`);
+    const down  = (dy = 14) => { y -= dy; };
+    const row   = (label, amount, opts) => { text(PAGE.left, label, opts); right(rands(amount), opts); down(); };
+
+    text(PAGE.left, inv.business.name, { size: 20, bold: true });
+    text(360, inv.title.toUpperCase(), { size: 14, bold: true });
+    down(20);
+    const meta = [`No. ${inv.number}`, `Date: ${inv.issued}`, `Booking: ${inv.booking.id}`];
+    for (let i = 0; i < Math.max(inv.business.lines.length, meta.length); i++) {
+        if (inv.business.lines[i]) text(PAGE.left, inv.business.lines[i], { size: 9 });
+        if (meta[i]) text(360, meta[i], { size: 9 });
+        down(12);
+    }
+
+    down(12);
+    text(PAGE.left, 'Billed to', { size: 9, bold: true });
+    text(360, 'Appointment', { size: 9, bold: true });
+    down(13);
+    const when = [inv.booking.date, inv.booking.time].filter(Boolean);
+    for (let i = 0; i < Math.max(inv.client.length, when.length); i++) {
+        if (inv.client[i]) text(PAGE.left, inv.client[i], { size: 9 });
+        if (when[i]) text(360, when[i], { size: 9 });
+        down(12);
+    }
+
+    down(16);
+    text(PAGE.left, 'Description', { size: 9, bold: true });
+    right('Amount', { size: 9, bold: true });
+    down(6); rule(); down(12);
+    inv.charges.forEach(c => row(c.label, c.amount));
+    rule(); down(4);
+    row('Total', inv.total, { bold: true });
+    if (inv.vat) row(`Includes VAT at ${inv.vat.percent}%`, inv.vat.amount, { size: 9 });
+
+    if (inv.payments.length) {
+        down(14);
+        text(PAGE.left, 'Payments received', { size: 9, bold: true });
+        down(6); rule(); down(12);
+        inv.payments.forEach(p => row(p.date ? `${p.label} · ${p.date}` : p.label, p.amount));
+        rule(); down(4);
+        row('Total received', inv.received, { bold: true });
+    }
+    down(6);
+    if (inv.due > 0) row('Balance due', inv.due, { size: 12, bold: true });
+    else { text(PAGE.left, 'Paid in full — thank you!', { size: 12, bold: true }); down(); }
+    if (inv.tip > 0) row('Gratuity paid (not part of the total)', inv.tip, { size: 9 });
+
+    y = 60;
+    text(PAGE.left, `${inv.business.name} · ${inv.title} ${inv.number}`, { size: 8 });
+    return pdfDocument(ops.join('\n'));
+}
+
+module.exports = {
+    nextNumber,
+    paymentsReceived,
+    buildInvoice,
+    renderPdf,
+};
@@ -0,0 +1,145 @@
+// api/lib/ledger.js — PhenomeBeauty · Payments ledger
+'use strict';
+
+const { round2, parseRands } = require('./pricing');
+
+// Money in towards a booking, money out, and sales that aren't tied to one
+const PAYMENT_TYPES = ['Deposit', 'Balance', 'Manual', 'Tip', 'Refund', 'Pack Sale', 'Voucher Sale'];
+
+/**
+ * One Payments tab row. Amounts are always positive; the Type says which way
+ * the money went.
+ * Columns: Payment ID, Booking ID, Type, Method, Amount (R), Status,
+ * Provider Payment ID, Checkout ID, Reference, Date, Recorded At, Recorded By
+ * @param {Object} e     - { bookingId, type, method, amount, status,
+ *                           providerId, checkoutId, reference, date, by }
+ * @param {Object} stamp - { id, dateStr, stamp } for this write
+ * @returns {Object}
+ */
+function paymentRow(e, { id, dateStr, stamp }) {
+    if (!PAYMENT_TYPES.includes(e.type)) throw new Error(`Unknown payment type "${e.type}"`);
+    return {
+        'Payment ID':          id,
+        'Booking ID':          e.bookingId  || '',
+        'Type':                e.type,
+        'Method':              e.method     || 'Yoco',
+        'Amount (R)':          round2(e.amount || 0).toFixed(2),
+        'Status':              e.status     || 'Succeeded',
+        'Provider Payment ID': e.providerId || '',
+        'Checkout ID':         e.checkoutId || '',
+        'Reference':           e.reference  || '',
+        'Date':                e.date       || dateStr,
+        'Recorded At':         stamp,
+        'Recorded By':         e.by         || 'system',
+    };
+}
+
+/**
+ * What a booking's ledger rows add up to. Only settled rows count — a refund
+ * Yoco is still processing (or one that failed) hasn't moved any money.
+ * @param {Array} rows - Payments tab rows for one booking
+ * @returns {Object} - { deposit, balance, manual, tip, paid, refunded, net }
+ *                     paid is deposit + balance + manual (tips are the artist's)
+ */
+function ledgerTotals(rows) {
+    const sum = type => round2(rows
+        .filter(r => r.get('Type') === type && (r.get('Status') || 'Succeeded') === 'Succeeded')
+        .reduce((a, r) => a + parseRands(r.get('Amount (R)')), 0));
+    const t = {
+        deposit:  sum('Deposit'),
+        balance:  sum('Balance'),
+        manual:   sum('Manual'),
+        tip:      sum('Tip'),
+        refunded: sum('Refund'),
+    };
+    t.paid = round2(t.deposit + t.balance + t.manual);
+    t.net  = round2(t.paid - t.refunded);
+    return t;
+}
+
+/**
+ * Where a booking's own columns disagree with its ledger.
+ * @param {Object} booking - Bookings tab row
+ * @param {Array}  rows    - Its Payments tab rows
+ * @param {number} paid    - What the booking columns say was paid (amountPaid)
+ * @returns {Array} - Human-readable differences; empty when they agree
+ */
+function ledgerCheck(booking, rows, paid) {
+    const t      = ledgerTotals(rows);
+    const issues = [];
+    if (round2(paid) !== t.paid) {
+        issues.push(`Booking shows R${round2(paid).toFixed(2)} paid, ledger R${t.paid.toFixed(2)}`);
+    }
+    const refunded = parseRands(booking.get('Refunded (R)'));
+    if (refunded !== t.refunded) {
+        issues.push(`Booking shows R${refunded.toFixed(2)} refunded, ledger R${t.refunded.toFixed(2)}`);
+    }
+    if (booking.get('Deposit Status') === 'Refunded' && t.paid && t.net > 0) {
+        issues.push(`Marked Refunded but R${t.net.toFixed(2)} is still held`);
+    }
+    return issues;
+}
+
+/**
+ * Where a refund goes back to, newest payment first. Each gateway payment is
+ * refunded against its own checkout, up to what that checkout took less the
+ * refunds already made on it; cash and EFT are paid back by hand. Tips stay
+ * with the artist.
+ * @param {Array}  rows             - Payments tab rows for one booking
+ * @param {number} amount
+ * @param {Object} [opts]
+ * @param {string} [opts.checkoutId] - The booking's own checkout, for gateway
+ *                                     rows that were recorded without one
+ * @returns {Object} - { parts: [{ method, checkoutId, amount }], short }
+ *                     checkoutId is '' on a Cash or EFT part; short is what
+ *                     no payment had left to cover
+ */
+function refundPlan(rows, amount, { checkoutId = '' } = {}) {
+    const settled = r => (r.get('Status') || 'Succeeded') === 'Succeeded';
+    const manual  = r => r.get('Type') === 'Manual' || ['Cash', 'EFT'].includes(r.get('Method'));
+    const keyOf   = r => manual(r)
+        ? `manual:${r.get('Method') || 'Cash'}`
+        : `gateway:${r.get('Checkout ID') || r.get('Provider Payment ID') || checkoutId}`;
+
+    const sources = new Map();
+    rows.filter(r => ['Deposit', 'Balance', 'Manual'].includes(r.get('Type')) && settled(r)).forEach(r => {
+        const key = keyOf(r);
+        const src = sources.get(key) || {
+            method:     manual(r) ? r.get('Method') || 'Cash' : r.get('Method') || 'Yoco',
+            checkoutId: manual(r) ? '' : key.slice('gateway:'.length),
+            left:       0,
+        };
+        src.left = round2(src.left + parseRands(r.get('Amount (R)')));
+        sources.set(key, src);
+    });
+
+    // A refund still in flight has left the account as far as this is concerned
+    const newest = [...sources.values()].reverse();
+    rows.filter(r => r.get('Type') === 'Refund' && r.get('Status') !== 'Failed').forEach(r => {
+        let out = parseRands(r.get('Amount (R)'));
+        const own = sources.get(keyOf(r));
+        for (const src of own ? [own, ...newest] : newest) {
+            const take = Math.min(out, src.left);
+            src.left = round2(src.left - take);
+            out      = round2(out - take);
+        }
+    });
+
+    const parts = [];
+    let   want  = round2(amount);
+    for (const src of newest) {
+        const take = round2(Math.min(want, src.left));
+        if (take <= 0) continue;
+        parts.push({ method: src.method, checkoutId: src.checkoutId, amount: take });
+        want = round2(want - take);
+    }
+    return { parts, short: want };
+}
+
+module.exports = {
+    PAYMENT_TYPES,
+    paymentRow,
+    ledgerTotals,
+    ledgerCheck,
+    refundPlan,
+};
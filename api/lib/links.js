@@ -0,0 +1,33 @@
+// api/lib/links.js — PhenomeBeauty · Signed, expiring client links
+'use strict';
+
+const crypto = require('crypto');
+
+// Token = base64url(JSON payload) + "." + base64url(HMAC-SHA256). The payload
+// carries a purpose ("p") so a link minted for one page can't be replayed on
+// another, and an expiry ("exp", epoch seconds).
+
+function signToken(secret, purpose, data, expiresAtMs) {
+    const body = Buffer.from(JSON.stringify({ ...data, p: purpose, exp: Math.floor(expiresAtMs / 1000) })).toString('base64url');
+    const sig  = crypto.createHmac('sha256', secret).update(body).digest('base64url');
+    return `${body}.${sig}`;
+}
+
+/**
+ * @returns {Object|null} - The payload, or null if tampered, expired or minted for another purpose
+ */
+function verifyToken(secret, purpose, token) {
+    const [body, sig] = String(token || '').split('.');
+    if (!body || !sig) return null;
+    const expected = crypto.createHmac('sha256', secret).update(body).digest('base64url');
+    const a = Buffer.from(sig), b = Buffer.from(expected);
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+    try {
+        const data = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+        if (data.p !== purpose) return null;
+        if (!data.exp || data.exp * 1000 < Date.now()) return null;
+        return data;
+    } catch { return null; }
+}
+
+module.exports = { signToken, verifyToken };
@@ -0,0 +1,25 @@
+// api/lib/lock.js — PhenomeBeauty · In-process keyed locks
+'use strict';
+
+// Serverless instances handle several requests at once while warm. Work that
+// must not interleave (check a slot, then write the row) runs through
+// withLock so requests sharing a key queue behind each other. This does not
+// span instances — the re-check inside the lock is what keeps that window small.
+const _tails = new Map();
+
+async function withLock(key, fn) {
+    const prev = _tails.get(key) || Promise.resolve();
+    let release;
+    const mine = new Promise(r => { release = r; });
+    const tail = prev.then(() => mine);
+    _tails.set(key, tail);
+    await prev;
+    try {
+        return await fn();
+    } finally {
+        release();
+        if (_tails.get(key) === tail) _tails.delete(key);
+    }
+}
+
+module.exports = { withLock };
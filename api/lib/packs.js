@@ -0,0 +1,66 @@
+// api/lib/packs.js — PhenomeBeauty · Prepaid treatment packs
+'use strict';
+
+const { parseRands } = require('./pricing');
+const { RELEASED_STATUSES } = require('./availability');
+
+/**
+ * Active products from the Packs tab — one row per pack, e.g.
+ * "6 Brazilian waxes for the price of 5".
+ * Columns: Pack ID, Name, Service ID, Sessions, Price (R), Active
+ * @param {Array} rows - Packs tab rows
+ * @returns {Array} - [{ id, name, serviceId, sessions, price }]
+ */
+function parsePacks(rows) {
+    return rows
+        .filter(r => ['true', 'yes', '1'].includes(String(r.get('Active') || '').trim().toLowerCase()))
+        .map(r => ({
+            id:        String(r.get('Pack ID') || '').trim(),
+            name:      String(r.get('Name') || '').trim(),
+            serviceId: String(r.get('Service ID') || '').trim(),
+            sessions:  parseInt(r.get('Sessions') || 0) || 0,
+            price:     parseRands(r.get('Price (R)')),
+        }))
+        .filter(p => p.id && p.serviceId && p.sessions > 0);
+}
+
+/**
+ * Sessions of one purchase taken by bookings. Booked sessions are held from
+ * the moment a booking redeems them and come back if it is released; used
+ * sessions are the ones that reached Service Complete.
+ * @param {string} purchaseId  - Pack Purchases 'Purchase ID'
+ * @param {Array}  bookingRows - Bookings tab rows
+ * @returns {Object} - { booked, used }
+ */
+function packUsage(purchaseId, bookingRows) {
+    const mine = bookingRows.filter(r => (r.get('Pack Purchase ID') || '').trim() === purchaseId);
+    return {
+        booked: mine.filter(r => !RELEASED_STATUSES.includes((r.get('Deposit Status') || '').trim())).length,
+        used:   mine.filter(r => (r.get('Deposit Status') || '').trim() === 'Service Complete').length,
+    };
+}
+
+/**
+ * Value a redeemed session takes off a booking: the pack service's own price.
+ * @param {Object} priced    - priceServices() result
+ * @param {string} serviceId - The pack's service
+ * @returns {number} - 0 when the booking doesn't include that service
+ */
+function packCredit(priced, serviceId) {
+    const line = priced.lines.find(l => l.id === String(serviceId).trim());
+    return line ? line.price : 0;
+}
+
+// Same phone number however it was typed: compares the last 9 digits, so
+// "+27 82 123 4567" and "082 123 4567" match
+function samePhone(a, b) {
+    const tail = v => String(v || '').replace(/\D/g, '').slice(-9);
+    return tail(a).length === 9 && tail(a) === tail(b);
+}
+
+module.exports = {
+    parsePacks,
+    packUsage,
+    packCredit,
+    samePhone,
+};
@@ -0,0 +1,252 @@
+// api/lib/payments.js — PhenomeBeauty · Payment providers
+'use strict';
+
+const crypto = require('crypto');
+
+// Every provider offers the same five calls, so route code never names a
+// gateway:
+//   createCheckout({ amount, successUrl, cancelUrl, customer, metadata, description })
+//                             → { ok, id, redirectUrl, error }
+//   refund(checkoutId, { amount, reason })      → { ok, refundId, error }
+//   fetchStatus(checkoutId)   → { status ('completed' when paid), paymentId, amount, metadata }
+//   verifyWebhook({ headers, rawBody, body })   → { ok, event, msgId, error }
+//   paymentPageUrl({ amount, reference, client, successUrl }) → URL or null
+// Amounts are rands. Webhook events come back in Yoco's shape —
+// { type: 'payment.succeeded' | 'payment.failed' | 'refund.succeeded' | …,
+//   payload: { id, status, amount (cents), metadata, paymentId, failureReason } }
+// — so another gateway's verifyWebhook translates its notification into that.
+
+// ── Webhook signatures (Standard Webhooks: what Yoco sends, and the mock) ────
+// HMAC-SHA256 over "id.timestamp.body" with the secret's bytes; a "whsec_"
+// secret is base64 after the prefix, anything else is used as typed.
+function secretBytes(secret) {
+    return secret.startsWith('whsec_') ? Buffer.from(secret.slice(6), 'base64') : Buffer.from(secret);
+}
+
+function signWebhook(secret, msgId, timestamp, body) {
+    return 'v1,' + crypto.createHmac('sha256', secretBytes(secret)).update(`${msgId}.${timestamp}.${body}`).digest('base64');
+}
+
+/**
+ * @param {Object} headers - Request headers (webhook-id, webhook-timestamp, webhook-signature)
+ * @returns {boolean} - True if any of the header's signatures matches
+ */
+function verifySignature(secret, headers, rawBody) {
+    const msgId    = headers['webhook-id'] || '';
+    const expected = Buffer.from(signWebhook(secret, msgId, headers['webhook-timestamp'] || '', rawBody).slice(3));
+    return String(headers['webhook-signature'] || '').split(' ').some(sig => {
+        const given = Buffer.from(sig.replace(/^v1,/, ''));
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    });
+}
+
+const splitName = name => {
+    const parts = String(name || '').split(/\s+/).filter(Boolean);
+    return { firstName: parts[0] || '', lastName: parts.slice(1).join(' ') };
+};
+
+// ── Yoco ─────────────────────────────────────────────────────────────────────
+function yocoProvider(s, env) {
+    const key  = s.yoco_secret_key || '';
+    const slug = (s.yoco_payment_page_slug || '').replace(/^https?:\/\/pay\.yoco\.com\//, '').replace(/\?.*$/, '').trim();
+
+    const api = async (path, { method = 'GET', body } = {}) => {
+        const r = await fetch(`https://payments.yoco.com/api${path}`, {
+            method,
+            headers: { 'Authorization': `Bearer ${key}`, ...(body ? { 'Content-Type': 'application/json' } : {}) },
+            body:    body ? JSON.stringify(body) : undefined,
+        });
+        const data = await r.json().catch(() => ({}));
+        console.log(`Yoco ${method} ${path.replace(/\/ch_\w+/, '/…')}:`, r.status, JSON.stringify(data).slice(0, 200));
+        return { ok: r.ok, status: r.status, data, error: r.ok ? '' : data.displayMessage || data.message || `Yoco returned ${r.status}` };
+    };
+
+    return {
+        name:    'yoco',
+        label:   'Yoco',
+        ready:   Boolean(key),
+        missing: key ? '' : 'yoco_secret_key not set',
+
+        async createCheckout({ amount, successUrl, cancelUrl, customer, metadata, description }) {
+            const { ok, data, error } = await api('/checkouts', {
+                method: 'POST',
+                body:   { amount: Math.round(amount * 100), currency: 'ZAR', successUrl, cancelUrl, customer, metadata, description },
+            });
+            if (!ok || !data.redirectUrl) return { ok: false, error: error || 'Yoco API error' };
+            return { ok: true, id: data.id || '', redirectUrl: data.redirectUrl };
+        },
+
+        async refund(checkoutId, { amount, reason }) {
+            const { ok, data, error } = await api(`/checkouts/${encodeURIComponent(checkoutId)}/refund`, {
+                method: 'POST',
+                body:   { amount: Math.round(amount * 100), reason: reason || 'requested_by_customer' },
+            });
+            return ok ? { ok: true, refundId: data.refundId || data.id || '' } : { ok: false, error: error || 'Refund failed' };
+        },
+
+        async fetchStatus(checkoutId) {
+            const { ok, data, error } = await api(`/checkouts/${encodeURIComponent(checkoutId)}`);
+            if (!ok) throw new Error(error);
+            return { status: data.status || '', paymentId: data.paymentId || '', amount: (data.amount || 0) / 100, metadata: data.metadata || {} };
+        },
+
+        verifyWebhook({ headers, rawBody, body }) {
+            const secret = env.YOCO_WEBHOOK_SECRET || '';
+            const msgId  = headers['webhook-id'] || '';
+            if (!secret) {
+                console.warn('YOCO_WEBHOOK_SECRET not set — skipping verification');
+                return { ok: true, event: body || {}, msgId };
+            }
+            let ok = false;
+            try { ok = verifySignature(secret, headers, rawBody); } catch (e) { console.error('Webhook signature check failed:', e.message); }
+            return ok ? { ok, event: body || {}, msgId } : { ok, error: 'Invalid signature' };
+        },
+
+        // The hosted payment page — used when there's no API key, and takes
+        // no metadata, so the webhook can't match it to a booking
+        paymentPageUrl({ amount, reference, client = {}, successUrl }) {
+            if (!slug) return null;
+            const p = new URLSearchParams({
+                amount:                   amount.toFixed(2),
+                reference,
+                ...splitName(client.name),
+                email:                    client.email || '',
+                redirectOnPaymentSuccess: successUrl,
+            });
+            return `https://pay.yoco.com/${slug}?${p}`;
+        },
+    };
+}
+
+// ── Mock ─────────────────────────────────────────────────────────────────────
+// For running the whole flow offline: checkouts open a local page
+// (/api/mock-pay/:id) where the payment can succeed, fail or be cancelled,
+// and the outcome is sent to /api/webhook/mock signed like a Yoco webhook.
+// Checkouts live in this process's memory, so it's for a local dev server —
+// never production, where it refuses to start. It also needs its own
+// MOCK_WEBHOOK_SECRET: a secret anyone could read here would let anyone sign
+// a payment.succeeded.
+const mockCheckouts = new Map();
+const mockId = prefix => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+function mockProvider(s, env) {
+    const base   = s.app_base_url || 'http://localhost:3000';
+    const secret = env.MOCK_WEBHOOK_SECRET || '';
+    if (!secret) throw new Error('The mock payment provider needs MOCK_WEBHOOK_SECRET');
+
+    // Deliver an event to our own webhook route the way Yoco would
+    const send = async (type, payload) => {
+        const body  = JSON.stringify({ id: mockId('evt'), type, createdDate: new Date().toISOString(), payload });
+        const msgId = mockId('msg');
+        const ts    = String(Math.floor(Date.now() / 1000));
+        try {
+            const r = await fetch(`${base}/api/webhook/mock`, {
+                method:  'POST',
+                headers: {
+                    'Content-Type':      'application/json',
+                    'webhook-id':        msgId,
+                    'webhook-timestamp': ts,
+                    'webhook-signature': signWebhook(secret, msgId, ts, body),
+                },
+                body,
+            });
+            console.log(`Mock payments: ${type} webhook → ${r.status}`);
+            return r.ok;
+        } catch (e) {
+            console.error(`Mock payments: ${type} webhook not delivered:`, e.message);
+            return false;
+        }
+    };
+
+    return {
+        name:    'mock',
+        label:   'Mock payments',
+        ready:   true,
+        missing: '',
+
+        async createCheckout({ amount, successUrl, cancelUrl, customer, metadata, description }) {
+            const id = mockId('ch');
+            mockCheckouts.set(id, {
+                id, amount, successUrl, cancelUrl, customer, description,
+                metadata:  { ...(metadata || {}) },
+                status:    'created',
+                paymentId: '',
+            });
+            return { ok: true, id, redirectUrl: `${base}/api/mock-pay/${id}` };
+        },
+
+        async refund(checkoutId, { amount, reason }) {
+            const co = mockCheckouts.get(checkoutId);
+            if (!co || co.status !== 'completed') return { ok: false, error: 'No completed mock payment for that checkout' };
+            const refundId = mockId('rf');
+            // Yoco confirms a refund by webhook after replying; so does the mock
+            setTimeout(() => send('refund.succeeded', {
+                id: refundId, amount: Math.round(amount * 100), paymentId: co.paymentId, metadata: co.metadata, reason,
+            }), 0);
+            return { ok: true, refundId };
+        },
+
+        async fetchStatus(checkoutId) {
+            const co = mockCheckouts.get(checkoutId);
+            if (!co) throw new Error(`Unknown mock checkout ${checkoutId}`);
+            return { status: co.status, paymentId: co.paymentId, amount: co.amount, metadata: co.metadata };
+        },
+
+        verifyWebhook({ headers, rawBody, body }) {
+            return verifySignature(secret, headers, rawBody)
+                ? { ok: true, event: body || {}, msgId: headers['webhook-id'] || '' }
+                : { ok: false, error: 'Invalid signature' };
+        },
+
+        paymentPageUrl() { return null; },
+
+        // Mock-only: the checkout page and what its buttons do
+        checkout: id => mockCheckouts.get(id) || null,
+
+        /**
+         * @param {string} outcome - 'pay', 'pay-silent' (paid, webhook lost —
+         *                           for trying out reconciliation), 'fail' or 'cancel'
+         * @returns {Promise<string>} - Where to send the browser next
+         */
+        async complete(id, outcome) {
+            const co = mockCheckouts.get(id);
+            if (!co || co.status !== 'created') throw new Error('This checkout is no longer open');
+            if (outcome === 'cancel') return co.cancelUrl;
+
+            const paymentId = mockId('p');
+            const payload   = { id: paymentId, amount: Math.round(co.amount * 100), currency: 'ZAR', metadata: { ...co.metadata, checkoutId: id } };
+            if (outcome === 'fail') {
+                await send('payment.failed', { ...payload, status: 'failed', failureReason: 'Declined by the mock provider' });
+                return co.cancelUrl;
+            }
+            co.status    = 'completed';
+            co.paymentId = paymentId;
+            if (outcome !== 'pay-silent') await send('payment.succeeded', { ...payload, status: 'succeeded' });
+            return co.successUrl;
+        },
+    };
+}
+
+const PROVIDERS = { yoco: yocoProvider, mock: mockProvider };
+
+/**
+ * The payment provider to use: `name` if given (the webhook route names the
+ * sender), else PAYMENT_PROVIDER from the environment, else the
+ * payment_provider setting, else Yoco.
+ * @param {Object} s     - Settings
+ * @param {string} [name]
+ * @param {Object} [env] - process.env
+ * @returns {Object}
+ */
+function paymentProvider(s = {}, name = '', env = process.env) {
+    const key = String(name || env.PAYMENT_PROVIDER || s.payment_provider || 'yoco').trim().toLowerCase();
+    if (!PROVIDERS[key]) throw new Error(`Unknown payment provider "${key}"`);
+    if (key === 'mock' && env.NODE_ENV === 'production') throw new Error('The mock payment provider is disabled in production');
+    return PROVIDERS[key](s, env);
+}
+
+module.exports = {
+    paymentProvider,
+    signWebhook,
+    verifySignature,
+};
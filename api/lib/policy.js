@@ -0,0 +1,61 @@
+// api/lib/policy.js — PhenomeBeauty · Cancellation policy
+'use strict';
+
+const { round2 } = require('./pricing');
+
+// Settings → cancellation_policy: "hours:percent" pairs, e.g. "48:100, 24:50, 0:0"
+// reads "full refund from 48h out, 50% from 24h, nothing inside 24h". The
+// default mirrors the terms published on policy.html.
+const DEFAULT_POLICY = '168:100, 72:50, 24:25, 0:0';
+
+/**
+ * @param {string} value - Settings value (blank → DEFAULT_POLICY)
+ * @returns {Array} - [{ hours, percent }] sorted from the longest notice down
+ */
+function parsePolicy(value) {
+    const rules = String(value || DEFAULT_POLICY).split(/[,;\n]/).map(part => {
+        const m = part.trim().match(/^(\d+(?:\.\d+)?)\s*h?\s*[:=]\s*(\d+(?:\.\d+)?)\s*%?$/i);
+        return m ? { hours: parseFloat(m[1]), percent: Math.min(100, parseFloat(m[2])) } : null;
+    }).filter(Boolean);
+    if (!rules.length && value) return parsePolicy(DEFAULT_POLICY);
+    return rules.sort((a, b) => b.hours - a.hours);
+}
+
+// "100% 168h+ · 50% 72h+ · 25% 24h+ · 0% under 24h"
+function describePolicy(rules) {
+    const timed = rules.filter(r => r.hours > 0);
+    const floor = rules.find(r => r.hours <= 0);
+    const parts = timed.map(r => `${r.percent}% ${r.hours}h+`);
+    if (timed.length) parts.push(`${floor ? floor.percent : 0}% under ${timed[timed.length - 1].hours}h`);
+    else parts.push(`${floor ? floor.percent : 0}% at any notice`);
+    return parts.join(' · ');
+}
+
+/**
+ * Refund due when a booking is cancelled `hoursBefore` hours ahead of its start.
+ * The first rule whose notice is met applies; past appointments get nothing.
+ * @param {Array}  rules       - parsePolicy() result
+ * @param {number} hoursBefore - Notice given (negative once the start has passed)
+ * @param {number} paid        - Amount the client has paid so far (R)
+ * @returns {Object} - { percent, refund, forfeit, paid, hoursBefore, rule }
+ */
+function refundQuote(rules, hoursBefore, paid) {
+    const hit     = hoursBefore >= 0 ? rules.find(r => hoursBefore >= r.hours) : null;
+    const percent = hit ? hit.percent : 0;
+    const amount  = round2(Math.max(0, paid) * percent / 100);
+    return {
+        percent,
+        refund:      amount,
+        forfeit:     round2(Math.max(0, paid) - amount),
+        paid:        round2(Math.max(0, paid)),
+        hoursBefore: Math.round(hoursBefore * 10) / 10,
+        rule:        hit ? `${hit.percent}% refund at ${hit.hours}h+ notice` : 'No refund inside the cancellation window',
+    };
+}
+
+module.exports = {
+    DEFAULT_POLICY,
+    parsePolicy,
+    describePolicy,
+    refundQuote,
+};
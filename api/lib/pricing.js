@@ -0,0 +1,193 @@
+// api/lib/pricing.js — PhenomeBeauty · Server-side pricing
+'use strict';
+
+const round2 = n => Math.round(n * 100) / 100;
+
+// Sheet money cell → number: "R1 250.00", "1,250", "" → 1250, 1250, 0
+const parseRands = v => parseFloat(String(v || '').replace(/[R\s,]/g, '')) || 0;
+
+/**
+ * Price a booking from the Services sheet only. The browser sends service IDs;
+ * anything else it sends (price, name, duration) is ignored.
+ * @param {Array} catalogue - getServices() result (active services only)
+ * @param {Array} requested - [{ id }] or ['id', ...] from the request body
+ * @returns {Object} - { lines, total, minutes, ids, names, unknown }
+ *                     `unknown` lists IDs that are missing or inactive
+ */
+function priceServices(catalogue, requested) {
+    const byId    = new Map(catalogue.map(x => [String(x.id).trim(), x]));
+    const lines   = [];
+    const unknown = [];
+    const seen    = new Set();
+
+    (requested || []).forEach(x => {
+        const id = String((x && typeof x === 'object' ? x.id : x) || '').trim();
+        if (!id || seen.has(id)) return;
+        seen.add(id);
+        const svc = byId.get(id);
+        if (!svc) { unknown.push(id); return; }
+        lines.push({
+            id,
+            name:     svc.name,
+            price:    svc.price,
+            duration: svc.duration,
+            category: svc.category,
+            deposit:  svc.deposit || '',
+        });
+    });
+
+    return {
+        lines,
+        unknown,
+        total:   round2(lines.reduce((a, l) => a + l.price, 0)),
+        minutes: lines.reduce((a, l) => a + l.duration, 0),
+        ids:     lines.map(l => l.id).join(', '),
+        names:   lines.map(l => l.name).join(', '),
+    };
+}
+
+// ── DEPOSIT RULES ────────────────────────────────────────────────────────────
+// Services sheet 'Deposit' (one service) or 'Category Deposit' (every service
+// in the category without its own rule), and Settings → call_out_deposit for
+// the call-out fee. "50%" is a share of the price, "R200" or "200" a fixed
+// amount (never more than the price), "none" nothing and "full" everything.
+// Blank falls back to deposit_percent.
+
+/**
+ * @param {string} v - Rule text from the sheet
+ * @returns {Object|null} - { percent } or { fixed }; null when blank/unreadable
+ */
+function parseDepositRule(v) {
+    const t = String(v || '').trim().toLowerCase();
+    if (!t) return null;
+    if (t === 'none') return { percent: 0 };
+    if (t === 'full') return { percent: 100 };
+    const n = parseFloat(t.replace(/[r%\s,]/g, ''));
+    if (!Number.isFinite(n) || n < 0) return null;
+    return t.endsWith('%') ? { percent: Math.min(n, 100) } : { fixed: n };
+}
+
+function describeRule(rule) {
+    return rule.fixed !== undefined ? `R${rule.fixed.toFixed(2)}` : `${rule.percent}%`;
+}
+
+/**
+ * Deposit as the sum of each line's rule plus the call-out fee's rule.
+ * @param {Array}  lines            - [{ name, price, deposit }] at the price still to pay
+ * @param {number} callOutFee
+ * @param {Object} opts
+ * @param {string} opts.defaultPct  - Settings deposit_percent
+ * @param {string} opts.callOutRule - Settings call_out_deposit
+ * @returns {Object} - { amount, parts: [{ name, price, rule, amount }] }
+ */
+function calcDeposit(lines, callOutFee, { defaultPct = '50', callOutRule = '' } = {}) {
+    const fallback = { percent: parseFloat(defaultPct || '50') };
+    const part = (name, price, text) => {
+        const rule = parseDepositRule(text) || fallback;
+        const amount = rule.fixed !== undefined ? Math.min(rule.fixed, price) : price * rule.percent / 100;
+        return { name, price, rule: describeRule(rule), amount: round2(Math.max(0, amount)) };
+    };
+    const parts = lines.map(l => part(l.name, l.price, l.deposit));
+    if (callOutFee > 0) parts.push(part('Call-out fee', callOutFee, callOutRule));
+    return { amount: round2(parts.reduce((a, p) => a + p.amount, 0)), parts };
+}
+
+/**
+ * Lines at what's left to pay once a pack session and a promo discount are
+ * taken off — the discount is shared across its eligible lines by price.
+ * @param {Array}  lines              - priceServices() lines
+ * @param {Object} opts
+ * @param {string} [opts.packServiceId] - Line paid for by a pack (first match)
+ * @param {Object} [opts.promo]         - { discount, eligible: [ids] }
+ * @returns {Array} - Copies of the lines with `price` reduced
+ */
+function netLines(lines, { packServiceId = '', promo = null } = {}) {
+    let packed = false;
+    const out = lines.map(l => {
+        if (!packed && packServiceId && l.id === String(packServiceId)) {
+            packed = true;
+            return { ...l, price: 0 };
+        }
+        return { ...l };
+    });
+    if (!promo || !promo.discount) return out;
+    const eligible = out.filter(l => promo.eligible.includes(l.id) && l.price > 0);
+    const base     = eligible.reduce((a, l) => a + l.price, 0);
+    let left = promo.discount;
+    eligible.forEach((l, i) => {
+        const share = i === eligible.length - 1 ? left : round2(promo.discount * l.price / base);
+        l.price = round2(Math.max(0, l.price - share));
+        left    = round2(left - share);
+    });
+    return out;
+}
+
+// ── TIPS ─────────────────────────────────────────────────────────────────────
+// Offered on the balance payment page, as a share of the treatment price
+const TIP_PRESETS = [10, 15, 20];
+
+/**
+ * Tip on top of the balance: a preset percentage or the client's own amount,
+ * never more than the treatment itself (a bigger figure is almost always a typo).
+ * @param {number} base   - The booking's treatment price
+ * @param {Object} choice - { percent } (one of TIP_PRESETS) or { amount }
+ * @returns {number|null} - null when the choice isn't allowed
+ */
+function calcTip(base, { percent, amount } = {}) {
+    if (percent !== undefined && percent !== null && percent !== '') {
+        return TIP_PRESETS.includes(Number(percent)) ? round2(base * Number(percent) / 100) : null;
+    }
+    const tip = round2(parseRands(amount));
+    return tip >= 0 && tip <= base ? tip : null;
+}
+
+/**
+ * Call-out fee from the fixed origin to the client, charged per round-trip km
+ * beyond the free zone. Resolves { fee, oneWayKm, roundTripKm, duration } or
+ * { fee: 0, error } when Maps is not configured or finds no route.
+ */
+async function calcCallOutFee(s, address) {
+    const addr = String(address || '').trim();
+    if (!addr) return { fee: 0, error: 'No address' };
+
+    const mk   = s.google_maps_api_key    || '';
+    const orig = s.fixed_origin_address   || '';
+    const free = parseFloat(s.call_out_free_km     || '0');
+    const rate = parseFloat(s.call_out_rate_per_km || '6.3');
+
+    if (!mk)   return { fee: 0, error: 'google_maps_api_key not set' };
+    if (!orig) return { fee: 0, error: 'fixed_origin_address not set' };
+
+    const url = `https://maps.googleapis.com/maps/api/distancematrix/json` +
+                `?origins=${encodeURIComponent(orig)}` +
+                `&destinations=${encodeURIComponent(addr)}` +
+                `&units=metric&mode=driving&key=${encodeURIComponent(mk)}`;
+    const md  = await (await fetch(url)).json();
+    if (md.status !== 'OK') return { fee: 0, error: 'Maps: ' + md.status };
+    const el  = md.rows?.[0]?.elements?.[0];
+    if (!el || el.status !== 'OK') return { fee: 0, error: 'No route found' };
+
+    const oneWay    = el.distance.value / 1000;
+    const roundTrip = oneWay * 2;
+    const billable  = roundTrip > free ? roundTrip - free : 0;
+    const fee       = billable > 0 ? round2(billable * rate) : 0;
+
+    return {
+        fee,
+        oneWayKm:    Math.round(oneWay    * 10) / 10,
+        roundTripKm: Math.round(roundTrip * 10) / 10,
+        duration:    el.duration.text,
+    };
+}
+
+module.exports = {
+    round2,
+    parseRands,
+    priceServices,
+    parseDepositRule,
+    calcDeposit,
+    netLines,
+    TIP_PRESETS,
+    calcTip,
+    calcCallOutFee,
+};
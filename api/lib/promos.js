@@ -0,0 +1,97 @@
+// api/lib/promos.js — PhenomeBeauty · Promo codes
+'use strict';
+
+const { round2, parseRands } = require('./pricing');
+const { RELEASED_STATUSES } = require('./availability');
+const { samePhone } = require('./packs');
+
+const list = v => String(v || '').split(',').map(x => x.trim()).filter(Boolean);
+
+/**
+ * Active campaigns from the Promo Codes tab, e.g. "MOM15" 15% off or
+ * "FIRST100" R100 off a first booking.
+ * Columns: Code, Description, Type (Percent | Fixed), Value, Valid From,
+ * Valid To, Max Uses, Max Uses Per Client, Service IDs, Categories,
+ * New Clients Only, Active. Blank limits and restrictions mean "no limit".
+ * @param {Array} rows - Promo Codes tab rows
+ * @returns {Array}
+ */
+function parsePromos(rows) {
+    const yes = v => ['true', 'yes', '1'].includes(String(v || '').trim().toLowerCase());
+    return rows
+        .filter(r => yes(r.get('Active')))
+        .map(r => {
+            const type = String(r.get('Type') || '').trim().toLowerCase();
+            const raw  = String(r.get('Value') || '');
+            return {
+                code:           String(r.get('Code') || '').trim().toUpperCase(),
+                description:    String(r.get('Description') || '').trim(),
+                percent:        type.startsWith('percent') || raw.includes('%'),
+                value:          parseRands(raw.replace('%', '')),
+                validFrom:      String(r.get('Valid From') || '').trim(),
+                validTo:        String(r.get('Valid To')   || '').trim(),
+                maxUses:        parseInt(r.get('Max Uses') || 0) || 0,
+                maxPerClient:   parseInt(r.get('Max Uses Per Client') || 0) || 0,
+                serviceIds:     list(r.get('Service IDs')),
+                categories:     list(r.get('Categories')).map(c => c.toLowerCase()),
+                newClientsOnly: yes(r.get('New Clients Only')),
+            };
+        })
+        .filter(p => p.code && p.value > 0);
+}
+
+// Bookings that belong to this client (same email or phone) and still stand
+function clientBookings(bookingRows, { email, phone }) {
+    const mail = String(email || '').trim().toLowerCase();
+    return bookingRows
+        .filter(r => !RELEASED_STATUSES.includes((r.get('Deposit Status') || '').trim()))
+        .filter(r => (mail && (r.get('Client Email') || '').trim().toLowerCase() === mail) ||
+                     samePhone(r.get('Client Phone'), phone));
+}
+
+/**
+ * Check a code against the booking and work out the discount. Usage counts
+ * come from the Bookings rows carrying the code, so a released booking
+ * frees its use again.
+ * @param {Object} promo            - parsePromos() entry
+ * @param {Object} opts
+ * @param {Array}  opts.lines       - priceServices() lines
+ * @param {Array}  opts.bookingRows - Bookings tab rows
+ * @param {Object} opts.client      - { email, phone }
+ * @param {string} opts.todayStr    - SAST date (YYYY-MM-DD)
+ * @param {string} [opts.excludeId] - Service already paid for by a pack
+ * @returns {Object} - { discount, eligible } or { error }
+ */
+function applyPromo(promo, { lines, bookingRows, client, todayStr, excludeId = '' }) {
+    if (promo.validFrom && todayStr < promo.validFrom) return { error: 'This code isn\'t valid yet' };
+    if (promo.validTo   && todayStr > promo.validTo)   return { error: 'This code has expired' };
+
+    const live = bookingRows
+        .filter(r => (r.get('Promo Code') || '').trim().toUpperCase() === promo.code)
+        .filter(r => !RELEASED_STATUSES.includes((r.get('Deposit Status') || '').trim()));
+    if (promo.maxUses && live.length >= promo.maxUses) return { error: 'This code has been fully redeemed' };
+
+    const mine = clientBookings(bookingRows, client);
+    if (promo.maxPerClient && mine.filter(r => live.includes(r)).length >= promo.maxPerClient) {
+        return { error: 'You\'ve already used this code' };
+    }
+    if (promo.newClientsOnly && mine.length) return { error: 'This code is for first-time clients only' };
+
+    let skipped = false;
+    const eligible = lines.filter(l => {
+        if (!skipped && excludeId && l.id === String(excludeId)) { skipped = true; return false; }
+        if (promo.serviceIds.length && !promo.serviceIds.includes(l.id)) return false;
+        if (promo.categories.length && !promo.categories.includes(String(l.category || '').trim().toLowerCase())) return false;
+        return true;
+    });
+    const base = round2(eligible.reduce((a, l) => a + l.price, 0));
+    if (!base) return { error: 'This code doesn\'t apply to the services you\'ve chosen' };
+
+    const discount = promo.percent ? round2(base * Math.min(promo.value, 100) / 100) : round2(Math.min(promo.value, base));
+    return { discount, eligible: eligible.map(l => l.id) };
+}
+
+module.exports = {
+    parsePromos,
+    applyPromo,
+};
@@ -72,6 +72,16 @@ let _servicesCache = null, _servicesExpiry = 0;
 async function getServices(doc) {
     if (_servicesCache && Date.now() < _servicesExpiry) return _servicesCache;
     const rows = await doc.sheetsByTitle['Services'].getRows();
+
+    // 'Category Deposit' on any row of a category covers the whole category;
+    // a service's own 'Deposit' wins (see DEPOSIT RULES in lib/pricing.js)
+    const categoryDeposit = {};
+    rows.forEach(r => {
+        const cat  = (r.get('Category') || '').trim();
+        const rule = (r.get('Category Deposit') || '').trim();
+        if (cat && rule && !categoryDeposit[cat]) categoryDeposit[cat] = rule;
+    });
+
     _servicesCache = rows
         .filter(r => {
             const v = (r.get('Active') || '').toString().trim().toLowerCase();
@@ -84,6 +94,7 @@ async function getServices(doc) {
             price:       parseFloat(String(r.get('Price (R)') || 0).replace(/[R, ]/g, '')) || 0,
             duration:    parseInt(r.get('Duration (min)') || 0) || 0,
             category:    r.get('Category'),
+            deposit:     (r.get('Deposit') || '').trim() || categoryDeposit[(r.get('Category') || '').trim()] || '',
         }));
     _servicesExpiry = Date.now() + 8 * 60 * 1000;
     return _servicesCache;
@@ -116,6 +127,26 @@ async function findRow(doc, bookingId) {
     return { sheet, row: rows.find(r => (r.get('Booking ID') || '').trim() === bookingId.trim()) };
 }
 
+// Every booking row linked under one group booking, in block order
+async function groupRows(doc, groupId) {
+    const sheet = doc.sheetsByTitle['Bookings'];
+    if (!sheet || !groupId) return [];
+    const rows = await sheet.getRows();
+    return rows
+        .filter(r => (r.get('Group ID') || '').trim() === groupId.trim())
+        .sort((a, b) => (a.get('Time') || '').localeCompare(b.get('Time') || ''));
+}
+
+// Every occurrence of one recurring series, in date order
+async function seriesRows(doc, seriesId) {
+    const sheet = doc.sheetsByTitle['Bookings'];
+    if (!sheet || !seriesId) return [];
+    const rows = await sheet.getRows();
+    return rows
+        .filter(r => (r.get('Series ID') || '').trim() === seriesId.trim())
+        .sort((a, b) => `${a.get('Date')} ${a.get('Time')}`.localeCompare(`${b.get('Date')} ${b.get('Time')}`));
+}
+
 // ── SAST CLOCK — correct regardless of server timezone ───────────────────────
 function sastNow() {
     const fmt = new Intl.DateTimeFormat('en-CA', {
@@ -130,6 +161,26 @@ function sastNow() {
     };
 }
 
+// ── SAST TIMESTAMPS — 'Created At' is written with toLocaleString('en-ZA') ───
+function sastStamp(date = new Date()) {
+    return date.toLocaleString('en-ZA', { timeZone: 'Africa/Johannesburg' });
+}
+
+// "2026/10/19, 14:03:22" → epoch ms (SAST is UTC+2 all year). NaN if unparseable.
+function parseSastStamp(str) {
+    const m = String(str || '').match(/(\d{4})[\/-](\d{2})[\/-](\d{2}),?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?/);
+    if (!m) return NaN;
+    const [, y, mo, d, h, mi, sec] = m.map(Number);
+    return Date.UTC(y, mo - 1, d, h - 2, mi, sec || 0);
+}
+
+// Appointment date + "HH:MM" (SAST) → epoch ms
+function sastEpoch(dateStr, hhmm) {
+    const [y, m, d] = String(dateStr || '').split('-').map(Number);
+    const [h, mi]   = String(hhmm || '00:00').split(':').map(Number);
+    return Date.UTC(y, m - 1, d, (h || 0) - 2, mi || 0);
+}
+
 module.exports = {
     getJwt,
     getDoc,
@@ -138,5 +189,10 @@ module.exports = {
     getAvailabilityRows,
     bustDocCache,
     findRow,
+    groupRows,
+    seriesRows,
     sastNow,
+    sastStamp,
+    parseSastStamp,
+    sastEpoch,
 };
@@ -0,0 +1,58 @@
+// api/lib/vouchers.js — PhenomeBeauty · Gift vouchers
+'use strict';
+
+const { round2, parseRands } = require('./pricing');
+const { RELEASED_STATUSES } = require('./availability');
+
+/**
+ * Rands a voucher has paid towards bookings. Each booking records what it drew
+ * in 'Voucher Used (R)' (deposit at booking, then balance at the balance
+ * request); a released booking gives its share back.
+ * @param {string} code        - Vouchers tab 'Voucher Code'
+ * @param {Array}  bookingRows - Bookings tab rows
+ * @returns {number}
+ */
+function voucherUsed(code, bookingRows) {
+    return round2(bookingRows
+        .filter(r => (r.get('Voucher Code') || '').trim() === code)
+        .filter(r => !RELEASED_STATUSES.includes((r.get('Deposit Status') || '').trim()))
+        .reduce((sum, r) => sum + parseRands(r.get('Voucher Used (R)')), 0));
+}
+
+/**
+ * Where a voucher stands today, as shown on the admin list.
+ * @param {Object} row         - Vouchers tab row
+ * @param {Array}  bookingRows - Bookings tab rows
+ * @param {string} todayStr    - SAST date (YYYY-MM-DD)
+ * @returns {Object} - { code, amount, used, balance, expires, status }
+ *                     status: Pending Payment | Issued | Redeemed | Expired
+ */
+function voucherState(row, bookingRows, todayStr) {
+    const code    = (row.get('Voucher Code') || '').trim();
+    const amount  = parseRands(row.get('Amount (R)'));
+    const used    = voucherUsed(code, bookingRows);
+    const balance = round2(Math.max(0, amount - used));
+    const expires = (row.get('Expires') || '').trim();
+
+    let status = 'Issued';
+    if (row.get('Status') === 'Pending Payment') status = 'Pending Payment';
+    else if (balance <= 0)                          status = 'Redeemed';
+    else if (expires && expires < todayStr)         status = 'Expired';
+
+    return { code, amount, used, balance, expires, status };
+}
+
+// Expiry date `months` after purchase, clamped to the month's last day
+// (a voucher bought on 31 Aug expires on 28/29 Feb, not in March)
+function voucherExpiry(todayStr, months) {
+    const [y, m, d] = todayStr.split('-').map(Number);
+    const last = new Date(Date.UTC(y, m - 1 + months + 1, 0)).getUTCDate();
+    const dt   = new Date(Date.UTC(y, m - 1 + months, Math.min(d, last)));
+    return dt.toISOString().slice(0, 10);
+}
+
+module.exports = {
+    voucherUsed,
+    voucherExpiry,
+    voucherState,
+};
@@ -0,0 +1,39 @@
+// api/lib/waitlist.js — PhenomeBeauty · Waitlist matching
+'use strict';
+
+const { parseSastStamp } = require('./sheet');
+
+// Waitlist tab statuses: Waiting → Offered → Booked, or Removed by the admin.
+// An offer whose link has lapsed goes back into the queue for the next opening.
+const WAITLIST_ACTIVE = ['Waiting', 'Offered'];
+
+// True while an Offered entry's booking link is still live
+function offerLive(row, nowMs) {
+    const expires = parseSastStamp(row.get('Offer Expires'));
+    return Number.isFinite(expires) && expires > nowMs;
+}
+
+/**
+ * Entries to email when a slot opens on `dateStr`, in sign-up order (the
+ * sheet's row order), so the longest-waiting clients hear first.
+ * @param {Array}  rows    - Waitlist tab rows
+ * @param {string} dateStr - The date that opened up (YYYY-MM-DD)
+ * @param {number} nowMs   - Current time (epoch ms)
+ * @returns {Array} - Matching rows
+ */
+function eligibleEntries(rows, dateStr, nowMs) {
+    return rows.filter(r => {
+        const status = (r.get('Status') || '').trim();
+        if (!WAITLIST_ACTIVE.includes(status)) return false;
+        if (status === 'Offered' && offerLive(r, nowMs)) return false;
+        const from = (r.get('Date From') || '').trim();
+        const to   = (r.get('Date To')   || '').trim() || from;
+        return !!from && dateStr >= from && dateStr <= to;
+    });
+}
+
+module.exports = {
+    WAITLIST_ACTIVE,
+    offerLive,
+    eligibleEntries,
+};
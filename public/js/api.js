@@ -65,17 +65,20 @@ export async function fetchServices() {
 
 /**
  * Fetch month availability data
- * GET /api?action=getMonthAvailability&month=YYYY-MM
+ * GET /api?action=getMonthAvailability&month=YYYY-MM&duration=MIN
  * @param {Number} year - Year
  * @param {Number} month - Month (1-12)
- * @returns {Promise<Object>} - Object with dates as keys, time slots as values
+ * @param {Number} duration - Total treatment length in minutes (0 = slot length)
+ * @returns {Promise<Object>} - Object with dates as keys, start-end ranges that fit the treatment as values
  */
-export async function fetchMonthAvailability(year, month) {
+export async function fetchMonthAvailability(year, month, duration = 0) {
   const pad = n => String(n).padStart(2, '0');
   const monthKey = `${year}-${pad(month)}`;
   
   try {
-    const response = await fetchWithRetry(`/api?action=getMonthAvailability&month=${monthKey}`);
+    const response = await fetchWithRetry(
+      `/api?action=getMonthAvailability&month=${monthKey}&duration=${encodeURIComponent(duration || 0)}`
+    );
     const data = await response.json();
     return data || {};
   } catch (error) {
@@ -119,7 +122,7 @@ export async function fetchCallOutFee(address) {
 /**
  * Fetch app configuration
  * GET /api?action=getConfig
- * @returns {Promise<Object>} - {depositPercent, appBaseUrl, googleReviewUrl}
+ * @returns {Promise<Object>} - {depositPercent, callOutDeposit, appBaseUrl, googleReviewUrl}
  */
 export async function fetchAppConfig() {
   try {
@@ -127,6 +130,7 @@ export async function fetchAppConfig() {
     const data = await response.json();
     return {
       depositPercent: parseFloat(data.deposit_percent || '50'),
+      callOutDeposit: data.call_out_deposit || '',
       appBaseUrl: data.app_base_url || '',
       googleReviewUrl: data.google_review_url || '',
     };
@@ -135,6 +139,7 @@ export async function fetchAppConfig() {
     // Return defaults
     return {
       depositPercent: 50,
+      callOutDeposit: '',
       appBaseUrl: window.location.origin,
       googleReviewUrl: '',
     };
@@ -146,6 +151,7 @@ export async function fetchAppConfig() {
  * POST /api/book
  * @param {Object} bookingData - Complete booking data
  * @returns {Promise<Object>} - {success, bookingId, paymentUrl, ...}
+ * @throws {Error} - With .code 'SLOT_TAKEN' and .alternatives when the slot was taken (409)
  */
 export async function submitBooking(bookingData) {
   try {
@@ -158,16 +164,160 @@ export async function submitBooking(bookingData) {
     const data = await response.json();
     
     if (!response.ok) {
-      throw new Error(data.error || 'Booking submission failed');
+      const err = new Error(data.error || 'Booking submission failed');
+      err.code = data.code || '';
+      err.alternatives = data.alternatives || null;
+      throw err;
     }
     
     return data;
   } catch (error) {
     console.error('Booking submission error:', error);
+    if (error.code) throw error;
+    throw new Error(error.message || 'Failed to submit booking. Please try again.');
+  }
+}
+
+/**
+ * Submit a group booking to server
+ * POST /api/book/group
+ * @param {Object} groupData - Organiser details, shared address, date/time and attendees
+ * @returns {Promise<Object>} - {success, groupId, bookingId, attendees, paymentUrl, ...}
+ * @throws {Error} - With .code 'SLOT_TAKEN' and .alternatives when the slot was taken (409)
+ */
+export async function submitGroupBooking(groupData) {
+  try {
+    const response = await fetchWithRetry('/api/book/group', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(groupData),
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      const err = new Error(data.error || 'Booking submission failed');
+      err.code = data.code || '';
+      err.alternatives = data.alternatives || null;
+      throw err;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Group booking submission error:', error);
+    if (error.code) throw error;
+    throw new Error(error.message || 'Failed to submit booking. Please try again.');
+  }
+}
+
+/**
+ * Submit a recurring series to server
+ * POST /api/book/series
+ * @param {Object} seriesData - Booking data plus series: {everyWeeks, count, deposit}
+ * @returns {Promise<Object>} - {success, seriesId, bookingId, visits, paymentUrl, ...}
+ * @throws {Error} - With .code 'SERIES_CLASH' and .conflicts when some dates are taken (409)
+ */
+export async function submitSeriesBooking(seriesData) {
+  try {
+    const response = await fetchWithRetry('/api/book/series', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(seriesData),
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      const err = new Error(data.error || 'Booking submission failed');
+      err.code = data.code || '';
+      err.conflicts = data.conflicts || null;
+      throw err;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Series booking submission error:', error);
+    if (error.code) throw error;
     throw new Error(error.message || 'Failed to submit booking. Please try again.');
   }
 }
 
+/**
+ * Look up a prepaid treatment pack before redeeming a session
+ * GET /api/packs/check?code=...&email=...
+ * @param {String} code - Pack code (PP-...)
+ * @param {String} email - Email the pack was bought with
+ * @returns {Promise<Object>} - {code, packName, serviceId, serviceName, sessions, remaining}
+ */
+export async function checkPack(code, email) {
+  const response = await fetchWithRetry(
+    `/api/packs/check?code=${encodeURIComponent(code)}&email=${encodeURIComponent(email)}`
+  );
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || 'Pack code not recognised');
+  return data;
+}
+
+/**
+ * Check a promo code against the chosen services
+ * POST /api/promos/check
+ * @param {Object} data - {code, services, email, phone, packServiceId}
+ * @returns {Promise<Object>} - {code, description, discount, eligible}
+ */
+export async function checkPromo(data) {
+  const response = await fetchWithRetry('/api/promos/check', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(data),
+  });
+  const result = await response.json();
+  if (!response.ok) throw new Error(result.error || 'Promo code not recognised');
+  return result;
+}
+
+/**
+ * Look up a gift voucher's remaining balance
+ * GET /api/vouchers/check?code=...
+ * @param {String} code - Voucher code (GV-...)
+ * @returns {Promise<Object>} - {code, balance, expires}
+ */
+export async function checkVoucher(code) {
+  const response = await fetchWithRetry(`/api/vouchers/check?code=${encodeURIComponent(code)}`);
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || 'Voucher code not recognised');
+  return data;
+}
+
+/**
+ * Join the waitlist for a fully booked date or date range
+ * POST /api/waitlist
+ * @param {Object} entry - {name, email, phone, dateFrom, dateTo, services}
+ * @returns {Promise<Object>} - {success, waitlistId}
+ */
+export async function joinWaitlist(entry) {
+  const response = await fetchWithRetry('/api/waitlist', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(entry),
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || 'Could not join the waitlist');
+  return data;
+}
+
+/**
+ * Look up a waitlist offer from the emailed booking link
+ * GET /api/waitlist/offer?t=...
+ * @param {String} token - Signed offer token
+ * @returns {Promise<Object>} - {date, services, name, email, phone}
+ */
+export async function fetchWaitlistOffer(token) {
+  const response = await fetchWithRetry(`/api/waitlist/offer?t=${encodeURIComponent(token)}`);
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || 'This waitlist link is no longer valid');
+  return data;
+}
+
 /**
  * Fetch address suggestions from secure server-side proxy
  * GET /api/places-autocomplete?input=...
@@ -5,6 +5,16 @@
 import { bookingState, updateState, setStatePath } from './state.js';
 import { fetchMonthAvailability } from './api.js';
 import { showToast, escHtml, updateNextBtn, setLoading } from './ui.js';
+import { getTotalDuration } from './services.js';
+import { renderWaitlistForm } from './waitlist.js';
+
+/**
+ * Month cache key — availability depends on the selected treatment length
+ */
+function monthCacheKey(year, month) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${year}-${pad(month)}:${getTotalDuration()}`;
+}
 
 /**
  * Initialize and render calendar
@@ -60,8 +70,7 @@ function updateCalendarHeader(year, month) {
  * Load month availability data (with caching)
  */
 async function calLoadMonth(year, month) {
-  const pad = n => String(n).padStart(2, '0');
-  const monthKey = `${year}-${pad(month)}`;
+  const monthKey = monthCacheKey(year, month);
   
   // Check cache first
   if (bookingState.calendar.monthCache[monthKey]?.loaded) {
@@ -72,7 +81,7 @@ async function calLoadMonth(year, month) {
   calDrawDays('loading');
   
   try {
-    const availability = await fetchMonthAvailability(year, month);
+    const availability = await fetchMonthAvailability(year, month, getTotalDuration());
     
     // Store in cache
     bookingState.calendar.monthCache[monthKey] = {
@@ -93,6 +102,25 @@ async function calLoadMonth(year, month) {
   }
 }
 
+/**
+ * Merge fresh availability (e.g. alternatives from a 409 on /api/book) into
+ * the month cache so taken slots disappear without a full reload
+ * @param {Object} availability - { 'YYYY-MM-DD': ['HH:MM-HH:MM', ...] }
+ */
+export function applyFreshAvailability(availability) {
+  const dates = Object.keys(availability);
+  const selected = bookingState.calendar.selectedDate;
+  if (selected && !dates.includes(selected)) dates.push(selected);
+  
+  dates.forEach(dateStr => {
+    const [y, m] = dateStr.split('-').map(Number);
+    const entry = bookingState.calendar.monthCache[monthCacheKey(y, m)];
+    if (!entry?.loaded) return;
+    if (availability[dateStr]?.length) entry.availability[dateStr] = availability[dateStr];
+    else delete entry.availability[dateStr];
+  });
+}
+
 /**
  * Draw calendar day grid
  * @param {String} state - 'loading' or undefined
@@ -109,7 +137,7 @@ function calDrawDays(state = null) {
   const year = bookingState.calendar.year;
   const month = bookingState.calendar.month;
   const pad = n => String(n).padStart(2, '0');
-  const monthKey = `${year}-${pad(month)}`;
+  const monthKey = monthCacheKey(year, month);
   
   const availability = bookingState.calendar.monthCache[monthKey]?.availability || {};
   
@@ -155,12 +183,14 @@ function calDrawDays(state = null) {
     
     const disabled = isPast || !hasSlots;
     const clickable = !disabled;
+    const waitlist = !isPast && !hasSlots;  // Fully booked — offer the waitlist
     
     html += `
       <div 
         class="${classes}" 
         data-date="${dateStr}"
-        ${clickable ? `role="button" tabindex="0"` : ''}
+        ${clickable || waitlist ? `role="button" tabindex="0"` : ''}
+        ${waitlist ? `data-waitlist title="Fully booked — join the waitlist"` : ''}
       >
         <span class="cal-day-number">${day}</span>
         ${hasSlots ? `<span class="cal-day-dot"></span>` : ''}
@@ -172,7 +202,7 @@ function calDrawDays(state = null) {
   grid.innerHTML = html;
   
   // Attach click listeners
-  grid.querySelectorAll('.cal-day-available, .cal-day-selected').forEach(dayEl => {
+  grid.querySelectorAll('.cal-day-available, .cal-day-selected:not([data-waitlist])').forEach(dayEl => {
     dayEl.addEventListener('click', () => {
       const dateStr = dayEl.dataset.date;
       selectDate(dateStr);
@@ -187,6 +217,24 @@ function calDrawDays(state = null) {
       }
     });
   });
+  
+  // Fully booked days open the waitlist form instead
+  grid.querySelectorAll('[data-waitlist]').forEach(dayEl => {
+    const open = () => {
+      setStatePath('calendar.selectedDate', '');
+      setStatePath('calendar.selectedTime', '');
+      calDrawDays();
+      updateNextBtn();
+      renderWaitlistForm(dayEl.dataset.date);
+    };
+    dayEl.addEventListener('click', open);
+    dayEl.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        open();
+      }
+    });
+  });
 }
 
 /**
@@ -196,8 +244,7 @@ function calDrawDays(state = null) {
 export function selectDate(dateStr) {
   const year = bookingState.calendar.year;
   const month = bookingState.calendar.month;
-  const pad = n => String(n).padStart(2, '0');
-  const monthKey = `${year}-${pad(month)}`;
+  const monthKey = monthCacheKey(year, month);
   
   const availability = bookingState.calendar.monthCache[monthKey]?.availability || {};
   
@@ -235,8 +282,7 @@ function renderTimeSlots() {
   
   const year = bookingState.calendar.year;
   const month = bookingState.calendar.month;
-  const pad = n => String(n).padStart(2, '0');
-  const monthKey = `${year}-${pad(month)}`;
+  const monthKey = monthCacheKey(year, month);
   
   const availability = bookingState.calendar.monthCache[monthKey]?.availability || {};
   const slots = availability[dateStr] || [];
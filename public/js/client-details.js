@@ -251,6 +251,28 @@ function initSafetySection() {
   });
 }
 
+/**
+ * Show the current client.divaType/safety answers in the form. Group mode
+ * swaps these per attendee, so the form is refilled on every switch.
+ */
+export function fillSafetyForm() {
+  const existingBtn = document.getElementById('btn-diva-existing');
+  const newBtn = document.getElementById('btn-diva-new');
+  const section = document.getElementById('safety-section');
+  const isNew = bookingState.client.divaType === 'new';
+  
+  if (existingBtn) existingBtn.classList.toggle('active', !isNew);
+  if (newBtn) newBtn.classList.toggle('active', isNew);
+  if (!section) return;
+  section.style.display = isNew ? 'block' : 'none';
+  
+  section.querySelectorAll('input, textarea, select').forEach(input => {
+    const value = bookingState.client.safety[input.name || input.id];
+    if (input.type === 'checkbox') input.checked = !!value;
+    else input.value = value || '';
+  });
+}
+
 /**
  * Attach form field listeners
  */
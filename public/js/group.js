@@ -0,0 +1,267 @@
+// public/js/group.js — Group booking mode (bridal parties, matric groups)
+// One organiser books for several attendees at one address. Each attendee
+// keeps their own services and consultation answers; the wizard edits one
+// attendee at a time by pointing bookingState.selectedServices and
+// bookingState.client.safety at that attendee's own array/object.
+'use strict';
+
+import { bookingState } from './state.js';
+import { renderServices, updateCart } from './services.js';
+import { showToast, escHtml, updateNextBtn, formatCurrency } from './ui.js';
+import { fillSafetyForm } from './client-details.js';
+
+export const MAX_ATTENDEES = 8;
+
+function blankSafety() {
+  return {
+    skinConditions: '',
+    medications: '',
+    allergies: '',
+    healthConditions: '',
+    environmental: '',
+    physical: '',
+    pregnant: false,
+    hairLengthOk: false,
+    additionalInfo: '',
+  };
+}
+
+function newAttendee(name = '') {
+  return { name, services: [], divaType: 'existing', safety: blankSafety() };
+}
+
+/**
+ * @returns {Boolean} - Whether the wizard is booking for a group
+ */
+export function isGroupMode() {
+  return !!bookingState.group?.enabled;
+}
+
+/**
+ * Copy the fields that aren't shared by reference back onto the active attendee
+ */
+function syncActive() {
+  const group = bookingState.group;
+  const active = group.attendees[group.active];
+  if (active) active.divaType = bookingState.client.divaType;
+}
+
+/**
+ * Turn group mode on or off. Switching on makes the current cart the first
+ * attendee's; switching off keeps the first attendee's cart as the booking.
+ * @param {Boolean} enabled
+ */
+export function setGroupMode(enabled) {
+  const group = bookingState.group;
+  if (!!enabled === group.enabled) return;
+
+  if (enabled) {
+    group.attendees = [
+      {
+        name: bookingState.client.name || '',
+        services: bookingState.selectedServices,
+        divaType: bookingState.client.divaType,
+        safety: bookingState.client.safety,
+      },
+      newAttendee(),
+    ];
+    group.active = 0;
+    group.enabled = true;
+  } else {
+    group.enabled = false;
+    selectAttendee(0, false);
+    group.attendees = [];
+    group.active = 0;
+  }
+
+  refresh();
+}
+
+/**
+ * Add an attendee and switch to them
+ */
+export function addAttendee() {
+  const group = bookingState.group;
+  if (group.attendees.length >= MAX_ATTENDEES) {
+    showToast(`Groups are limited to ${MAX_ATTENDEES} people — contact us for larger parties`, true);
+    return;
+  }
+  group.attendees.push(newAttendee());
+  selectAttendee(group.attendees.length - 1);
+}
+
+/**
+ * Remove an attendee (a group keeps at least two people)
+ * @param {Number} index
+ */
+export function removeAttendee(index) {
+  const group = bookingState.group;
+  if (group.attendees.length <= 2) {
+    showToast('A group booking needs at least 2 people', true);
+    return;
+  }
+  syncActive();
+  group.attendees.splice(index, 1);
+  group.active = -1;
+  selectAttendee(Math.min(index, group.attendees.length - 1));
+}
+
+/**
+ * Point the service picker and consultation form at one attendee
+ * @param {Number} index
+ * @param {Boolean} render - Re-render the wizard afterwards
+ */
+export function selectAttendee(index, render = true) {
+  const group = bookingState.group;
+  const attendee = group.attendees[index];
+  if (!attendee) return;
+
+  if (group.active !== index) syncActive();
+  group.active = index;
+  bookingState.selectedServices = attendee.services;
+  bookingState.client.divaType = attendee.divaType;
+  bookingState.client.safety = attendee.safety;
+
+  if (render) refresh();
+}
+
+/**
+ * @param {Number} index
+ * @param {String} name
+ */
+export function renameAttendee(index, name) {
+  const attendee = bookingState.group.attendees[index];
+  if (attendee) attendee.name = name.trim();
+  updateNextBtn();
+}
+
+/**
+ * Per-attendee totals plus the combined figures used for availability and review
+ * @returns {Object} - { attendees: [{ name, services, duration, total }], duration, servicesTotal }
+ */
+export function getGroupSummary() {
+  syncActive();
+  const attendees = bookingState.group.attendees.map((a, i) => ({
+    name: a.name || `Guest ${i + 1}`,
+    services: a.services,
+    duration: a.services.reduce((sum, s) => sum + parseInt(s.duration || 0), 0),
+    total: a.services.reduce((sum, s) => sum + parseFloat(s.price || 0), 0),
+  }));
+  return {
+    attendees,
+    duration: attendees.reduce((sum, a) => sum + a.duration, 0),
+    servicesTotal: attendees.reduce((sum, a) => sum + a.total, 0),
+  };
+}
+
+/**
+ * First problem with the group, or '' when it can be booked
+ * @returns {String}
+ */
+export function validateGroup() {
+  const attendees = bookingState.group.attendees;
+  if (attendees.length < 2) return 'A group booking needs at least 2 people';
+  const missing = attendees.findIndex(a => a.services.length === 0);
+  if (missing > -1) return `Please choose services for ${attendees[missing].name || `Guest ${missing + 1}`}`;
+  return '';
+}
+
+/**
+ * Attendees in the shape POST /api/book/group expects
+ * @returns {Array}
+ */
+export function getGroupPayload() {
+  syncActive();
+  return bookingState.group.attendees.map((a, i) => ({
+    name: a.name || (i === 0 ? bookingState.client.name : '') || `Guest ${i + 1}`,
+    services: a.services.map(s => ({ id: s.id })),
+    divaType: a.divaType,
+    safety: a.divaType === 'new' ? a.safety : null,
+  }));
+}
+
+/**
+ * Render the group controls into every .group-panel on the page
+ * (the services step and the consultation step each carry one)
+ */
+export function renderGroupPanel() {
+  ensurePanels();
+  const panels = document.querySelectorAll('.group-panel');
+  if (!panels.length) return;
+
+  const group = bookingState.group;
+  let html = `
+    <label class="group-toggle">
+      <input type="checkbox" data-group-toggle ${group.enabled ? 'checked' : ''}>
+      <span>Booking for a group? (bridal party, matric, friends)</span>
+    </label>
+  `;
+
+  if (group.enabled) {
+    const summary = getGroupSummary();
+    html += `
+      <div class="group-attendees">
+        ${summary.attendees.map((a, i) => `
+          <div class="group-attendee ${i === group.active ? 'active' : ''}" data-select="${i}">
+            <input class="group-attendee-name" data-rename="${i}" value="${escHtml(group.attendees[i].name)}"
+                   placeholder="${i === 0 ? 'Your name' : `Guest ${i + 1}`}" aria-label="Attendee ${i + 1} name">
+            <span class="group-attendee-meta">${a.services.length} service${a.services.length === 1 ? '' : 's'} · ${a.duration} min</span>
+            ${group.attendees.length > 2 ? `<span class="group-attendee-remove" data-remove="${i}" aria-label="Remove">×</span>` : ''}
+          </div>
+        `).join('')}
+      </div>
+      ${group.attendees.length < MAX_ATTENDEES ? '<button type="button" class="group-add" data-group-add>+ Add person</button>' : ''}
+      <div class="group-total">
+        ${group.attendees.length} people · ${summary.duration} min back to back · ${formatCurrency(summary.servicesTotal)}
+      </div>
+    `;
+  }
+
+  panels.forEach(panel => {
+    panel.innerHTML = html;
+    panel.querySelector('[data-group-toggle]')?.addEventListener('change', e => setGroupMode(e.target.checked));
+    panel.querySelector('[data-group-add]')?.addEventListener('click', addAttendee);
+    panel.querySelectorAll('[data-select]').forEach(el => {
+      el.addEventListener('click', () => {
+        const index = Number(el.dataset.select);
+        if (index !== bookingState.group.active) selectAttendee(index);
+      });
+    });
+    panel.querySelectorAll('[data-rename]').forEach(input => {
+      input.addEventListener('click', e => e.stopPropagation());
+      input.addEventListener('input', () => renameAttendee(Number(input.dataset.rename), input.value));
+    });
+    panel.querySelectorAll('[data-remove]').forEach(el => {
+      el.addEventListener('click', e => {
+        e.stopPropagation();
+        removeAttendee(Number(el.dataset.remove));
+      });
+    });
+  });
+}
+
+/**
+ * Pages without their own .group-panel get one above the service list and
+ * above the consultation toggle
+ */
+function ensurePanels() {
+  ['services-list', 'btn-diva-existing'].forEach(id => {
+    const anchor = document.getElementById(id);
+    const host = id === 'services-list' ? anchor : anchor?.parentElement;
+    if (!host || host.previousElementSibling?.classList.contains('group-panel')) return;
+    const panel = document.createElement('div');
+    panel.className = 'group-panel';
+    host.parentElement.insertBefore(panel, host);
+  });
+}
+
+/**
+ * Re-render everything that shows the active attendee
+ */
+function refresh() {
+  renderServices();
+  updateCart();
+  fillSafetyForm();
+  renderGroupPanel();
+  updateNextBtn();
+}
@@ -13,7 +13,7 @@
     const { initPerformance, logPerformanceMetrics, setupCacheCleanup } = await import('./performance.js');
     
     // Optional modules
-    let initCalendar, initClientDetails, toggleDiva, safetyToggle;
+    let initCalendar, initClientDetails, toggleDiva, safetyToggle, renderGroupPanel, applyWaitlistOffer;
     try {
       const calendar = await import('./calendar.js');
       initCalendar = calendar.initCalendar;
@@ -25,6 +25,16 @@
       toggleDiva = clientDetails.toggleDiva;
       safetyToggle = clientDetails.safetyToggle;
     } catch (e) { console.warn('Client details module optional'); }
+    
+    try {
+      const group = await import('./group.js');
+      renderGroupPanel = group.renderGroupPanel;
+    } catch (e) { console.warn('Group booking module optional'); }
+    
+    try {
+      const waitlist = await import('./waitlist.js');
+      applyWaitlistOffer = waitlist.applyWaitlistOffer;
+    } catch (e) { console.warn('Waitlist module optional'); }
 
     /**
      * Initialize booking application
@@ -44,9 +54,11 @@
         initPerformance();
         setupCacheCleanup();
         
-        // Initialize optional modules
+        // Initialize optional modules (a waitlist offer link preselects the date first)
+        if (applyWaitlistOffer) await applyWaitlistOffer();
         if (initCalendar) initCalendar();
         if (initClientDetails) initClientDetails();
+        if (renderGroupPanel) renderGroupPanel();
         
         // Hide splash and show Step 1
         hideSplash();
@@ -7,6 +7,7 @@ import { updateStepUI, showToast, scrollToTop } from './ui.js';
 import { initCalendar } from './calendar.js';
 import { initDetailsStep, validateDetailsStep } from './client-details.js';
 import { initReviewStep, submitBookingForm } from './payment.js';
+import { isGroupMode, validateGroup, renderGroupPanel } from './group.js';
 
 /**
  * Navigate to next step
@@ -84,6 +85,7 @@ async function initStep(step) {
   switch (step) {
     case 1:
       // Services already loaded on page load
+      renderGroupPanel();
       break;
       
     case 2:
@@ -94,6 +96,7 @@ async function initStep(step) {
     case 3:
       // Initialize details step
       initDetailsStep();
+      renderGroupPanel();
       break;
       
     case 4:
@@ -111,6 +114,12 @@ async function initStep(step) {
 export function validateCurrentStep(step) {
   switch (step) {
     case 1:
+      // Every attendee of a group needs services
+      if (isGroupMode()) {
+        const groupError = validateGroup();
+        if (groupError) showToast(groupError, true);
+        return !groupError;
+      }
       // Services must be selected
       if (bookingState.selectedServices.length === 0) {
         showToast('Please select at least one service', true);
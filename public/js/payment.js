@@ -3,11 +3,12 @@
 'use strict';
 
 import { bookingState, setStatePath, updateState } from './state.js';
-import { fetchCallOutFee, submitBooking } from './api.js';
-import { showToast, formatCurrency, formatDate, setLoading } from './ui.js';
-import { getSelectedServicesSummary, getTotalDuration } from './services.js';
-import { getSelectedDateTime } from './calendar.js';
+import { fetchCallOutFee, submitBooking, submitGroupBooking, submitSeriesBooking, checkPack, checkVoucher, checkPromo } from './api.js';
+import { showToast, escHtml, formatCurrency, formatDate, setLoading } from './ui.js';
+import { getSelectedServicesSummary, getTotalDuration, getServicesTotal } from './services.js';
+import { getSelectedDateTime, applyFreshAvailability } from './calendar.js';
 import { getClientSummary } from './client-details.js';
+import { isGroupMode, getGroupSummary, getGroupPayload } from './group.js';
 
 let callOutFeeTimer = null;
 
@@ -18,7 +19,8 @@ export async function initReviewStep() {
   // Calculate call-out fee
   await calculateCallOutFee();
   
-  // Render review summary
+  // Render review summary (totals first — an applied promo may no longer hold)
+  updatePricing();
   renderReviewSummary();
 }
 
@@ -63,21 +65,99 @@ export async function calculateCallOutFee() {
  * Update pricing calculations
  */
 function updatePricing() {
-  const servicesTotal = bookingState.servicesTotal || 0;
+  const servicesTotal = isGroupMode() ? getServicesTotal() : (bookingState.servicesTotal || 0);
   const callOutFee = bookingState.pricing.callOutFee || 0;
-  const totalAmount = servicesTotal + callOutFee;
+  const totalAmount = servicesTotal - getPromoDiscount() + callOutFee;
   
   setStatePath('pricing.totalAmount', totalAmount);
   
-  // Calculate deposit and balance
-  const depositPercent = bookingState.config.depositPercent || 50;
-  const depositAmount = Math.round((totalAmount * depositPercent / 100) * 100) / 100;
-  const balanceDue = Math.round((totalAmount - depositAmount) * 100) / 100;
+  // Deposit from each service's rule; a redeemed pack session is already paid for
+  const due = totalAmount - getPackCredit();
+  const depositAmount = calcDeposit().amount;
+  const balanceDue = Math.round((due - depositAmount) * 100) / 100;
   
   setStatePath('pricing.depositAmount', depositAmount);
   setStatePath('pricing.balanceDue', balanceDue);
 }
 
+/**
+ * Deposit rule text → { percent } or { fixed }, as the server reads the
+ * Services sheet: "50%", "R200" (fixed), "none", "full"; blank → null
+ */
+function parseDepositRule(v) {
+  const t = String(v || '').trim().toLowerCase();
+  if (!t) return null;
+  if (t === 'none') return { percent: 0 };
+  if (t === 'full') return { percent: 100 };
+  const n = parseFloat(t.replace(/[r%\s,]/g, ''));
+  if (!Number.isFinite(n) || n < 0) return null;
+  return t.endsWith('%') ? { percent: Math.min(n, 100) } : { fixed: n };
+}
+
+/**
+ * Plain-words rule for the review summary
+ */
+function describeRule(rule) {
+  if (rule.fixed !== undefined) return `${formatCurrency(rule.fixed)} fixed deposit`;
+  if (rule.percent === 0) return 'no deposit';
+  if (rule.percent === 100) return 'paid in full';
+  return `${rule.percent}% deposit`;
+}
+
+/**
+ * Deposit as each service's rule plus the call-out fee's rule — display only,
+ * the server works it out again from the Services sheet
+ * @returns {Object} - { amount, parts: [{ name, rule, amount }] }
+ */
+function calcDeposit() {
+  const fallback = { percent: bookingState.config.depositPercent || 50 };
+  const round = n => Math.round(n * 100) / 100;
+  const part = (name, price, text) => {
+    const rule = parseDepositRule(text) || fallback;
+    const amount = rule.fixed !== undefined ? Math.min(rule.fixed, price) : price * rule.percent / 100;
+    return { name, rule, amount: round(Math.max(0, amount)) };
+  };
+  
+  const services = isGroupMode()
+    ? bookingState.group.attendees.flatMap(a => a.services)
+    : bookingState.selectedServices;
+  
+  // Price still to pay per line: the pack session is free and the promo
+  // discount is shared across the lines it applies to
+  let packed = false;
+  const lines = services.map(s => {
+    const free = !packed && getPackCredit() > 0 && String(s.id) === String(bookingState.pack.serviceId);
+    if (free) packed = true;
+    return { name: s.name, id: String(s.id), price: free ? 0 : parseFloat(s.price || 0), deposit: s.deposit };
+  });
+  const discount = getPromoDiscount();
+  if (discount > 0) {
+    const eligible = lines.filter(l => bookingState.promo.eligible.includes(l.id) && l.price > 0);
+    const base = eligible.reduce((a, l) => a + l.price, 0);
+    let left = discount;
+    eligible.forEach((l, i) => {
+      const share = i === eligible.length - 1 ? left : round(discount * l.price / base);
+      l.price = round(Math.max(0, l.price - share));
+      left = round(left - share);
+    });
+  }
+  
+  const parts = lines.map(l => part(l.name, l.price, l.deposit));
+  const callOutFee = bookingState.pricing.callOutFee || 0;
+  if (callOutFee > 0) parts.push(part('Call-out fee', callOutFee, bookingState.config.callOutDeposit));
+  return { amount: round(parts.reduce((a, p) => a + p.amount, 0)), parts };
+}
+
+/**
+ * "50%" when every line follows the same percentage, otherwise "per service"
+ */
+function depositLabel() {
+  const rules = calcDeposit().parts.map(p => p.rule);
+  const first = rules[0];
+  const same = first && first.fixed === undefined && rules.every(r => r.fixed === undefined && r.percent === first.percent);
+  return same ? `${first.percent}%` : 'per service';
+}
+
 /**
  * Render review summary
  */
@@ -91,6 +171,7 @@ export function renderReviewSummary() {
   const pricing = bookingState.pricing;
   
   container.innerHTML = `
+    ${isGroupMode() ? renderGroupServices(time) : `
     <div class="review-section">
       <h3 class="review-section-title">Selected Services</h3>
       <div class="review-services-list">
@@ -106,6 +187,7 @@ export function renderReviewSummary() {
         <span>${formatCurrency(bookingState.servicesTotal)}</span>
       </div>
     </div>
+    `}
     
     <div class="review-section">
       <h3 class="review-section-title">Appointment Details</h3>
@@ -124,7 +206,7 @@ export function renderReviewSummary() {
     </div>
     
     <div class="review-section">
-      <h3 class="review-section-title">Your Details</h3>
+      <h3 class="review-section-title">${isGroupMode() ? 'Organiser Details' : 'Your Details'}</h3>
       <div class="review-detail">
         <span class="review-label">Name:</span>
         <span class="review-value">${client.name}</span>
@@ -143,14 +225,29 @@ export function renderReviewSummary() {
       </div>
     </div>
     
+    ${isGroupMode() || bookingState.pack.code ? '' : renderSeriesSection(date)}
+    
+    ${isGroupMode() || bookingState.series.enabled ? '' : renderPackSection()}
+    
+    ${isGroupMode() || bookingState.series.enabled ? '' : renderPromoSection()}
+    
+    ${isGroupMode() || bookingState.series.enabled ? '' : renderVoucherSection()}
+    
     <div class="review-section review-pricing">
       <h3 class="review-section-title">Pricing Breakdown</h3>
       
       <div class="review-price-row">
         <span>Services Total</span>
-        <span>${formatCurrency(bookingState.servicesTotal)}</span>
+        <span>${formatCurrency(isGroupMode() ? getServicesTotal() : bookingState.servicesTotal)}</span>
       </div>
       
+      ${getPromoDiscount() > 0 ? `
+        <div class="review-price-row">
+          <span>Promo ${escHtml(bookingState.promo.code)}${bookingState.promo.description ? ` <span class="text-muted">(${escHtml(bookingState.promo.description)})</span>` : ''}</span>
+          <span>−${formatCurrency(getPromoDiscount())}</span>
+        </div>
+      ` : ''}
+      
       ${pricing.callOutFee > 0 ? `
         <div class="review-price-row">
           <span>Call-Out Fee <span class="text-muted">(${pricing.roundTripKm} km)</span></span>
@@ -163,23 +260,444 @@ export function renderReviewSummary() {
         <span>${formatCurrency(pricing.totalAmount)}</span>
       </div>
       
+      ${getPackCredit() > 0 ? `
+        <div class="review-price-row">
+          <span>Prepaid Pack Session <span class="text-muted">(${escHtml(bookingState.pack.serviceName)})</span></span>
+          <span>−${formatCurrency(getPackCredit())}</span>
+        </div>
+      ` : ''}
+      
+      ${getVoucherDraw() > 0 ? `
+        <div class="review-price-row">
+          <span>${payingInFull() ? 'To Pay' : `Deposit <span class="text-muted">(${depositLabel()})</span>`}</span>
+          <span>${formatCurrency(getAmountDue() + getVoucherDraw())}</span>
+        </div>
+        <div class="review-price-row">
+          <span>Gift Voucher <span class="text-muted">(${escHtml(bookingState.voucher.code)})</span></span>
+          <span>−${formatCurrency(getVoucherDraw())}</span>
+        </div>
+      ` : ''}
+      
       <div class="review-price-row review-price-deposit">
-        <span>Deposit Due Now <span class="text-muted">(${bookingState.config.depositPercent}%)</span></span>
-        <span>${formatCurrency(pricing.depositAmount)}</span>
+        <span>${payingInFull() ? 'Paying in Full Now' : 'Deposit Due Now'} <span class="text-muted">(${getVoucherDraw() > 0 ? 'after voucher' : payingInFull() ? 'everything' : depositLabel()}${seriesUpfront() ? ` × ${bookingState.series.count} visits` : ''})</span></span>
+        <span>${formatCurrency(seriesUpfront() ? pricing.depositAmount * bookingState.series.count : getAmountDue())}</span>
       </div>
       
       <div class="review-price-row review-price-balance">
         <span>Balance Due on Service Day</span>
-        <span>${formatCurrency(pricing.balanceDue)}</span>
+        <span>${formatCurrency(payingInFull() ? 0 : pricing.balanceDue)}</span>
       </div>
     </div>
     
+    ${isGroupMode() || bookingState.series.enabled ? '' : renderPaymentOptionSection()}
+    
     <div class="review-note">
       <p>
-        <strong>Note:</strong> A ${bookingState.config.depositPercent}% deposit of ${formatCurrency(pricing.depositAmount)} 
-        is required to confirm your booking. The remaining balance of ${formatCurrency(pricing.balanceDue)} 
-        will be due on the day of your appointment.
+        <strong>Note:</strong> ${payingInFull()
+          ? `You're paying ${formatCurrency(getAmountDue())} now — there's nothing more to pay on the day.`
+          : `${pricing.depositAmount > 0
+              ? `A deposit of ${formatCurrency(pricing.depositAmount)} is required to confirm your booking.`
+              : 'No deposit is needed — your booking is confirmed as soon as you submit it.'}
+            The remaining balance of ${formatCurrency(pricing.balanceDue)} 
+            will be due on the day of your appointment.`}
       </p>
+      ${!payingInFull() && depositLabel() === 'per service' ? `
+        <ul class="review-deposit-rules">
+          ${calcDeposit().parts.map(p => `<li>${escHtml(p.name)}: ${describeRule(p.rule)} — ${formatCurrency(p.amount)}</li>`).join('')}
+        </ul>
+      ` : ''}
+      ${getVoucherDraw() > 0 ? `
+        <p>
+          Your voucher covers ${formatCurrency(getVoucherDraw())}${payingInFull() ? '' : ' of the deposit'}${bookingState.voucher.balance > getVoucherDraw() ? `, and the ${formatCurrency(bookingState.voucher.balance - getVoucherDraw())} left on it ${payingInFull() ? 'stays on the voucher' : 'will go towards the balance'}` : ''}.
+        </p>
+      ` : ''}
+    </div>
+  `;
+  
+  attachSeriesControls(container);
+  attachPackControls(container);
+  attachPromoControls(container);
+  attachVoucherControls(container);
+  attachPaymentOptionControls(container);
+}
+
+/**
+ * Whether the client chose to pay everything now (single bookings only)
+ */
+function payingInFull() {
+  return bookingState.payInFull && !isGroupMode() && !bookingState.series.enabled;
+}
+
+/**
+ * What the checkout will charge: the deposit, or the whole amount when paying
+ * in full — less whatever the gift voucher covers
+ * @returns {Number}
+ */
+function getAmountDue() {
+  const { depositAmount = 0, balanceDue = 0 } = bookingState.pricing;
+  const due = payingInFull() ? depositAmount + balanceDue : depositAmount;
+  return Math.round((due - getVoucherDraw()) * 100) / 100;
+}
+
+/**
+ * Deposit now and balance after the treatment, or everything now
+ */
+function renderPaymentOptionSection() {
+  const { depositAmount = 0, balanceDue = 0 } = bookingState.pricing;
+  if (balanceDue <= 0) return '';
+  
+  return `
+    <div class="review-section">
+      <h3 class="review-section-title">How would you like to pay?</h3>
+      <label class="review-detail">
+        <input type="radio" name="pay-option" value="deposit" ${payingInFull() ? '' : 'checked'}>
+        <span class="review-value">Deposit now (${formatCurrency(depositAmount)}), balance after your treatment</span>
+      </label>
+      <label class="review-detail">
+        <input type="radio" name="pay-option" value="full" ${payingInFull() ? 'checked' : ''}>
+        <span class="review-value">Pay in full now (${formatCurrency(depositAmount + balanceDue)}) — nothing to pay on the day</span>
+      </label>
+    </div>
+  `;
+}
+
+/**
+ * Wire up the pay-in-full choice rendered by renderPaymentOptionSection
+ * @param {HTMLElement} container
+ */
+function attachPaymentOptionControls(container) {
+  container.querySelectorAll('input[name="pay-option"]').forEach(input => {
+    input.addEventListener('change', () => {
+      bookingState.payInFull = input.value === 'full';
+      renderReviewSummary();
+    });
+  });
+}
+
+/**
+ * Price of the selected service a redeemed pack session covers
+ * @returns {Number}
+ */
+function getPackCredit() {
+  const pack = bookingState.pack;
+  if (!pack.code || isGroupMode() || bookingState.series.enabled) return 0;
+  const service = bookingState.selectedServices.find(s => String(s.id) === String(pack.serviceId));
+  return service ? parseFloat(service.price || 0) : 0;
+}
+
+/**
+ * "Have a treatment pack?" — code entry, or the applied pack
+ */
+function renderPackSection() {
+  const pack = bookingState.pack;
+  
+  return `
+    <div class="review-section">
+      <h3 class="review-section-title">Treatment Pack</h3>
+      ${pack.code ? `
+        <div class="review-detail">
+          <span class="review-label">${escHtml(pack.code)}:</span>
+          <span class="review-value">${escHtml(pack.serviceName)} · ${pack.remaining} session${pack.remaining === 1 ? '' : 's'} left</span>
+        </div>
+        ${getPackCredit() ? '' : `<p class="text-muted">Add ${escHtml(pack.serviceName)} to your booking to use this pack.</p>`}
+        <button type="button" class="group-add" data-pack-remove>Don't use my pack</button>
+      ` : `
+        <div class="review-detail">
+          <input type="text" data-pack-code placeholder="Pack code, e.g. PP-1A2B3C4D5E" autocomplete="off">
+          <button type="button" class="group-add" data-pack-apply>Use pack</button>
+        </div>
+      `}
+    </div>
+  `;
+}
+
+/**
+ * Wire up the pack controls rendered by renderPackSection
+ * @param {HTMLElement} container
+ */
+function attachPackControls(container) {
+  container.querySelector('[data-pack-apply]')?.addEventListener('click', async () => {
+    const code = container.querySelector('[data-pack-code]').value.trim().toUpperCase();
+    if (!code) return;
+    try {
+      const pack = await checkPack(code, bookingState.client.email);
+      bookingState.pack = { code: pack.code, serviceId: pack.serviceId, serviceName: pack.serviceName, remaining: pack.remaining };
+      showToast(`${pack.packName} applied`);
+    } catch (error) {
+      showToast(error.message, true);
+      return;
+    }
+    updatePricing();
+    renderReviewSummary();
+  });
+  container.querySelector('[data-pack-remove]')?.addEventListener('click', () => {
+    bookingState.pack = { code: '', serviceId: '', serviceName: '', remaining: 0 };
+    updatePricing();
+    renderReviewSummary();
+  });
+}
+
+// What the promo was checked against; the discount no longer holds once this changes
+function promoKey() {
+  const ids = bookingState.selectedServices.map(s => s.id).join(',');
+  return `${ids}|${getPackCredit() > 0 ? bookingState.pack.serviceId : ''}`;
+}
+
+/**
+ * Discount from the applied promo code
+ * @returns {Number}
+ */
+function getPromoDiscount() {
+  const promo = bookingState.promo;
+  if (!promo.code || isGroupMode() || bookingState.series.enabled || promo.key !== promoKey()) return 0;
+  return promo.discount;
+}
+
+/**
+ * "Have a promo code?" — code entry, or the applied code
+ */
+function renderPromoSection() {
+  const promo = bookingState.promo;
+  const stale = promo.code && !getPromoDiscount();
+  
+  return `
+    <div class="review-section">
+      <h3 class="review-section-title">Promo Code</h3>
+      ${promo.code && !stale ? `
+        <div class="review-detail">
+          <span class="review-label">${escHtml(promo.code)}:</span>
+          <span class="review-value">−${formatCurrency(promo.discount)}${promo.description ? ` · ${escHtml(promo.description)}` : ''}</span>
+        </div>
+        <button type="button" class="group-add" data-promo-remove>Remove code</button>
+      ` : `
+        ${stale ? `<p class="text-muted">Your booking changed — apply ${escHtml(promo.code)} again to check it still qualifies.</p>` : ''}
+        <div class="review-detail">
+          <input type="text" data-promo-code placeholder="Promo code" autocomplete="off" value="${escHtml(promo.code)}">
+          <button type="button" class="group-add" data-promo-apply>Apply</button>
+        </div>
+      `}
+    </div>
+  `;
+}
+
+/**
+ * Wire up the promo controls rendered by renderPromoSection
+ * @param {HTMLElement} container
+ */
+function attachPromoControls(container) {
+  container.querySelector('[data-promo-apply]')?.addEventListener('click', async () => {
+    const code = container.querySelector('[data-promo-code]').value.trim().toUpperCase();
+    if (!code) return;
+    try {
+      const promo = await checkPromo({
+        code,
+        services: bookingState.selectedServices.map(s => s.id),
+        email: bookingState.client.email,
+        phone: bookingState.client.phone,
+        packServiceId: getPackCredit() > 0 ? bookingState.pack.serviceId : '',
+      });
+      bookingState.promo = { code: promo.code, description: promo.description, discount: promo.discount, eligible: promo.eligible, key: promoKey() };
+      showToast(`${promo.code} applied — ${formatCurrency(promo.discount)} off`);
+    } catch (error) {
+      showToast(error.message, true);
+      return;
+    }
+    updatePricing();
+    renderReviewSummary();
+  });
+  container.querySelector('[data-promo-remove]')?.addEventListener('click', () => {
+    bookingState.promo = { code: '', description: '', discount: 0, eligible: [], key: '' };
+    updatePricing();
+    renderReviewSummary();
+  });
+}
+
+/**
+ * Part of the deposit (or of everything, when paying in full) the applied
+ * gift voucher pays
+ * @returns {Number}
+ */
+function getVoucherDraw() {
+  const voucher = bookingState.voucher;
+  if (!voucher.code || isGroupMode() || bookingState.series.enabled) return 0;
+  const { depositAmount = 0, balanceDue = 0 } = bookingState.pricing;
+  const payable = payingInFull() ? depositAmount + balanceDue : depositAmount;
+  return Math.round(Math.min(voucher.balance, payable) * 100) / 100;
+}
+
+/**
+ * "Have a gift voucher?" — code entry, or the applied voucher
+ */
+function renderVoucherSection() {
+  const voucher = bookingState.voucher;
+  
+  return `
+    <div class="review-section">
+      <h3 class="review-section-title">Gift Voucher</h3>
+      ${voucher.code ? `
+        <div class="review-detail">
+          <span class="review-label">${escHtml(voucher.code)}:</span>
+          <span class="review-value">${formatCurrency(voucher.balance)} available</span>
+        </div>
+        <button type="button" class="group-add" data-voucher-remove>Remove voucher</button>
+      ` : `
+        <div class="review-detail">
+          <input type="text" data-voucher-code placeholder="Voucher code, e.g. GV-1A2B3C4D5E" autocomplete="off">
+          <button type="button" class="group-add" data-voucher-apply>Apply</button>
+        </div>
+      `}
+    </div>
+  `;
+}
+
+/**
+ * Wire up the voucher controls rendered by renderVoucherSection
+ * @param {HTMLElement} container
+ */
+function attachVoucherControls(container) {
+  container.querySelector('[data-voucher-apply]')?.addEventListener('click', async () => {
+    const code = container.querySelector('[data-voucher-code]').value.trim().toUpperCase();
+    if (!code) return;
+    try {
+      const voucher = await checkVoucher(code);
+      bookingState.voucher = { code: voucher.code, balance: voucher.balance };
+      showToast(`Voucher applied — ${formatCurrency(voucher.balance)} available`);
+    } catch (error) {
+      showToast(error.message, true);
+      return;
+    }
+    renderReviewSummary();
+  });
+  container.querySelector('[data-voucher-remove]')?.addEventListener('click', () => {
+    bookingState.voucher = { code: '', balance: 0 };
+    renderReviewSummary();
+  });
+}
+
+/**
+ * @returns {Boolean} - Whether a series is being booked with every deposit paid now
+ */
+function seriesUpfront() {
+  const series = bookingState.series;
+  return !isGroupMode() && series.enabled && series.deposit === 'upfront';
+}
+
+/**
+ * Visit dates of the series, same weekday every N weeks
+ * @param {String} date - First visit (YYYY-MM-DD)
+ * @returns {Array<String>}
+ */
+function seriesVisitDates(date) {
+  const { everyWeeks, count } = bookingState.series;
+  const [y, m, d] = String(date || '').split('-').map(Number);
+  if (!y) return [];
+  const pad = n => String(n).padStart(2, '0');
+  return Array.from({ length: count }, (_, i) => {
+    const dt = new Date(y, m - 1, d + i * everyWeeks * 7);
+    return `${dt.getFullYear()}-${pad(dt.getMonth() + 1)}-${pad(dt.getDate())}`;
+  });
+}
+
+/**
+ * "Make it a regular booking" — every N weeks, M visits, deposits per visit or up front
+ * @param {String} date - First visit (YYYY-MM-DD)
+ */
+function renderSeriesSection(date) {
+  const series = bookingState.series;
+  const option = (value, current, label) => `<option value="${value}" ${value === current ? 'selected' : ''}>${label}</option>`;
+  
+  return `
+    <div class="review-section">
+      <h3 class="review-section-title">Regular Appointments</h3>
+      <label class="group-toggle">
+        <input type="checkbox" data-series-toggle ${series.enabled ? 'checked' : ''}>
+        <span>Repeat this booking (ideal for waxing and lash fills)</span>
+      </label>
+      ${series.enabled ? `
+        <div class="review-detail">
+          <span class="review-label">Every:</span>
+          <select data-series="everyWeeks">
+            ${[2, 3, 4, 5, 6, 8].map(w => option(w, series.everyWeeks, `${w} weeks`)).join('')}
+          </select>
+        </div>
+        <div class="review-detail">
+          <span class="review-label">Visits:</span>
+          <select data-series="count">
+            ${[2, 3, 4, 5, 6, 8, 10, 12].map(n => option(n, series.count, `${n} visits`)).join('')}
+          </select>
+        </div>
+        <div class="review-detail">
+          <span class="review-label">Deposits:</span>
+          <select data-series="deposit">
+            ${option('each', series.deposit, 'Pay each visit\'s deposit before it')}
+            ${option('upfront', series.deposit, 'Pay all deposits now')}
+          </select>
+        </div>
+        <p class="text-muted">
+          ${seriesVisitDates(date).map(d => escHtml(formatDate(d))).join(' · ')}
+        </p>
+        <p class="text-muted">Prices below are per visit. Each visit can be moved or cancelled on its own.</p>
+      ` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Wire up the series controls rendered by renderSeriesSection
+ * @param {HTMLElement} container
+ */
+function attachSeriesControls(container) {
+  const series = bookingState.series;
+  container.querySelector('[data-series-toggle]')?.addEventListener('change', e => {
+    series.enabled = e.target.checked;
+    renderReviewSummary();
+  });
+  container.querySelectorAll('[data-series]').forEach(select => {
+    select.addEventListener('change', () => {
+      const key = select.dataset.series;
+      series[key] = key === 'deposit' ? select.value : Number(select.value);
+      renderReviewSummary();
+    });
+  });
+}
+
+/**
+ * Group review: each attendee's services in their back-to-back block
+ * @param {String} time - Selected slot "HH:MM-HH:MM"
+ */
+function renderGroupServices(time) {
+  const summary = getGroupSummary();
+  const [h, m] = String(time || '').split('-')[0].split(':').map(Number);
+  const pad = n => String(n).padStart(2, '0');
+  const clock = mins => `${pad(Math.floor(mins / 60) % 24)}:${pad(mins % 60)}`;
+  let at = (h || 0) * 60 + (m || 0);
+  
+  return `
+    <div class="review-section">
+      <h3 class="review-section-title">Group — ${summary.attendees.length} People</h3>
+      ${summary.attendees.map(a => {
+        const block = `${clock(at)}-${clock(at + a.duration)}`;
+        at += a.duration;
+        return `
+          <div class="review-services-list">
+            <div class="review-service-item">
+              <strong class="review-service-name">${escHtml(a.name)}</strong>
+              <span class="review-service-price">${time ? block : ''}</span>
+            </div>
+            ${a.services.map(s => `
+              <div class="review-service-item">
+                <span class="review-service-name">${s.name}</span>
+                <span class="review-service-price">${formatCurrency(s.price)}</span>
+              </div>
+            `).join('')}
+          </div>
+        `;
+      }).join('')}
+      <div class="review-subtotal">
+        <span>Services Subtotal</span>
+        <span>${formatCurrency(summary.servicesTotal)}</span>
+      </div>
+      <p class="text-muted">One address, one call-out fee and one deposit for the whole group.</p>
     </div>
   `;
 }
@@ -226,13 +744,61 @@ export async function submitBookingForm() {
       
       // Source tracking
       source: 'web-booking',
+      
+      // Booked from a waitlist offer email
+      waitlistToken: bookingState.waitlist.token || undefined,
+      
+      // Prepaid pack session to redeem
+      packCode: getPackCredit() > 0 ? bookingState.pack.code : undefined,
+      
+      // Promo code — re-checked by the server before the discount is applied
+      promoCode: getPromoDiscount() > 0 ? bookingState.promo.code : undefined,
+      
+      // Gift voucher towards the deposit (and later the balance)
+      voucherCode: getVoucherDraw() > 0 ? bookingState.voucher.code : undefined,
+      
+      // Charge the balance with the deposit
+      payInFull: payingInFull() || undefined,
     };
     
-    const result = await submitBooking(bookingData);
+    // Group mode: one organiser, the attendees carry their own services and consultations
+    const seriesMode = !isGroupMode() && bookingState.series.enabled;
+    const result = seriesMode
+      ? await submitSeriesBooking({
+          ...bookingData,
+          series: {
+            everyWeeks: bookingState.series.everyWeeks,
+            count: bookingState.series.count,
+            deposit: bookingState.series.deposit,
+          },
+        })
+      : isGroupMode()
+      ? await submitGroupBooking({
+          name: bookingData.name,
+          email: bookingData.email,
+          phone: bookingData.phone,
+          address: bookingData.address,
+          date: bookingData.date,
+          time: bookingData.time,
+          attendees: getGroupPayload(),
+          callOutFee: bookingData.callOutFee,
+          oneWayKm: bookingData.oneWayKm,
+          roundTripKm: bookingData.roundTripKm,
+          source: 'web-booking-group',
+        })
+      : await submitBooking(bookingData);
     
     if (result.success) {
-      // Store booking ID
+      // Store booking ID and the server's pricing (the browser's figures are display-only)
       setStatePath('bookingId', result.bookingId);
+      if (result.groupId) setStatePath('groupId', result.groupId);
+      if (result.seriesId) setStatePath('seriesId', result.seriesId);
+      if (result.totalAmount !== undefined) {
+        setStatePath('pricing.callOutFee', result.callOutFee);
+        setStatePath('pricing.totalAmount', result.totalAmount);
+        setStatePath('pricing.depositAmount', result.depositAmount);
+        setStatePath('pricing.balanceDue', result.balanceDue);
+      }
       
       if (result.paymentUrl) {
         // Redirect to payment
@@ -244,6 +810,8 @@ export async function submitBookingForm() {
         // No payment needed or error
         if (result.paymentError) {
           showToast(result.paymentError, true);
+        } else if (result.confirmed) {
+          showToast('Booking confirmed — nothing to pay now!');
         } else {
           showToast('Booking created! We will contact you shortly.');
         }
@@ -260,6 +828,23 @@ export async function submitBookingForm() {
     
   } catch (error) {
     setLoading(false);
+    
+    if (error.code === 'SLOT_TAKEN') {
+      // Someone else got the slot first — refresh the calendar and send the client back to pick again
+      applyFreshAvailability(error.alternatives || {});
+      setStatePath('calendar.selectedTime', '');
+      showToast(error.message, true);
+      const { goToStep } = await import('./navigation.js');
+      goToStep(2);
+      return;
+    }
+    
+    if (error.code === 'SERIES_CLASH') {
+      // Some visits clash — the client can change the pattern here or pick another start
+      showToast(error.message, true);
+      return;
+    }
+    
     showToast(error.message || 'Failed to submit booking. Please try again.', true);
   }
 }
@@ -60,7 +60,7 @@ function renderCategoryChips() {
 /**
  * Render service cards
  */
-function renderServices() {
+export function renderServices() {
   const container = document.getElementById('services-list');
   if (!container) return;
   
@@ -166,7 +166,9 @@ export function toggleService(serviceId) {
 export function removeServiceFromCart(serviceId) {
   if (!bookingState.selectedServices) return;
   
-  bookingState.selectedServices = bookingState.selectedServices.filter(s => s.id !== serviceId);
+  // Remove in place — in group mode this array is also the active attendee's
+  const idx = bookingState.selectedServices.findIndex(s => s.id === serviceId);
+  if (idx > -1) bookingState.selectedServices.splice(idx, 1);
   renderServices();
   updateCart();
   updateNextBtn();
@@ -243,20 +245,30 @@ export function getSelectedServicesSummary() {
     .join(', ') || 'No services selected';
 }
 
+/**
+ * Services being booked — every attendee's in group mode
+ */
+function allSelectedServices() {
+  if (bookingState.group?.enabled) {
+    return bookingState.group.attendees.flatMap(a => a.services);
+  }
+  return bookingState.selectedServices || [];
+}
+
 /**
  * Get total price of selected services
  */
 export function getServicesTotal() {
-  return (bookingState.selectedServices || []).reduce((sum, s) => {
+  return allSelectedServices().reduce((sum, s) => {
     return sum + parseFloat(s.price || 0);
   }, 0);
 }
 
 /**
- * Get total duration of selected services
+ * Get total duration of selected services (group attendees run back to back)
  */
 export function getTotalDuration() {
-  return (bookingState.selectedServices || []).reduce((sum, s) => {
+  return allSelectedServices().reduce((sum, s) => {
     return sum + parseInt(s.duration || 0);
   }, 0);
 }
@@ -51,6 +51,53 @@ export const bookingState = {
     balanceDue: 0,
   },
   
+  // Group booking — one organiser, several attendees (see group.js)
+  group: {
+    enabled: false,
+    active: 0,       // Attendee whose services/consultation are being edited
+    attendees: [],   // [{ name, services, divaType, safety }]
+  },
+  
+  // Recurring series — same treatment every N weeks (see payment.js)
+  series: {
+    enabled: false,
+    everyWeeks: 4,
+    count: 6,
+    deposit: 'each',  // 'each' (per visit) or 'upfront'
+  },
+  
+  // Prepaid pack session being redeemed (code from the purchase email)
+  pack: {
+    code: '',
+    serviceId: '',
+    serviceName: '',
+    remaining: 0,
+  },
+  
+  // Promo code checked against these services (key) — stale once they change
+  promo: {
+    code: '',
+    description: '',
+    discount: 0,
+    eligible: [],
+    key: '',
+  },
+  
+  // Pay the whole total now instead of a deposit (single bookings only)
+  payInFull: false,
+  
+  // Gift voucher paying towards this booking
+  voucher: {
+    code: '',
+    balance: 0,
+  },
+  
+  // Waitlist offer the client arrived from (?waitlist= link, see waitlist.js)
+  waitlist: {
+    token: '',
+    date: '',
+  },
+  
   // UI state
   ui: {
     addressConfirmed: false,
@@ -60,6 +107,7 @@ export const bookingState = {
   // App config (from /api?action=getConfig)
   config: {
     depositPercent: 50,
+    callOutDeposit: '',    // Deposit rule for the call-out fee (blank = depositPercent)
     googleMapsApiKey: '',  // Not used client-side anymore
     appBaseUrl: '',
     googleReviewUrl: '',
@@ -184,6 +232,14 @@ export function resetState() {
     balanceDue: 0,
   };
   
+  bookingState.group = { enabled: false, active: 0, attendees: [] };
+  bookingState.series = { enabled: false, everyWeeks: 4, count: 6, deposit: 'each' };
+  bookingState.pack = { code: '', serviceId: '', serviceName: '', remaining: 0 };
+  bookingState.promo = { code: '', description: '', discount: 0, eligible: [], key: '' };
+  bookingState.voucher = { code: '', balance: 0 };
+  bookingState.payInFull = false;
+  bookingState.waitlist = { token: '', date: '' };
+  
   bookingState.ui.addressConfirmed = false;
   bookingState.ui.isLoading = false;
   
@@ -215,6 +271,9 @@ export function setCurrentStep(step) {
 export function isStepValid(step) {
   switch (step) {
     case 1:
+      if (bookingState.group.enabled) {
+        return bookingState.group.attendees.every(a => a.services.length > 0);
+      }
       return bookingState.selectedServices.length > 0;
     case 2:
       return bookingState.calendar.selectedDate && bookingState.calendar.selectedTime;
@@ -145,7 +145,9 @@ export function updateNextBtn() {
   
   switch (step) {
     case 1:
-      canProceed = (bookingState.selectedServices || []).length > 0;
+      canProceed = bookingState.group?.enabled
+        ? bookingState.group.attendees.every(a => a.services.length > 0)
+        : (bookingState.selectedServices || []).length > 0;
       break;
       
     case 2:
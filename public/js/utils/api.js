@@ -171,10 +171,11 @@ class BookingAPI extends APIClient {
   /**
    * Get month availability
    * @param {string} monthKey - Month key (YYYY-MM)
+   * @param {number} duration - Total treatment length in minutes (0 = slot length)
    * @returns {Promise<object>}
    */
-  async getMonthAvailability(monthKey) {
-    return this.get('', { action: 'getMonthAvailability', month: monthKey });
+  async getMonthAvailability(monthKey, duration = 0) {
+    return this.get('', { action: 'getMonthAvailability', month: monthKey, duration });
   }
   
   /**
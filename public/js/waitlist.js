@@ -0,0 +1,115 @@
+// public/js/waitlist.js — Waitlist for fully booked dates
+// Clicking a fully booked day offers a join form in place of the time slots.
+// When a slot opens the server emails a ?waitlist=<token> link; that link
+// lands here and preselects the client's services, details and date.
+'use strict';
+
+import { bookingState } from './state.js';
+import { joinWaitlist, fetchWaitlistOffer } from './api.js';
+import { renderServices, updateCart } from './services.js';
+import { showToast, escHtml, formatDate, updateNextBtn } from './ui.js';
+
+/**
+ * Show the join form for a fully booked date in the time-slot area
+ * @param {String} dateStr - Date string (YYYY-MM-DD)
+ */
+export function renderWaitlistForm(dateStr) {
+  const container = document.getElementById('time-slots');
+  if (!container) return;
+
+  if (bookingState.group?.enabled) {
+    container.innerHTML = `<p class="no-slots">${escHtml(formatDate(dateStr))} is fully booked. For group bookings please contact us and we'll try to fit you in.</p>`;
+    return;
+  }
+
+  if (!bookingState.selectedServices.length) {
+    container.innerHTML = '<p class="no-slots">Choose your services first, then you can join the waitlist for this date.</p>';
+    return;
+  }
+
+  const client = bookingState.client;
+  container.innerHTML = `
+    <form class="waitlist-form" novalidate>
+      <div class="time-slots-header">
+        <h4>Fully booked</h4>
+      </div>
+      <p>${escHtml(formatDate(dateStr))} is full. Join the waitlist and we'll email you a booking link as soon as a slot opens up — first to book gets it.</p>
+      <input name="name" placeholder="Full name" autocomplete="name" value="${escHtml(client.name)}">
+      <input name="email" type="email" placeholder="Email" autocomplete="email" value="${escHtml(client.email)}">
+      <input name="phone" type="tel" placeholder="Phone (optional)" autocomplete="tel" value="${escHtml(client.phone)}">
+      <label>Any day from ${escHtml(formatDate(dateStr))} until
+        <input name="dateTo" type="date" min="${dateStr}" value="${dateStr}">
+      </label>
+      <button type="submit">Join the waitlist</button>
+    </form>
+  `;
+
+  const form = container.querySelector('form');
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const button = form.querySelector('button');
+    button.disabled = true;
+    try {
+      await joinWaitlist({
+        name: form.name.value.trim(),
+        email: form.email.value.trim(),
+        phone: form.phone.value.trim(),
+        dateFrom: dateStr,
+        dateTo: form.dateTo.value || dateStr,
+        services: bookingState.selectedServices.map(s => s.id),
+      });
+      container.innerHTML = `<p class="no-slots">You're on the waitlist for ${escHtml(formatDate(dateStr))}. We'll email you if a slot opens up.</p>`;
+      showToast("You're on the waitlist!");
+    } catch (error) {
+      showToast(error.message, true);
+      button.disabled = false;
+    }
+  });
+}
+
+/**
+ * Apply a ?waitlist=<token> offer link: preselect the services, contact
+ * details and date. Call after services are loaded and before the calendar
+ * first renders.
+ * @returns {Promise<Boolean>} - Whether an offer was applied
+ */
+export async function applyWaitlistOffer() {
+  const params = new URLSearchParams(window.location.search);
+  const token = params.get('waitlist');
+  if (!token) return false;
+
+  // Drop the token from the address bar either way
+  params.delete('waitlist');
+  const query = params.toString();
+  window.history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : ''));
+
+  try {
+    const offer = await fetchWaitlistOffer(token);
+
+    bookingState.selectedServices.splice(0);
+    offer.services.forEach(id => {
+      const service = bookingState.services.find(s => String(s.id) === String(id));
+      if (service) bookingState.selectedServices.push(service);
+    });
+
+    bookingState.client.name = bookingState.client.name || offer.name;
+    bookingState.client.email = bookingState.client.email || offer.email;
+    bookingState.client.phone = bookingState.client.phone || offer.phone;
+
+    const [year, month] = offer.date.split('-').map(Number);
+    bookingState.calendar.year = year;
+    bookingState.calendar.month = month;
+    bookingState.calendar.selectedDate = offer.date;
+    bookingState.calendar.selectedTime = '';
+    bookingState.waitlist = { token, date: offer.date };
+
+    renderServices();
+    updateCart();
+    updateNextBtn();
+    showToast(`A slot opened on ${formatDate(offer.date)} — pick a time to book it`);
+    return true;
+  } catch (error) {
+    showToast(error.message, true);
+    return false;
+  }
+}
@@ -0,0 +1,578 @@
+// tests/lib.test.js — Server library unit tests (no Google access needed)
+'use strict';
+
+const { describe, it } = require('mocha');
+const { expect } = require('chai');
+
+const {
+  fitSlots, bookedIntervals, openSlots, parseDateKey, slotsForDate, bookingLimits, limitError,
+} = require('../api/lib/availability');
+
+// Minimal stand-in for a google-spreadsheet row
+const row = (data) => ({ get: (k) => data[k] });
+
+describe('Availability', () => {
+  const day = ['09:00-10:00', '10:00-11:00', '11:00-12:00', '12:00-13:00'];
+
+  describe('fitSlots', () => {
+    it('should keep slot length when no duration is given', () => {
+      expect(fitSlots(day)).to.deep.equal(day);
+    });
+
+    it('should only offer starts where the whole treatment fits', () => {
+      expect(fitSlots(day, [], 180)).to.deep.equal(['09:00-12:00', '10:00-13:00']);
+    });
+
+    it('should block every start that overlaps a booking', () => {
+      const busy = [{ start: 9 * 60, end: 12 * 60 }];
+      expect(fitSlots(day, busy, 60)).to.deep.equal(['12:00-13:00']);
+    });
+
+    it('should not bridge a gap between working windows', () => {
+      expect(fitSlots(['09:00-10:00', '14:00-15:00'], [], 120)).to.be.empty;
+    });
+  });
+
+  describe('bookedIntervals', () => {
+    it('should use the stored service duration over the time range', () => {
+      const busy = bookedIntervals([
+        row({ 'Booking ID': 'PB-1', 'Date': '2026-12-01', 'Time': '09:00-10:00', 'Service Duration (min)': '180', 'Deposit Status': 'Confirmed' }),
+        row({ 'Booking ID': 'PB-2', 'Date': '2026-12-01', 'Time': '14:00-15:00', 'Deposit Status': 'Cancelled' }),
+      ]);
+      expect(busy['2026-12-01']).to.deep.equal([{ start: 540, end: 720, bookingId: 'PB-1' }]);
+    });
+  });
+
+  describe('date overrides', () => {
+    it('should parse single dates and ranges', () => {
+      expect(parseDateKey('2026-12-24')).to.deep.equal({ from: '2026-12-24', to: '2026-12-24' });
+      expect(parseDateKey('2026-12-24 to 2027-01-02')).to.deep.equal({ from: '2026-12-24', to: '2027-01-02' });
+      expect(parseDateKey('Monday')).to.be.null;
+      expect(parseDateKey('2026-13-45')).to.be.null;
+      expect(parseDateKey('2026-02-29 to 2026-03-02')).to.be.null;
+      expect(parseDateKey('2028-02-29')).to.deep.equal({ from: '2028-02-29', to: '2028-02-29' });
+    });
+
+    it('should add YES slots and remove NO slots on top of the template', () => {
+      const overrides = [
+        { from: '2026-12-24', to: '2026-12-24', slot: '17:00-18:00', available: true },
+        { from: '2026-12-24', to: '2026-12-24', slot: '09:00-10:00', available: false },
+      ];
+      expect(slotsForDate('2026-12-24', day, overrides)).to.deep.equal(
+        ['10:00-11:00', '11:00-12:00', '12:00-13:00', '17:00-18:00']);
+    });
+
+    it('should block the whole day inside a blackout range', () => {
+      const overrides = [{ from: '2026-12-20', to: '2026-12-31', slot: '', available: false }];
+      expect(slotsForDate('2026-12-24', day, overrides)).to.be.empty;
+      expect(slotsForDate('2027-01-01', day, overrides)).to.deep.equal(day);
+    });
+  });
+
+  describe('booking limits', () => {
+    const now = { dateStr: '2026-12-01', mins: 22 * 60 };
+
+    it('should roll minimum notice over into the next day', () => {
+      const limits = bookingLimits({ min_notice_hours: '12' }, now);
+      expect(limits.earliest).to.deep.equal({ dateStr: '2026-12-02', mins: 10 * 60 });
+      expect(limitError(limits, '2026-12-02', 9 * 60)).to.include('too soon');
+      expect(limitError(limits, '2026-12-02', 11 * 60)).to.equal('');
+    });
+
+    it('should accept a start exactly at the minimum notice', () => {
+      const limits = bookingLimits({ min_notice_hours: '12' }, now);
+      expect(limitError(limits, '2026-12-02', 10 * 60 - 1)).to.include('too soon');
+      expect(limitError(limits, '2026-12-02', 10 * 60)).to.equal('');
+      const avRows = day.map(t => row({ 'Weekday/Date': 'Wednesday', 'Time Slot': t, 'Available (YES/NO)': 'YES' }));
+      expect(openSlots({ avRows, bookingRows: [], from: '2026-12-02', to: '2026-12-02', now, limits }))
+        .to.deep.equal({ '2026-12-02': ['10:00-11:00', '11:00-12:00', '12:00-13:00'] });
+    });
+
+    it('should reject dates beyond the maximum advance window', () => {
+      const limits = bookingLimits({ max_advance_days: '60' }, now);
+      expect(limits.latestDate).to.equal('2027-01-30');
+      expect(limitError(limits, '2027-01-31', 9 * 60)).to.include('too far ahead');
+    });
+  });
+
+  describe('backToBack', () => {
+    it('should chain group blocks from one start time', () => {
+      const { backToBack } = require('../api/lib/availability');
+      expect(backToBack(9 * 60, [60, 90, 30])).to.deep.equal([
+        { start: 540, end: 600 }, { start: 600, end: 690 }, { start: 690, end: 720 },
+      ]);
+    });
+  });
+
+  describe('seriesDates', () => {
+    it('should repeat on the same weekday across month and year ends', () => {
+      const { seriesDates } = require('../api/lib/availability');
+      expect(seriesDates('2026-11-24', 4, 3)).to.deep.equal(['2026-11-24', '2026-12-22', '2027-01-19']);
+      expect(seriesDates('2026-03-02', 6, 1)).to.deep.equal(['2026-03-02']);
+    });
+  });
+
+  describe('openSlots', () => {
+    it('should leave 10:00 and 11:00 closed behind a 3-hour booking', () => {
+      const avRows = day.map(t => row({ 'Weekday/Date': 'Tuesday', 'Time Slot': t, 'Available (YES/NO)': 'YES' }));
+      const bookingRows = [
+        row({ 'Booking ID': 'PB-1', 'Date': '2026-12-01', 'Time': '09:00-10:00', 'Service Duration (min)': '180', 'Deposit Status': 'Confirmed' }),
+      ];
+      const res = openSlots({
+        avRows, bookingRows, from: '2026-12-01', to: '2026-12-01', duration: 60,
+        now: { dateStr: '2026-11-01', mins: 0 },
+      });
+      expect(res).to.deep.equal({ '2026-12-01': ['12:00-13:00'] });
+    });
+  });
+});
+
+describe('withLock', () => {
+  const { withLock } = require('../api/lib/lock');
+  const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+  it('should run same-key work one at a time', async () => {
+    const log = [];
+    await Promise.all([1, 2].map(i => withLock('book:2026-12-01', async () => {
+      log.push(`start ${i}`);
+      await sleep(5);
+      log.push(`end ${i}`);
+    })));
+    expect(log).to.deep.equal(['start 1', 'end 1', 'start 2', 'end 2']);
+  });
+
+  it('should release the lock when the work throws', async () => {
+    await withLock('k', async () => { throw new Error('boom'); }).catch(() => {});
+    expect(await withLock('k', async () => 'ok')).to.equal('ok');
+  });
+});
+
+describe('Pricing', () => {
+  const { priceServices } = require('../api/lib/pricing');
+  const catalogue = [
+    { id: 'LASH-1', name: 'Classic Lash Set', price: 450, duration: 120, category: 'Lashes' },
+    { id: 'BROW-1', name: 'Brow Tint', price: 120.5, duration: 30, category: 'Brows' },
+  ];
+
+  it('should price from the catalogue and ignore client prices', () => {
+    const priced = priceServices(catalogue, [{ id: 'LASH-1', price: 2 }, 'BROW-1']);
+    expect(priced.total).to.equal(570.5);
+    expect(priced.minutes).to.equal(150);
+    expect(priced.names).to.equal('Classic Lash Set, Brow Tint');
+    expect(priced.unknown).to.be.empty;
+  });
+
+  it('should report unknown or inactive IDs', () => {
+    expect(priceServices(catalogue, [{ id: 'GONE' }]).unknown).to.deep.equal(['GONE']);
+  });
+
+  it('should count a repeated ID once', () => {
+    expect(priceServices(catalogue, ['BROW-1', 'BROW-1']).lines).to.have.lengthOf(1);
+  });
+});
+
+describe('Deposit rules', () => {
+  const { parseDepositRule, calcDeposit, netLines } = require('../api/lib/pricing');
+
+  it('should read percentages, fixed amounts, none and full', () => {
+    expect(parseDepositRule('30%')).to.deep.equal({ percent: 30 });
+    expect(parseDepositRule('R200')).to.deep.equal({ fixed: 200 });
+    expect(parseDepositRule('None')).to.deep.equal({ percent: 0 });
+    expect(parseDepositRule('full')).to.deep.equal({ percent: 100 });
+    expect(parseDepositRule('')).to.equal(null);
+  });
+
+  it('should sum each service rule and the call-out rule', () => {
+    const lines = [
+      { name: 'Brow Tint', price: 120, deposit: 'none' },
+      { name: 'Bridal Trial', price: 900, deposit: 'full' },
+      { name: 'Lash Lift', price: 150, deposit: 'R200' },
+      { name: 'Gel Nails', price: 300, deposit: '' },
+    ];
+    const deposit = calcDeposit(lines, 100, { defaultPct: '50', callOutRule: '100%' });
+    expect(deposit.parts.map(p => p.amount)).to.deep.equal([0, 900, 150, 150, 100]);
+    expect(deposit.amount).to.equal(1300);
+    expect(calcDeposit(lines.slice(3), 100, { defaultPct: '50' }).amount).to.equal(200);
+  });
+
+  it('should take pack sessions and promo discounts off the lines first', () => {
+    const lines = [{ id: '1', price: 400 }, { id: '2', price: 200 }, { id: '1', price: 400 }];
+    const net = netLines(lines, { packServiceId: '1', promo: { discount: 90, eligible: ['1', '2'] } });
+    expect(net.map(l => l.price)).to.deep.equal([0, 170, 340]);
+    expect(lines[0].price).to.equal(400);
+  });
+});
+
+describe('Tips', () => {
+  const { calcTip, TIP_PRESETS } = require('../api/lib/pricing');
+
+  it('should take a preset percentage of the treatment', () => {
+    expect(TIP_PRESETS.map(percent => calcTip(450, { percent }))).to.deep.equal([45, 67.5, 90]);
+    expect(calcTip(450, { percent: 12 })).to.equal(null);
+  });
+
+  it('should accept a custom amount up to the treatment price', () => {
+    expect(calcTip(450, { amount: 'R50' })).to.equal(50);
+    expect(calcTip(450, {})).to.equal(0);
+    expect(calcTip(450, { amount: 500 })).to.equal(null);
+    expect(calcTip(450, { amount: -10 })).to.equal(null);
+  });
+});
+
+describe('SAST timestamps', () => {
+  const { sastStamp, parseSastStamp } = require('../api/lib/sheet');
+
+  it('should round-trip a Created At stamp', () => {
+    const at = new Date('2026-10-19T12:03:22Z');
+    expect(sastStamp(at)).to.equal('2026/10/19, 14:03:22');
+    expect(parseSastStamp(sastStamp(at))).to.equal(at.getTime());
+  });
+
+  it('should return NaN for blank or unknown formats', () => {
+    expect(parseSastStamp('')).to.be.NaN;
+  });
+});
+
+describe('Signed links', () => {
+  const { signToken, verifyToken } = require('../api/lib/links');
+  const secret = 'test-secret';
+
+  it('should round-trip the payload for the same purpose', () => {
+    const t = signToken(secret, 'manage', { b: 'PB-1' }, Date.now() + 60000);
+    expect(verifyToken(secret, 'manage', t)).to.include({ b: 'PB-1' });
+  });
+
+  it('should reject other purposes, tampering and expiry', () => {
+    const t = signToken(secret, 'manage', { b: 'PB-1' }, Date.now() + 60000);
+    expect(verifyToken(secret, 'waitlist', t)).to.be.null;
+    expect(verifyToken('other', 'manage', t)).to.be.null;
+    expect(verifyToken(secret, 'manage', `x${t}`)).to.be.null;
+    expect(verifyToken(secret, 'manage', signToken(secret, 'manage', { b: 'PB-1' }, Date.now() - 1))).to.be.null;
+  });
+});
+
+describe('Cancellation policy', () => {
+  const { parsePolicy, describePolicy, refundQuote, DEFAULT_POLICY } = require('../api/lib/policy');
+  const rules = parsePolicy('24:50, 48:100, 0:0');
+
+  it('should sort rules from the longest notice down', () => {
+    expect(rules.map(r => r.hours)).to.deep.equal([48, 24, 0]);
+    expect(describePolicy(rules)).to.equal('100% 48h+ · 50% 24h+ · 0% under 24h');
+  });
+
+  it('should apply the first rule whose notice is met', () => {
+    expect(refundQuote(rules, 72, 300)).to.include({ percent: 100, refund: 300, forfeit: 0 });
+    expect(refundQuote(rules, 30, 300)).to.include({ percent: 50, refund: 150, forfeit: 150 });
+    expect(refundQuote(rules, 2, 300)).to.include({ percent: 0, refund: 0, forfeit: 300 });
+  });
+
+  it('should refund nothing once the appointment has started', () => {
+    expect(refundQuote(parsePolicy('0:100'), -1, 300).refund).to.equal(0);
+  });
+
+  it('should fall back to the published policy when blank or unreadable', () => {
+    expect(parsePolicy('')).to.deep.equal(parsePolicy(DEFAULT_POLICY));
+    expect(parsePolicy('full refund always')).to.deep.equal(parsePolicy(DEFAULT_POLICY));
+  });
+});
+
+describe('Waitlist', () => {
+  const { eligibleEntries } = require('../api/lib/waitlist');
+  const { sastStamp } = require('../api/lib/sheet');
+  const now = Date.now();
+  const entries = [
+    row({ 'Waitlist ID': 'WL-1', Status: 'Waiting', 'Date From': '2026-03-10' }),
+    row({ 'Waitlist ID': 'WL-2', Status: 'Waiting', 'Date From': '2026-03-01', 'Date To': '2026-03-31' }),
+    row({ 'Waitlist ID': 'WL-3', Status: 'Booked',  'Date From': '2026-03-10' }),
+    row({ 'Waitlist ID': 'WL-4', Status: 'Offered', 'Date From': '2026-03-10', 'Offer Expires': sastStamp(new Date(now + 3600000)) }),
+    row({ 'Waitlist ID': 'WL-5', Status: 'Offered', 'Date From': '2026-03-10', 'Offer Expires': sastStamp(new Date(now - 3600000)) }),
+  ];
+  const ids = (dateStr) => eligibleEntries(entries, dateStr, now).map(r => r.get('Waitlist ID'));
+
+  it('should match single dates and ranges in sign-up order', () => {
+    expect(ids('2026-03-10')).to.deep.equal(['WL-1', 'WL-2', 'WL-5']);
+    expect(ids('2026-03-20')).to.deep.equal(['WL-2']);
+    expect(ids('2026-04-01')).to.deep.equal([]);
+  });
+
+  it('should skip booked entries and offers whose link is still live', () => {
+    expect(ids('2026-03-10')).to.not.include.members(['WL-3', 'WL-4']);
+  });
+});
+
+describe('Treatment packs', () => {
+  const { parsePacks, packUsage, packCredit, samePhone } = require('../api/lib/packs');
+
+  it('should list only active packs with a service and sessions', () => {
+    const packs = parsePacks([
+      row({ 'Pack ID': 'PK-1', Name: '6 Brazilians', 'Service ID': '7', Sessions: '6', 'Price (R)': 'R1,500', Active: 'TRUE' }),
+      row({ 'Pack ID': 'PK-2', Name: 'Old pack', 'Service ID': '7', Sessions: '4', 'Price (R)': '900', Active: 'FALSE' }),
+      row({ 'Pack ID': 'PK-3', Name: 'Broken', 'Service ID': '', Sessions: '4', 'Price (R)': '900', Active: 'yes' }),
+    ]);
+    expect(packs).to.deep.equal([{ id: 'PK-1', name: '6 Brazilians', serviceId: '7', sessions: 6, price: 1500 }]);
+  });
+
+  it('should hold booked sessions and give them back when released', () => {
+    const bookings = [
+      row({ 'Pack Purchase ID': 'PP-1', 'Deposit Status': 'Service Complete' }),
+      row({ 'Pack Purchase ID': 'PP-1', 'Deposit Status': 'Confirmed' }),
+      row({ 'Pack Purchase ID': 'PP-1', 'Deposit Status': 'Cancelled' }),
+      row({ 'Pack Purchase ID': 'PP-2', 'Deposit Status': 'Confirmed' }),
+    ];
+    expect(packUsage('PP-1', bookings)).to.deep.equal({ booked: 2, used: 1 });
+  });
+
+  it('should credit the pack service price only when it is booked', () => {
+    const priced = { lines: [{ id: '7', price: 280 }, { id: '9', price: 150 }] };
+    expect(packCredit(priced, '7')).to.equal(280);
+    expect(packCredit(priced, '3')).to.equal(0);
+  });
+
+  it('should match phone numbers however they were typed', () => {
+    expect(samePhone('+27 82 123 4567', '082 123 4567')).to.equal(true);
+    expect(samePhone('082 123 4567', '083 123 4567')).to.equal(false);
+    expect(samePhone('', '')).to.equal(false);
+  });
+});
+
+describe('Gift vouchers', () => {
+  const { voucherUsed, voucherState, voucherExpiry } = require('../api/lib/vouchers');
+  const bookings = [
+    row({ 'Voucher Code': 'GV-1', 'Voucher Used (R)': '150.00', 'Deposit Status': 'Service Complete' }),
+    row({ 'Voucher Code': 'GV-1', 'Voucher Used (R)': '100.00', 'Deposit Status': 'Confirmed' }),
+    row({ 'Voucher Code': 'GV-1', 'Voucher Used (R)': '200.00', 'Deposit Status': 'Expired' }),
+    row({ 'Voucher Code': 'GV-2', 'Voucher Used (R)': '500.00', 'Deposit Status': 'Confirmed' }),
+  ];
+  const voucher = (data) => row({ Status: 'Active', Expires: '2027-01-31', ...data });
+
+  it('should count draws from live bookings and give released ones back', () => {
+    expect(voucherUsed('GV-1', bookings)).to.equal(250);
+  });
+
+  it('should leave a remaining balance after partial use', () => {
+    const v = voucherState(voucher({ 'Voucher Code': 'GV-1', 'Amount (R)': '500.00' }), bookings, '2026-10-19');
+    expect(v).to.include({ used: 250, balance: 250, status: 'Issued' });
+  });
+
+  it('should report redeemed, expired and unpaid vouchers', () => {
+    expect(voucherState(voucher({ 'Voucher Code': 'GV-2', 'Amount (R)': '500' }), bookings, '2026-10-19').status).to.equal('Redeemed');
+    expect(voucherState(voucher({ 'Voucher Code': 'GV-3', 'Amount (R)': '500' }), bookings, '2027-02-01').status).to.equal('Expired');
+    expect(voucherState(voucher({ 'Voucher Code': 'GV-4', 'Amount (R)': '500', Status: 'Pending Payment' }), bookings, '2026-10-19').status).to.equal('Pending Payment');
+  });
+
+  it('should expire on the same day months later, clamped to month end', () => {
+    expect(voucherExpiry('2026-10-19', 12)).to.equal('2027-10-19');
+    expect(voucherExpiry('2026-08-31', 6)).to.equal('2027-02-28');
+  });
+});
+
+describe('Promo codes', () => {
+  const { parsePromos, applyPromo } = require('../api/lib/promos');
+  const promo = (data) => parsePromos([row({ Code: 'MOM15', Type: 'Percent', Value: '15', Active: 'TRUE', ...data })])[0];
+  const lines = [
+    { id: '1', price: 400, category: 'Nails' },
+    { id: '2', price: 200, category: 'Lashes' },
+  ];
+  const client = { email: 'new@example.com', phone: '+27821234567' };
+  const opts = (extra = {}) => ({ lines, bookingRows: [], client, todayStr: '2026-05-08', ...extra });
+
+  it('should take a percentage or fixed amount off the services', () => {
+    expect(applyPromo(promo(), opts()).discount).to.equal(90);
+    expect(applyPromo(promo({ Type: 'Fixed', Value: 'R100' }), opts()).discount).to.equal(100);
+    expect(applyPromo(promo({ Type: 'Fixed', Value: '1000' }), opts()).discount).to.equal(600);
+  });
+
+  it('should only discount the services and categories it is restricted to', () => {
+    expect(applyPromo(promo({ 'Service IDs': '2' }), opts())).to.include({ discount: 30 });
+    expect(applyPromo(promo({ Categories: 'nails' }), opts()).eligible).to.deep.equal(['1']);
+    expect(applyPromo(promo({ Categories: 'Brows' }), opts()).error).to.match(/doesn't apply/);
+    expect(applyPromo(promo(), opts({ excludeId: '1' })).discount).to.equal(30);
+  });
+
+  it('should respect validity dates', () => {
+    expect(applyPromo(promo({ 'Valid From': '2026-05-01', 'Valid To': '2026-05-10' }), opts())).to.not.have.property('error');
+    expect(applyPromo(promo({ 'Valid To': '2026-05-07' }), opts()).error).to.match(/expired/);
+    expect(applyPromo(promo({ 'Valid From': '2026-05-09' }), opts()).error).to.match(/isn't valid yet/);
+  });
+
+  it('should enforce usage limits, freeing uses from released bookings', () => {
+    const used = (status, email = 'other@example.com') => row({ 'Promo Code': 'MOM15', 'Deposit Status': status, 'Client Email': email });
+    expect(applyPromo(promo({ 'Max Uses': '1' }), opts({ bookingRows: [used('Confirmed')] })).error).to.match(/fully redeemed/);
+    expect(applyPromo(promo({ 'Max Uses': '1' }), opts({ bookingRows: [used('Cancelled')] }))).to.not.have.property('error');
+    expect(applyPromo(promo({ 'Max Uses Per Client': '1' }), opts({ bookingRows: [used('Confirmed', 'new@example.com')] })).error).to.match(/already used/);
+  });
+
+  it('should turn away returning clients from new-client codes', () => {
+    const past = row({ 'Client Phone': '082 123 4567', 'Deposit Status': 'Service Complete' });
+    expect(applyPromo(promo({ 'New Clients Only': 'yes' }), opts({ bookingRows: [past] })).error).to.match(/first-time/);
+    expect(applyPromo(promo({ 'New Clients Only': 'yes' }), opts())).to.not.have.property('error');
+  });
+});
+
+describe('Payments ledger', () => {
+  const { paymentRow, ledgerTotals, ledgerCheck } = require('../api/lib/ledger');
+  const pay = (type, amount, status) => row({ 'Booking ID': 'PB-1', Type: type, 'Amount (R)': amount, Status: status });
+  const entries = [pay('Deposit', '150.00'), pay('Balance', '350.00'), pay('Tip', '50.00'), pay('Refund', '100.00'), pay('Refund', '80.00', 'Failed')];
+
+  it('should build a row with positive amounts and defaults', () => {
+    const r = paymentRow({ bookingId: 'PB-1', type: 'Manual', method: 'Cash', amount: 200 }, { id: 'PAY-1', dateStr: '2026-10-19', stamp: '2026-10-19 10:00:00' });
+    expect(r).to.include({ 'Payment ID': 'PAY-1', 'Type': 'Manual', 'Method': 'Cash', 'Amount (R)': '200.00', 'Status': 'Succeeded', 'Date': '2026-10-19' });
+    expect(() => paymentRow({ type: 'Gift' }, {})).to.throw(/Unknown payment type/);
+  });
+
+  it('should total settled money and keep tips out of the booking total', () => {
+    expect(ledgerTotals(entries)).to.deep.equal({ deposit: 150, balance: 350, manual: 0, tip: 50, refunded: 100, paid: 500, net: 400 });
+  });
+
+  it('should flag bookings that disagree with their ledger', () => {
+    const booking = row({ 'Deposit Status': 'Refunded', 'Refunded (R)': '100.00' });
+    expect(ledgerCheck(booking, entries, 500)).to.deep.equal(['Marked Refunded but R400.00 is still held']);
+    expect(ledgerCheck(row({ 'Refunded (R)': '100.00' }), entries, 150)[0]).to.match(/R150.00 paid, ledger R500.00/);
+    expect(ledgerCheck(row({ 'Refunded (R)': '100' }), entries, 500)).to.be.empty;
+  });
+
+  describe('refundPlan', () => {
+    const { refundPlan } = require('../api/lib/ledger');
+    const paid = [
+      row({ Type: 'Deposit', Method: 'Yoco', 'Amount (R)': '200.00', 'Checkout ID': 'ch_dep' }),
+      row({ Type: 'Balance', Method: 'Yoco', 'Amount (R)': '300.00', 'Checkout ID': 'ch_bal' }),
+      row({ Type: 'Tip',     Method: 'Yoco', 'Amount (R)': '50.00',  'Checkout ID': 'ch_bal' }),
+      row({ Type: 'Manual',  Method: 'Cash', 'Amount (R)': '100.00' }),
+      row({ Type: 'Refund',  Method: 'Yoco', 'Amount (R)': '50.00',  'Checkout ID': 'ch_bal' }),
+      row({ Type: 'Refund',  Method: 'Yoco', 'Amount (R)': '90.00',  'Checkout ID': 'ch_dep', Status: 'Failed' }),
+    ];
+
+    it('should refund each payment against its own checkout, newest first', () => {
+      expect(refundPlan(paid, 500)).to.deep.equal({
+        parts: [
+          { method: 'Cash', checkoutId: '',       amount: 100 },
+          { method: 'Yoco', checkoutId: 'ch_bal', amount: 250 },
+          { method: 'Yoco', checkoutId: 'ch_dep', amount: 150 },
+        ],
+        short: 0,
+      });
+    });
+
+    it('should never take a checkout past what it took, or refund the tip', () => {
+      expect(refundPlan(paid, 600).short).to.equal(50);
+    });
+
+    it('should fall back on the booking checkout for rows recorded without one', () => {
+      const legacy = [row({ Type: 'Deposit', 'Amount (R)': '150.00' })];
+      expect(refundPlan(legacy, 100, { checkoutId: 'ch_old' }).parts).to.deep.equal([{ method: 'Yoco', checkoutId: 'ch_old', amount: 100 }]);
+    });
+  });
+});
+
+describe('Invoices & receipts', () => {
+  const { nextNumber, buildInvoice, renderPdf } = require('../api/lib/invoice');
+  const booking = row({
+    'Booking ID': 'PB-7', 'Client Name': 'Thandi Mokoena', 'Date': '2026-11-02', 'Time': '10:00-12:00',
+    'Service IDs': '1,2', 'Service Names': 'Gel Nails, Lash Lift', 'Service Price (R)': '500.00',
+    'Call Out Fee (R)': '63.00', 'Round Trip Km': '10', 'Total Amount (R)': '563.00',
+    'Deposit Amount (R)': '150.00', 'Balance Due (R)': '413.00', 'Deposit Status': 'Confirmed', 'Balance Status': 'Pending',
+  });
+  const catalogue = [{ id: '1', name: 'Gel Nails', price: 300 }, { id: '2', name: 'Lash Lift', price: 200 }];
+  const opts = (extra = {}) => ({ kind: 'invoice', number: 'INV-00001', issued: '2026-10-19', settings: {}, catalogue, ...extra });
+
+  it('should number after the highest issued number, never reusing one', () => {
+    expect(nextNumber('INV-', [])).to.equal('INV-00001');
+    expect(nextNumber('INV-', ['INV-00002', 'RCT-00009', 'INV-00007', ''])).to.equal('INV-00008');
+  });
+
+  it('should list services and the call-out fee against the total', () => {
+    const inv = buildInvoice(booking, opts());
+    expect(inv.title).to.equal('Invoice');
+    expect(inv.charges.map(c => c.amount)).to.deep.equal([300, 200, 63]);
+    expect(inv.charges[2].label).to.include('10 km');
+    expect(inv).to.include({ total: 563, received: 150, due: 413 });
+    expect(buildInvoice(booking, opts({ catalogue: [] })).charges[0]).to.deep.equal({ label: 'Gel Nails, Lash Lift', amount: 500 });
+  });
+
+  it('should read payments from the ledger and show VAT when registered', () => {
+    const pay = (type, amount) => row({ Type: type, 'Amount (R)': amount, Method: 'Yoco', Date: '2026-10-19' });
+    const inv = buildInvoice(booking, opts({
+      kind: 'receipt', settings: { vat_number: '4123456789' },
+      ledgerRows: [pay('Deposit', '150.00'), pay('Balance', '413.00'), pay('Tip', '40.00')],
+    }));
+    expect(inv.title).to.equal('Receipt');
+    expect(inv).to.include({ received: 563, due: 0, tip: 40 });
+    expect(inv.vat).to.deep.equal({ percent: 15, amount: 73.43 });
+  });
+
+  it('should render a PDF carrying the number', () => {
+    const pdf = renderPdf(buildInvoice(booking, opts()));
+    expect(pdf.slice(0, 8).toString()).to.equal('%PDF-1.4');
+    expect(pdf.toString('latin1')).to.include('(No. INV-00001)');
+  });
+});
+
+describe('Payment providers', () => {
+  const { paymentProvider, signWebhook, verifySignature } = require('../api/lib/payments');
+  const secret = 'whsec_' + Buffer.from('test-secret').toString('base64');
+
+  it('should verify Standard Webhooks signatures and reject tampering', () => {
+    const body    = '{"type":"payment.succeeded"}';
+    const headers = { 'webhook-id': 'msg_1', 'webhook-timestamp': '1760000000', 'webhook-signature': signWebhook(secret, 'msg_1', '1760000000', body) };
+    expect(verifySignature(secret, headers, body)).to.equal(true);
+    expect(verifySignature(secret, headers, body.replace('succeeded', 'failed'))).to.equal(false);
+    expect(verifySignature(secret, { ...headers, 'webhook-signature': 'v1,bogus ' + headers['webhook-signature'] }, body)).to.equal(true);
+  });
+
+  it('should pick the provider by name, environment, then setting', () => {
+    expect(paymentProvider({}, '', {}).name).to.equal('yoco');
+    expect(paymentProvider({ payment_provider: 'mock' }, '', { MOCK_WEBHOOK_SECRET: secret }).name).to.equal('mock');
+    expect(paymentProvider({ payment_provider: 'mock' }, '', { PAYMENT_PROVIDER: 'yoco' }).name).to.equal('yoco');
+    expect(paymentProvider({ yoco_secret_key: 'sk_test' }, 'yoco', {})).to.include({ ready: true, missing: '' });
+    expect(() => paymentProvider({}, 'payfast', {})).to.throw(/Unknown payment provider/);
+    expect(() => paymentProvider({}, 'mock', { NODE_ENV: 'production', MOCK_WEBHOOK_SECRET: secret })).to.throw(/disabled in production/);
+    expect(() => paymentProvider({}, 'mock', {})).to.throw(/needs MOCK_WEBHOOK_SECRET/);
+  });
+
+  it('should run mock checkouts in memory', async () => {
+    const mock = paymentProvider({ app_base_url: 'http://localhost:3000' }, 'mock', { MOCK_WEBHOOK_SECRET: secret });
+    const co   = await mock.createCheckout({ amount: 150, successUrl: '/ok', cancelUrl: '/no', metadata: { bookingId: 'PB-1' } });
+    expect(co.redirectUrl).to.equal(`http://localhost:3000/api/mock-pay/${co.id}`);
+    expect(await mock.complete(co.id, 'cancel')).to.equal('/no');
+    expect((await mock.fetchStatus(co.id)).status).to.equal('created');
+    expect(await mock.complete(co.id, 'pay-silent')).to.equal('/ok');
+    expect(await mock.fetchStatus(co.id)).to.include({ status: 'completed', amount: 150 });
+    expect(mock.paymentPageUrl()).to.equal(null);
+  });
+});
+
+describe('Balance reminders', () => {
+  const { parseReminderDays, dunningState, overdueBalances } = require('../api/lib/dunning');
+  const { parseSastStamp } = require('../api/lib/sheet');
+  const days = [1, 3, 7];
+  const now  = parseSastStamp('2026-10-19 09:00:00');
+  const requested = (extra = {}) => row({ 'Balance Status': 'Requested', 'Balance Requested At': '2026-10-15 10:00:00', 'Balance Due (R)': '350.00', ...extra });
+
+  it('should parse the schedule, falling back to day 1, 3 and 7', () => {
+    expect(parseReminderDays('7, 1;3 3')).to.deep.equal([1, 3, 7]);
+    expect(parseReminderDays('')).to.deep.equal([1, 3, 7]);
+    expect(parseReminderDays('soon, 0')).to.deep.equal([1, 3, 7]);
+  });
+
+  it('should send the next reminder once its day is reached, one step at a time', () => {
+    expect(dunningState(requested(), days, now)).to.include({ ageDays: 3, sent: 0, due: 1, nextDay: 1 });
+    expect(dunningState(requested({ 'Balance Reminders Sent': '1' }), days, now).due).to.equal(2);
+    expect(dunningState(requested({ 'Balance Reminders Sent': '2' }), days, now)).to.include({ due: 0, nextDay: 7 });
+    expect(dunningState(requested({ 'Balance Reminders Sent': '3' }), days, now)).to.include({ due: 0, nextDay: null });
+  });
+
+  it('should age older requests from the appointment date', () => {
+    expect(dunningState(requested({ 'Balance Requested At': '', Date: '2026-10-09' }), days, now).ageDays).to.equal(10);
+  });
+
+  it('should list only Requested balances past the first reminder day, oldest first', () => {
+    const list = overdueBalances([
+      requested({ 'Booking ID': 'PB-1' }),
+      requested({ 'Booking ID': 'PB-2', 'Balance Requested At': '2026-10-01 10:00:00' }),
+      requested({ 'Booking ID': 'PB-3', 'Balance Status': 'Paid' }),
+      requested({ 'Booking ID': 'PB-4', 'Balance Requested At': '2026-10-18 15:00:00' }),
+    ], days, now);
+    expect(list.map(b => b.bookingId)).to.deep.equal(['PB-2', 'PB-1']);
+    expect(list[0]).to.include({ balance: 350, ageDays: 17, remindersSent: 0 });
+  });
+});
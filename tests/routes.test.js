@@ -0,0 +1,597 @@
+// tests/routes.test.js — Route tests against an in-memory sheet and a fake
+// payment provider (no Google, email or gateway access needed)
+'use strict';
+
+process.env.ADMIN_TOKEN_SECRET = 'test-admin-secret';
+process.env.CRON_SECRET        = 'test-cron-secret';
+process.env.NODE_ENV           = 'test';
+
+const crypto = require('crypto');
+const { describe, it, beforeEach } = require('mocha');
+const { expect } = require('chai');
+const request = require('supertest');
+
+// ── Fakes ─────────────────────────────────────────────────────────────────────
+// index.js destructures these modules when it loads, so the stand-ins go in
+// before it is required.
+
+// A tab whose rows behave like google-spreadsheet's: getRows() hands out
+// fresh copies, and set() only reaches the sheet on save()
+function fakeSheet(records = []) {
+  const store = records.map(r => ({ ...r }));
+  const wrap = (rec) => {
+    const data = { ...rec };
+    return {
+      get:    (k) => data[k],
+      set:    (k, v) => { data[k] = v; },
+      save:   async () => { Object.assign(rec, data); },
+      delete: async () => { store.splice(store.indexOf(rec), 1); },
+    };
+  };
+  return {
+    records:       store,
+    headerValues:  [],
+    loadHeaderRow: async () => {},
+    getRows:       async () => { await new Promise(r => setImmediate(r)); return store.map(wrap); },
+    addRow:        async (data) => { const rec = { ...data }; store.push(rec); return wrap(rec); },
+    addRows:       async (list) => Promise.all(list.map(d => { const rec = { ...d }; store.push(rec); return wrap(rec); })),
+  };
+}
+
+let doc, settings;
+const services = [
+  { id: 'BROW', name: 'Brow Lamination', price: 400, duration: 60, category: 'Brows', deposit: '' },
+  { id: 'LASH', name: 'Lash Lift',       price: 600, duration: 60, category: 'Lashes', deposit: '' },
+];
+
+const sheet = require('../api/lib/sheet');
+sheet.getDoc              = async () => doc;
+sheet.getSettings         = async () => ({ ...settings });
+sheet.getServices         = async () => services;
+sheet.getAvailabilityRows = async (d) => d.sheetsByTitle['Availability'].getRows();
+
+const sent  = [];
+const email = require('../api/lib/email');
+Object.keys(email).filter(k => k.startsWith('send')).forEach(k => {
+  email[k] = async (s, b) => { sent.push({ kind: k, ...b }); };
+});
+
+let provider;
+function fakeProvider() {
+  return {
+    name: 'yoco', label: 'Yoco', ready: true, missing: '',
+    checkouts: [], refunds: [], statuses: {},
+    async createCheckout(o) {
+      const id = `ch_${this.checkouts.length + 1}`;
+      this.checkouts.push({ id, ...o });
+      return { ok: true, id, redirectUrl: `https://pay.test/${id}` };
+    },
+    async refund(checkoutId, o) {
+      this.refunds.push({ checkoutId, ...o });
+      return { ok: true, refundId: `rf_${this.refunds.length}` };
+    },
+    async fetchStatus(id) { return this.statuses[id] || { status: 'created', paymentId: '', amount: 0, metadata: {} }; },
+    verifyWebhook({ headers, body }) { return { ok: true, event: body || {}, msgId: headers['webhook-id'] || '' }; },
+    paymentPageUrl() { return null; },
+  };
+}
+require('../api/lib/payments').paymentProvider = () => provider;
+
+const app = require('../api/index');
+const { sastNow } = sheet;
+const { addDays } = require('../api/lib/availability');
+
+// Each booking comes from its own address so the rate limiter stays out of it
+app.set('trust proxy', true);
+let ip = 0;
+
+const inDays = (n) => addDays(sastNow().dateStr, n);
+const adminToken = () => crypto.createHmac('sha256', process.env.ADMIN_TOKEN_SECRET).update(settings.admin_password).digest('hex');
+const tab = (title) => doc.sheetsByTitle[title].records;
+const booking = (id) => tab('Bookings').find(r => r['Booking ID'] === id);
+
+function reset(tabs = {}) {
+  settings = { admin_password: 'pw', app_base_url: 'http://localhost:3000', deposit_percent: '50' };
+  const dates = [inDays(14), inDays(15)];
+  doc = {
+    sheetsByTitle: {
+      Availability:  fakeSheet(dates.flatMap(d => ['10:00-11:00', '12:00-13:00'].map(t => ({
+        'Weekday/Date': d, 'Time Slot': t, 'Available (YES/NO)': 'YES',
+      })))),
+      Bookings:      fakeSheet(),
+      Consultations: fakeSheet(),
+      Payments:      fakeSheet(),
+      Invoices:      fakeSheet(),
+      Vouchers:      fakeSheet(),
+      'Promo Codes': fakeSheet(),
+      ...Object.fromEntries(Object.entries(tabs).map(([k, rows]) => [k, fakeSheet(rows)])),
+    },
+  };
+  provider = fakeProvider();
+  sent.length = 0;
+}
+
+function book(body) {
+  ip++;
+  return request(app)
+    .post('/api/book')
+    .set('X-Forwarded-For', `10.0.${ip >> 8}.${ip & 255}`)
+    .send({
+      name: 'Thandi Mokoena', email: 'thandi@example.com', phone: '+27821234567',
+      address: '12 Long Street, Cape Town', services: ['BROW'], date: inDays(14), time: '10:00-11:00',
+      ...body,
+    });
+}
+
+const admin = (method, path) => request(app)[method](path).set('X-Admin-Token', adminToken());
+
+let msg = 0;
+const webhook = (type, payload) => request(app)
+  .post('/api/webhook/yoco')
+  .set('webhook-id', `msg_${++msg}`)
+  .send({ id: `evt_${msg}`, type, payload });
+
+// A booking already in the sheet: deposit paid through the gateway, balance to come
+function seedBooking(fields = {}) {
+  const rec = {
+    'Booking ID': 'PB-SEED01', 'Date': inDays(14), 'Time': '10:00-11:00',
+    'Client Name': 'Thandi Mokoena', 'Client Email': 'thandi@example.com', 'Client Phone': '+27821234567',
+    'Service IDs': 'BROW', 'Service Names': 'Brow Lamination', 'Service Duration (min)': '60',
+    'Service Price (R)': '400.00', 'Total Amount (R)': '400.00', 'Call Out Fee (R)': '0.00',
+    'Deposit Amount (R)': '200.00', 'Balance Due (R)': '200.00',
+    'Deposit Status': 'Confirmed', 'Balance Status': 'Pending', 'Payment Option': 'Deposit',
+    'Yoco Checkout ID': 'ch_dep', 'Created At': '',
+    ...fields,
+  };
+  tab('Bookings').push(rec);
+  return rec;
+}
+
+// A ledger row already recorded against a booking
+function seedPayment(type, amount, fields = {}) {
+  tab('Payments').push({
+    'Payment ID': `PAY-${tab('Payments').length + 1}`, 'Booking ID': 'PB-SEED01', 'Type': type, 'Method': 'Yoco',
+    'Amount (R)': amount, 'Status': 'Succeeded', ...fields,
+  });
+}
+
+// The ledger rows for one booking, as [type, amount, status]
+const ledger = (id) => tab('Payments')
+  .filter(p => p['Booking ID'] === id)
+  .map(p => [p['Type'], p['Amount (R)'], p['Status']]);
+
+describe('POST /api/book — gift vouchers', () => {
+  const voucher = { 'Voucher Code': 'GV-TEST', 'Amount (R)': '300.00', Status: 'Active', Expires: inDays(300) };
+  beforeEach(() => reset({ Vouchers: [voucher] }));
+
+  it('should put the voucher towards the deposit', async () => {
+    const res = await book({ voucherCode: 'GV-TEST' });
+    expect(res.status).to.equal(200);
+    expect(res.body).to.include({ voucherUsed: 200, depositAmount: 0, confirmed: true });
+    expect(booking(res.body.bookingId)['Voucher Used (R)']).to.equal('200.00');
+  });
+
+  it('should not let two bookings on different days spend the same balance', async () => {
+    const [a, b] = await Promise.all([
+      book({ voucherCode: 'GV-TEST', date: inDays(14) }),
+      book({ voucherCode: 'GV-TEST', date: inDays(15) }),
+    ]);
+    expect([a.status, b.status].sort()).to.deep.equal([200, 409]);
+    expect([a, b].find(r => r.status === 409).body.code).to.equal('VOUCHER_CHANGED');
+    const used = tab('Bookings').reduce((sum, r) => sum + (parseFloat(r['Voucher Used (R)']) || 0), 0);
+    expect(used).to.equal(200);
+  });
+
+  it('should draw only what is left at the balance request', async () => {
+    const first  = await book({ voucherCode: 'GV-TEST', date: inDays(14) });
+    const second = await book({ voucherCode: 'GV-TEST', date: inDays(15) });
+    expect(second.body.voucherUsed).to.equal(100);
+
+    const res = await admin('post', '/api/admin/request-balance').send({ bookingId: first.body.bookingId });
+    expect(res.status).to.equal(200);
+    expect(res.body.voucherUsed).to.equal(0);
+    expect(booking(first.body.bookingId)['Balance Due (R)']).to.equal('200.00');
+  });
+});
+
+describe('POST /api/book — promo codes', () => {
+  const promo = (limits) => ({ Code: 'WELCOME', Type: 'Fixed', Value: '100', Active: 'yes', ...limits });
+  const others = { name: 'Lerato Dlamini', email: 'lerato@example.com', phone: '+27831234567' };
+
+  it('should take the discount off before the deposit', async () => {
+    reset({ 'Promo Codes': [promo({})] });
+    const res = await book({ promoCode: 'welcome' });
+    expect(res.status).to.equal(200);
+    expect(res.body).to.include({ discount: 100, totalAmount: 300, depositAmount: 150 });
+  });
+
+  it('should not let two bookings on different days take the last use', async () => {
+    reset({ 'Promo Codes': [promo({ 'Max Uses': '1' })] });
+    const [a, b] = await Promise.all([
+      book({ promoCode: 'WELCOME', date: inDays(14) }),
+      book({ promoCode: 'WELCOME', date: inDays(15), ...others }),
+    ]);
+    expect([a.status, b.status].sort()).to.deep.equal([200, 409]);
+    expect([a, b].find(r => r.status === 409).body.code).to.equal('PROMO_CHANGED');
+    expect(tab('Bookings').filter(r => r['Promo Code'] === 'WELCOME')).to.have.length(1);
+  });
+
+  it('should hold the per-client limit when the same client books twice at once', async () => {
+    reset({ 'Promo Codes': [promo({ 'Max Uses Per Client': '1' })] });
+    const [a, b] = await Promise.all([
+      book({ promoCode: 'WELCOME', date: inDays(14) }),
+      book({ promoCode: 'WELCOME', date: inDays(15) }),
+    ]);
+    expect([a.status, b.status].sort()).to.deep.equal([200, 409]);
+    expect(tab('Bookings').filter(r => r['Promo Code'] === 'WELCOME')).to.have.length(1);
+
+    const again = await book({ promoCode: 'WELCOME', date: inDays(15), time: '12:00-13:00' });
+    expect(again.status).to.equal(400);
+    expect(again.body.error).to.equal('You\'ve already used this code');
+  });
+});
+
+describe('POST /api/book — paying in full', () => {
+  beforeEach(() => reset());
+
+  it('should charge deposit and balance in one checkout and settle both when paid', async () => {
+    const res = await book({ payInFull: true });
+    expect(res.status).to.equal(200);
+    expect(res.body).to.include({ payInFull: true, depositAmount: 200, balanceDue: 200, amountDue: 400 });
+    expect(provider.checkouts[0]).to.include({ amount: 400 });
+    expect(provider.checkouts[0].metadata).to.include({ bookingId: res.body.bookingId, payInFull: true });
+
+    const id = res.body.bookingId;
+    await webhook('payment.succeeded', {
+      id: 'p_1', status: 'succeeded', amount: 40000, metadata: { ...provider.checkouts[0].metadata, checkoutId: 'ch_1' },
+    }).expect(200);
+    expect(booking(id)).to.include({ 'Payment Option': 'Pay in Full', 'Deposit Status': 'Confirmed', 'Balance Status': 'Paid' });
+    expect(ledger(id)).to.deep.equal([['Deposit', '200.00', 'Succeeded'], ['Balance', '200.00', 'Succeeded']]);
+
+    const done = await admin('post', '/api/admin/request-balance').send({ bookingId: id });
+    expect(done.body).to.include({ paidInFull: true, balanceDue: 0 });
+    expect(booking(id)['Deposit Status']).to.equal('Service Complete');
+  });
+
+  it('should let a voucher cover part of a full payment', async () => {
+    reset({ Vouchers: [{ 'Voucher Code': 'GV-TEST', 'Amount (R)': '300.00', Status: 'Active', Expires: inDays(300) }] });
+    const res = await book({ payInFull: true, voucherCode: 'GV-TEST' });
+    expect(res.body).to.include({ voucherUsed: 300, depositAmount: 0, balanceDue: 100, amountDue: 100 });
+    expect(provider.checkouts[0]).to.include({ amount: 100 });
+  });
+});
+
+describe('POST /api/admin/record-payment', () => {
+  beforeEach(() => reset());
+
+  it('should settle the balance with a cash payment', async () => {
+    seedBooking({ 'Balance Status': 'Requested', 'Yoco Link': 'https://pay.test/bal' });
+    const res = await admin('post', '/api/admin/record-payment')
+      .send({ bookingId: 'PB-SEED01', method: 'Cash', amount: '200' });
+    expect(res.body).to.include({ success: true, balanceDue: 0, settled: true });
+    expect(booking('PB-SEED01')).to.include({
+      'Balance Status': 'Paid', 'Deposit Status': 'Service Complete', 'Balance Due (R)': '0.00', 'Manual Paid (R)': '200.00',
+    });
+    expect(ledger('PB-SEED01')).to.deep.equal([['Manual', '200.00', 'Succeeded']]);
+    expect(tab('Payments')[0]['Method']).to.equal('Cash');
+    expect(sent.map(m => m.kind)).to.include('sendRebookEmail');
+  });
+
+  it('should keep chasing what is left after a part payment', async () => {
+    settings.balance_reminder_days = '2, 5';
+    const daysAgo = (n) => sheet.sastStamp(new Date(Date.now() - n * 86400000));
+    seedBooking({
+      'Balance Status': 'Requested', 'Yoco Link': 'https://pay.test/bal', 'Balance Checkout ID': 'ch_old',
+      'Balance Requested At': daysAgo(6), 'Balance Reminders Sent': '1',
+    });
+    provider.statuses.ch_old = { status: 'expired', paymentId: '', amount: 0, metadata: {} };
+
+    const res = await admin('post', '/api/admin/record-payment')
+      .send({ bookingId: 'PB-SEED01', method: 'EFT', amount: '50', reference: 'FNB 1234' });
+    expect(res.body).to.include({ balanceDue: 150, settled: false });
+    expect(booking('PB-SEED01')).to.include({
+      'Balance Status': 'Requested', 'Balance Due (R)': '150.00', 'Balance Checkout ID': '', 'Balance Reminders Sent': '1',
+    });
+    expect(booking('PB-SEED01')['Yoco Link']).to.match(/\/pay\.html\?t=/);
+    expect(tab('Payments')[0]).to.include({ 'Method': 'EFT', 'Reference': 'FNB 1234' });
+    expect(sent.find(m => m.kind === 'sendBalanceRequestEmail')).to.include({ balance: '150.00' });
+
+    const overdue = await admin('get', '/api/admin/overdue-balances').expect(200);
+    expect(overdue.body.balances.map(b => [b.bookingId, b.balance])).to.deep.equal([['PB-SEED01', 150]]);
+
+    const cron = await request(app).get('/api/cron/balance-reminders').set('Authorization', `Bearer ${process.env.CRON_SECRET}`).expect(200);
+    expect(cron.body.sent.map(r => [r.bookingId, r.stage])).to.deep.equal([['PB-SEED01', 2]]);
+    expect(sent.find(m => m.kind === 'sendBalanceReminderEmail')).to.include({ balance: '150.00' });
+  });
+
+  it('should refuse a part payment while the client has a checkout open', async () => {
+    seedBooking({ 'Balance Status': 'Requested', 'Yoco Link': 'https://pay.test/bal', 'Balance Checkout ID': 'ch_open' });
+    const res = await admin('post', '/api/admin/record-payment').send({ bookingId: 'PB-SEED01', method: 'Cash', amount: '50' });
+    expect(res.status).to.equal(400);
+    expect(res.body.error).to.match(/checkout open/);
+    expect(booking('PB-SEED01')).to.include({ 'Balance Due (R)': '200.00', 'Balance Checkout ID': 'ch_open' });
+    expect(tab('Payments')).to.have.length(0);
+  });
+
+  it('should refuse a payment before the deposit is in', async () => {
+    for (const status of ['Pending Payment', 'Reserved']) {
+      reset();
+      seedBooking({ 'Deposit Status': status });
+      const res = await admin('post', '/api/admin/record-payment').send({ bookingId: 'PB-SEED01', method: 'Cash', amount: '50' });
+      expect(res.status).to.equal(400);
+      expect(res.body.error).to.equal(`Booking is ${status}`);
+      expect(tab('Payments')).to.have.length(0);
+    }
+  });
+
+  it('should refuse more than is due, or an unknown method', async () => {
+    seedBooking();
+    const over = await admin('post', '/api/admin/record-payment').send({ bookingId: 'PB-SEED01', method: 'Cash', amount: '250' });
+    expect(over.status).to.equal(400);
+    expect(over.body.error).to.equal('Only R200.00 is due');
+    const card = await admin('post', '/api/admin/record-payment').send({ bookingId: 'PB-SEED01', method: 'Card', amount: '50' });
+    expect(card.status).to.equal(400);
+    expect(tab('Payments')).to.have.length(0);
+  });
+});
+
+describe('POST /api/admin/refund', () => {
+  const paidBooking = { 'Deposit Status': 'Service Complete', 'Balance Status': 'Paid', 'Yoco Checkout ID': 'p_dep' };
+  beforeEach(() => reset());
+
+  it('should refund each gateway payment against its own checkout', async () => {
+    seedBooking(paidBooking);
+    seedPayment('Deposit', '200.00', { 'Checkout ID': 'ch_dep', 'Provider Payment ID': 'p_dep' });
+    seedPayment('Balance', '200.00', { 'Checkout ID': 'ch_bal', 'Provider Payment ID': 'p_bal' });
+    seedPayment('Tip',     '50.00',  { 'Checkout ID': 'ch_bal', 'Provider Payment ID': 'p_bal' });
+
+    const res = await admin('post', '/api/admin/refund').send({ bookingId: 'PB-SEED01', amount: '300', reason: 'Allergic reaction' });
+    expect(res.body).to.include({ success: true, refunded: 300, fullyRefunded: false });
+    expect(provider.refunds.map(r => [r.checkoutId, r.amount])).to.deep.equal([['ch_bal', 200], ['ch_dep', 100]]);
+    expect(tab('Payments').filter(p => p['Type'] === 'Refund').map(p => [p['Checkout ID'], p['Amount (R)']]))
+      .to.deep.equal([['ch_bal', '200.00'], ['ch_dep', '100.00']]);
+    expect(booking('PB-SEED01')['Refunded (R)']).to.equal('300.00');
+  });
+
+  it('should record cash and EFT refunds without calling the provider', async () => {
+    seedBooking({ ...paidBooking, 'Balance Due (R)': '0.00', 'Manual Paid (R)': '200.00' });
+    seedPayment('Deposit', '200.00', { 'Checkout ID': 'ch_dep' });
+    seedPayment('Manual',  '200.00', { 'Method': 'EFT' });
+
+    const res = await admin('post', '/api/admin/refund').send({ bookingId: 'PB-SEED01', amount: '400' });
+    expect(res.body).to.include({ refunded: 400, fullyRefunded: true, status: 'Refunded' });
+    expect(res.body.payBack).to.deep.equal([{ method: 'EFT', amount: 200 }]);
+    expect(provider.refunds.map(r => [r.checkoutId, r.amount])).to.deep.equal([['ch_dep', 200]]);
+    expect(tab('Payments').filter(p => p['Type'] === 'Refund').map(p => [p['Method'], p['Amount (R)']]))
+      .to.deep.equal([['EFT', '200.00'], ['Yoco', '200.00']]);
+  });
+
+  it('should record what went back when a later gateway refund fails', async () => {
+    seedBooking(paidBooking);
+    seedPayment('Deposit', '200.00', { 'Checkout ID': 'ch_dep' });
+    seedPayment('Balance', '200.00', { 'Checkout ID': 'ch_bal' });
+    provider.refund = async function (checkoutId, o) {
+      if (checkoutId === 'ch_dep') return { ok: false, error: 'Card expired' };
+      this.refunds.push({ checkoutId, ...o });
+      return { ok: true, refundId: 'rf_1' };
+    };
+
+    const res = await admin('post', '/api/admin/refund').send({ bookingId: 'PB-SEED01', amount: '400' });
+    expect(res.body).to.include({ success: true, refunded: 200, failed: 'Card expired', fullyRefunded: false });
+    expect(ledger('PB-SEED01').filter(p => p[0] === 'Refund')).to.deep.equal([['Refund', '200.00', 'Succeeded']]);
+    expect(booking('PB-SEED01')['Refunded (R)']).to.equal('200.00');
+  });
+
+  it('should refuse more than the payments hold', async () => {
+    seedBooking(paidBooking);
+    seedPayment('Deposit', '200.00', { 'Checkout ID': 'ch_dep' });
+    seedPayment('Balance', '200.00', { 'Checkout ID': 'ch_bal' });
+    const res = await admin('post', '/api/admin/refund').send({ bookingId: 'PB-SEED01', amount: '450' });
+    expect(res.status).to.equal(400);
+    expect(provider.refunds).to.be.empty;
+  });
+});
+
+describe('POST /api/webhook/:provider — refunds and failed payments', () => {
+  beforeEach(() => {
+    reset();
+    seedBooking({ 'Deposit Status': 'Service Complete', 'Balance Status': 'Paid' });
+    seedPayment('Deposit', '200.00', { 'Checkout ID': 'ch_dep', 'Provider Payment ID': 'p_dep' });
+    seedPayment('Balance', '200.00', { 'Checkout ID': 'ch_bal', 'Provider Payment ID': 'p_bal' });
+  });
+
+  it('should confirm a refund issued from the admin panel without counting it twice', async () => {
+    await admin('post', '/api/admin/refund').send({ bookingId: 'PB-SEED01', amount: '150' }).expect(200);
+    await webhook('refund.succeeded', { id: 'rf_1', amount: 15000, paymentId: 'p_bal', metadata: { bookingId: 'PB-SEED01' } }).expect(200);
+
+    expect(ledger('PB-SEED01').filter(p => p[0] === 'Refund')).to.deep.equal([['Refund', '150.00', 'Succeeded']]);
+    expect(booking('PB-SEED01')['Refunded (R)']).to.equal('150.00');
+    expect(sent.map(m => m.kind)).to.not.include('sendAdminPaymentEventNotification');
+  });
+
+  it('should record a refund made in the dashboard, once', async () => {
+    const refund = { id: 'rf_dash', amount: 40000, paymentId: 'p_dep', metadata: { bookingId: 'PB-SEED01' } };
+    await webhook('refund.succeeded', refund).expect(200);
+    await webhook('refund.succeeded', refund).expect(200);
+
+    expect(ledger('PB-SEED01').filter(p => p[0] === 'Refund')).to.deep.equal([['Refund', '400.00', 'Succeeded']]);
+    expect(booking('PB-SEED01')).to.include({ 'Refunded (R)': '400.00', 'Deposit Status': 'Refunded' });
+  });
+
+  it('should put a failed refund back as held', async () => {
+    await admin('post', '/api/admin/refund').send({ bookingId: 'PB-SEED01', amount: '400' }).expect(200);
+    expect(booking('PB-SEED01')['Deposit Status']).to.equal('Refunded');
+
+    await webhook('refund.failed', { id: 'rf_1', amount: 20000, paymentId: 'p_bal', metadata: { bookingId: 'PB-SEED01' }, failureReason: 'Card closed' }).expect(200);
+    expect(tab('Payments').find(p => p['Provider Payment ID'] === 'rf_1')['Status']).to.equal('Failed');
+    expect(booking('PB-SEED01')['Refunded (R)']).to.equal('200.00');
+    expect(booking('PB-SEED01')['Notes']).to.match(/FAILED .* Card closed/);
+  });
+
+  it('should log a failed balance payment and leave the balance open', async () => {
+    const row = booking('PB-SEED01');
+    Object.assign(row, { 'Deposit Status': 'Service Complete', 'Balance Status': 'Requested' });
+    await webhook('payment.failed', { id: 'p_x', amount: 20000, metadata: { bookingId: 'PB-SEED01', type: 'balance' }, failureReason: 'Insufficient funds' }).expect(200);
+
+    expect(ledger('PB-SEED01')).to.deep.include(['Balance', '200.00', 'Failed']);
+    expect(booking('PB-SEED01')['Balance Status']).to.equal('Requested');
+    expect(sent.find(m => m.kind === 'sendAdminPaymentEventNotification')).to.include({ paymentType: 'Balance', reason: 'Insufficient funds' });
+  });
+});
+
+describe('POST /api/pay/balance', () => {
+  const { signToken } = require('../api/lib/links');
+  const token = () => signToken(process.env.ADMIN_TOKEN_SECRET, 'balance', { b: 'PB-SEED01' }, Date.now() + 86400000);
+  beforeEach(() => {
+    reset();
+    seedBooking({ 'Deposit Status': 'Service Complete', 'Balance Status': 'Requested' });
+  });
+
+  it('should send the client back to the link they came from when the token is in the query', async () => {
+    const t   = token();
+    const res = await request(app).post(`/api/pay/balance?t=${encodeURIComponent(t)}`).send({ percent: 10 });
+    expect(res.body).to.include({ success: true, balance: 200, tip: 40 });
+    expect(provider.checkouts[0]).to.include({ amount: 240 });
+    expect(provider.checkouts[0].cancelUrl).to.equal(`http://localhost:3000/pay.html?t=${encodeURIComponent(t)}&payment=cancelled`);
+    expect(booking('PB-SEED01')['Balance Checkout ID']).to.equal('ch_1');
+  });
+
+  it('should accept the token in the body too', async () => {
+    const t = token();
+    await request(app).post('/api/pay/balance').send({ token: t }).expect(200);
+    expect(provider.checkouts[0].cancelUrl).to.include(encodeURIComponent(t));
+  });
+});
+
+describe('GET /api/cron/reconcile-payments', () => {
+  const cron = () => request(app).get('/api/cron/reconcile-payments').set('Authorization', `Bearer ${process.env.CRON_SECRET}`);
+  beforeEach(() => reset());
+
+  it('should confirm a paid deposit whose webhook never came, once', async () => {
+    const { body: { bookingId } } = await book({});
+    provider.statuses.ch_1 = { status: 'completed', paymentId: 'p_1', amount: 200, metadata: { bookingId } };
+
+    const res = await cron().expect(200);
+    expect(res.body.confirmed).to.deep.equal([{ bookingId, client: 'Thandi Mokoena', amount: 200 }]);
+    expect(booking(bookingId)['Deposit Status']).to.equal('Confirmed');
+    expect(booking(bookingId)['Notes']).to.match(/found by reconciliation/);
+    expect(tab('Payments').map(p => [p['Type'], p['Amount (R)'], p['Checkout ID']])).to.deep.equal([['Deposit', '200.00', 'ch_1']]);
+
+    const again = await cron().expect(200);
+    expect(again.body).to.include({ checked: 0 });
+    expect(tab('Payments')).to.have.length(1);
+  });
+
+  it('should settle a paid balance with its tip and report open checkouts', async () => {
+    seedBooking({ 'Booking ID': 'PB-BAL', 'Deposit Status': 'Service Complete', 'Balance Status': 'Requested', 'Balance Checkout ID': 'ch_bal' });
+    seedBooking({ 'Booking ID': 'PB-OPEN', 'Deposit Status': 'Service Complete', 'Balance Status': 'Requested', 'Balance Checkout ID': 'ch_open' });
+    provider.statuses.ch_bal = { status: 'completed', paymentId: 'p_bal', amount: 220, metadata: { bookingId: 'PB-BAL', type: 'balance', tip: '20.00' } };
+
+    const res = await cron().expect(200);
+    expect(res.body.balancesPaid.map(b => b.bookingId)).to.deep.equal(['PB-BAL']);
+    expect(res.body.unpaid).to.deep.equal([{ bookingId: 'PB-OPEN', checkoutId: 'ch_open', status: 'created', kind: 'balance' }]);
+    expect(booking('PB-BAL')).to.include({ 'Balance Status': 'Paid', 'Tip (R)': '20.00' });
+    expect(ledger('PB-BAL')).to.deep.equal([['Balance', '200.00', 'Succeeded'], ['Tip', '20.00', 'Succeeded']]);
+  });
+
+  it('should refuse a wrong cron secret', async () => {
+    await request(app).get('/api/cron/reconcile-payments').set('Authorization', 'Bearer nope').expect(401);
+  });
+});
+
+describe('GET /api/admin/invoice — numbering', () => {
+  beforeEach(() => reset());
+  const invoice = (id) => admin('get', `/api/admin/invoice?bookingId=${id}&kind=invoice`).buffer(true);
+
+  it('should keep the number on the booking and reuse it', async () => {
+    seedBooking();
+    const first = await invoice('PB-SEED01').expect(200);
+    expect(first.headers['content-disposition']).to.include('INV-00001.pdf');
+    await invoice('PB-SEED01').expect(200);
+    expect(tab('Invoices').map(r => r['Number'])).to.deep.equal(['INV-00001']);
+    expect(booking('PB-SEED01')['Invoice No']).to.equal('INV-00001');
+  });
+
+  it('should renumber when another instance took the same number first', async () => {
+    seedBooking();
+    const invoices = doc.sheetsByTitle['Invoices'];
+    const addRow   = invoices.addRow;
+    let raced = false;
+    // Another instance writes INV-00001 between our read and our write
+    invoices.addRow = async (data) => {
+      if (!raced) {
+        raced = true;
+        await addRow({ ...data, 'Booking ID': 'PB-OTHER', 'Issued At': '2026-01-01 00:00:00' });
+      }
+      return addRow(data);
+    };
+
+    const res = await invoice('PB-SEED01').expect(200);
+    expect(res.headers['content-disposition']).to.include('INV-00002.pdf');
+    expect(tab('Invoices').map(r => [r['Number'], r['Booking ID']])).to.deep.equal([['INV-00001', 'PB-OTHER'], ['INV-00002', 'PB-SEED01']]);
+    expect(booking('PB-SEED01')['Invoice No']).to.equal('INV-00002');
+  });
+});
+
+describe('GET /api/admin/overdue-balances', () => {
+  beforeEach(() => reset());
+
+  it('should leave out balances requested before the first reminder day', async () => {
+    settings.balance_reminder_days = '2, 5';
+    const daysAgo = (n) => sheet.sastStamp(new Date(Date.now() - n * 86400000));
+    seedBooking({ 'Booking ID': 'PB-OLD',   'Balance Status': 'Requested', 'Balance Requested At': daysAgo(6) });
+    seedBooking({ 'Booking ID': 'PB-DUE',   'Balance Status': 'Requested', 'Balance Requested At': daysAgo(2) });
+    seedBooking({ 'Booking ID': 'PB-FRESH', 'Balance Status': 'Requested', 'Balance Requested At': daysAgo(1) });
+
+    const res = await admin('get', '/api/admin/overdue-balances').expect(200);
+    expect(res.body.balances.map(b => b.bookingId)).to.deep.equal(['PB-OLD', 'PB-DUE']);
+    expect(res.body).to.include({ total: 400 });
+  });
+});
+
+describe('POST /api/webhook/:provider — which provider is heard', () => {
+  beforeEach(() => reset());
+
+  it('should reject events addressed to a provider this deployment does not use', async () => {
+    const { body: { bookingId } } = await book({});
+    await request(app)
+      .post('/api/webhook/mock')
+      .send({ type: 'payment.succeeded', payload: { id: 'p_forged', status: 'succeeded', metadata: { bookingId } } })
+      .expect(404);
+    expect(booking(bookingId)['Deposit Status']).to.equal('Pending Payment');
+    expect(tab('Payments')).to.be.empty;
+  });
+
+  it('should keep the mock checkout page closed unless mock is the provider', async () => {
+    await request(app).get('/api/mock-pay/ch_1').expect(404);
+    await request(app).post('/api/mock-pay/ch_1').type('form').send({ outcome: 'pay' }).expect(404);
+  });
+});
+
+describe('POST /api/book — treatment packs', () => {
+  const purchase = {
+    'Purchase ID': 'PK-TEST', 'Client Email': 'thandi@example.com', Status: 'Active', Sessions: '3',
+    'Pack Name': 'Brow Trio', 'Service ID': 'BROW', 'Service Name': 'Brow Lamination',
+  };
+  const redeemed = (id) => ({
+    'Booking ID': id, 'Date': inDays(3), 'Time': '09:00-10:00', 'Pack Purchase ID': 'PK-TEST', 'Deposit Status': 'Confirmed',
+  });
+  beforeEach(() => reset({ 'Pack Purchases': [purchase], Bookings: [redeemed('PB-OLD1'), redeemed('PB-OLD2')] }));
+
+  it('should redeem a session and take it off the price', async () => {
+    const res = await book({ packCode: 'PK-TEST' });
+    expect(res.status).to.equal(200);
+    expect(res.body).to.include({ packCredit: 400, depositAmount: 0, confirmed: true });
+    expect(booking(res.body.bookingId)['Pack Purchase ID']).to.equal('PK-TEST');
+  });
+
+  it('should not let two bookings on different days take the last session', async () => {
+    const [a, b] = await Promise.all([
+      book({ packCode: 'PK-TEST', date: inDays(14) }),
+      book({ packCode: 'PK-TEST', date: inDays(15) }),
+    ]);
+    expect([a.status, b.status].sort()).to.deep.equal([200, 409]);
+    expect([a, b].find(r => r.status === 409).body).to.include({ code: 'PACK_CHANGED', error: 'Every session in this pack is already booked' });
+    expect(tab('Bookings').filter(r => r['Pack Purchase ID'] === 'PK-TEST')).to.have.length(3);
+  });
+});